@@ -0,0 +1,99 @@
+// Express application: middleware and routes. server.js starts it; tests
+// import it directly.
+import config from './config/env.js';
+import express from 'express';
+import cors from 'cors';
+import { errorHandler, notFound } from './middleware/errorHandler.js';
+import { rateLimit } from './middleware/rateLimit.js';
+
+// Import routes
+import authRoutes from './routes/authRoutes.js';
+import productRoutes from './routes/productRoutes.js';
+import categoryRoutes from './routes/categoryRoutes.js';
+import orderRoutes from './routes/orderRoutes.js';
+import reviewRoutes from './routes/reviewRoutes.js';
+import cartRoutes from './routes/cartRoutes.js';
+import couponRoutes from './routes/couponRoutes.js';
+import paymentRoutes from './routes/paymentRoutes.js';
+import sellerApplicationRoutes from './routes/sellerApplicationRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import auditLogRoutes from './routes/auditLogRoutes.js';
+import accountRoutes from './routes/accountRoutes.js';
+import inventoryRoutes from './routes/inventoryRoutes.js';
+
+// Import reviewController to ensure it's loaded
+import * as reviewController from './controllers/reviewController.js';
+
+const app = express();
+
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client address
+app.set('trust proxy', config.trustProxy);
+
+// Middleware
+// Browsers may only call the API from origins in CORS_ORIGINS
+app.use(cors({
+  origin: config.cors.origins.includes('*') ? true : config.cors.origins
+}));
+// Keep the raw body so payment webhook signatures can be verified
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+app.use(express.urlencoded({ extended: true }));
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Marketplace API is running',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// API Routes
+app.use('/api', rateLimit('api'));
+app.use('/api/auth', authRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/seller-applications', sellerApplicationRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/inventory', inventoryRoutes);
+
+// Root endpoint
+app.get('/', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Welcome to Marketplace API',
+    version: '1.0.0',
+    endpoints: {
+      auth: '/api/auth',
+      products: '/api/products',
+      categories: '/api/categories',
+      orders: '/api/orders',
+      reviews: '/api/reviews',
+      cart: '/api/cart',
+      coupons: '/api/coupons',
+      payments: '/api/payments',
+      sellerApplications: '/api/seller-applications',
+      users: '/api/users',
+      auditLogs: '/api/audit-logs',
+      account: '/api/account',
+      inventory: '/api/inventory'
+    },
+    documentation: 'See README.md for API documentation'
+  });
+});
+
+// Error handling middleware
+app.use(notFound);
+app.use(errorHandler);
+
+export default app;
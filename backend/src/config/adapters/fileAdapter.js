@@ -0,0 +1,35 @@
+import fs from 'fs';
+import path from 'path';
+import { createMemoryAdapter, COLLECTIONS } from './memoryAdapter.js';
+
+// File-backed JSON storage adapter
+// Collections are loaded from disk on startup and the whole snapshot is written
+// back after every successful write, so data survives restarts.
+
+const loadState = (filePath) => {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+
+  const contents = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return COLLECTIONS.reduce((state, name) => {
+    state[name] = Array.isArray(contents[name]) ? contents[name] : [];
+    return state;
+  }, {});
+};
+
+const saveState = (filePath, state) => {
+  // Write to a temporary file first so a crash never leaves a half-written snapshot
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tempPath, filePath);
+};
+
+export const createFileAdapter = (filePath) => {
+  const resolvedPath = path.resolve(filePath);
+  fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+
+  return createMemoryAdapter(loadState(resolvedPath), {
+    onChange: (state) => saveState(resolvedPath, state)
+  });
+};
@@ -0,0 +1,352 @@
+// In-memory storage adapter
+// Data lives only for the lifetime of the process. Other adapters build on top
+// of this one and use `onChange` to persist the collections after each write.
+
+export const COLLECTIONS = [
+  'users',
+  'products',
+  'categories',
+  'orders',
+  'reviews',
+  'cart',
+  'cartCoupons',
+  'coupons',
+  'refreshTokens',
+  'userTokens',
+  'sellerApplications',
+  'twoFactor',
+  'sessions',
+  'auditLogs',
+  'inventoryMovements',
+  'payments'
+];
+
+const emptyState = () => COLLECTIONS.reduce((state, name) => {
+  state[name] = [];
+  return state;
+}, {});
+
+// Cart lines without a variant store no variantId
+const isCartLine = (line, userId, productId, variantId) => {
+  return line.userId === userId && line.productId === productId && (line.variantId || null) === (variantId || null);
+};
+
+export const createMemoryAdapter = (initialState = {}, { onChange = () => {} } = {}) => {
+  const state = { ...emptyState(), ...initialState };
+
+  // Run a write operation and notify the adapter owner when it changed data
+  const write = (operation) => (...args) => {
+    const result = operation(...args);
+    if (result !== null && result !== undefined) {
+      onChange(state);
+    }
+    return result;
+  };
+
+  return {
+    // Users
+    getUsers: () => state.users,
+    getUserById: (id) => state.users.find(u => u.id === id),
+    getUserByEmail: (email) => state.users.find(u => u.email === email),
+    createUser: write((user) => {
+      state.users.push(user);
+      return user;
+    }),
+    updateUser: write((id, updates) => {
+      const index = state.users.findIndex(u => u.id === id);
+      if (index !== -1) {
+        state.users[index] = { ...state.users[index], ...updates };
+        return state.users[index];
+      }
+      return null;
+    }),
+    deleteUser: write((id) => {
+      const index = state.users.findIndex(u => u.id === id);
+      if (index !== -1) {
+        return state.users.splice(index, 1)[0];
+      }
+      return null;
+    }),
+
+    // Products
+    getProducts: () => state.products,
+    getProductById: (id) => state.products.find(p => p.id === id),
+    getProductsByCategory: (categoryId) => state.products.filter(p => p.categoryId === categoryId),
+    getProductsBySeller: (sellerId) => state.products.filter(p => p.sellerId === sellerId),
+    createProduct: write((product) => {
+      state.products.push(product);
+      return product;
+    }),
+    updateProduct: write((id, updates) => {
+      const index = state.products.findIndex(p => p.id === id);
+      if (index !== -1) {
+        state.products[index] = { ...state.products[index], ...updates };
+        return state.products[index];
+      }
+      return null;
+    }),
+    deleteProduct: write((id) => {
+      const index = state.products.findIndex(p => p.id === id);
+      if (index !== -1) {
+        return state.products.splice(index, 1)[0];
+      }
+      return null;
+    }),
+
+    // Categories
+    getCategories: () => state.categories,
+    getCategoryById: (id) => state.categories.find(c => c.id === id),
+    createCategory: write((category) => {
+      state.categories.push(category);
+      return category;
+    }),
+    updateCategory: write((id, updates) => {
+      const index = state.categories.findIndex(c => c.id === id);
+      if (index !== -1) {
+        state.categories[index] = { ...state.categories[index], ...updates };
+        return state.categories[index];
+      }
+      return null;
+    }),
+    deleteCategory: write((id) => {
+      const index = state.categories.findIndex(c => c.id === id);
+      if (index !== -1) {
+        return state.categories.splice(index, 1)[0];
+      }
+      return null;
+    }),
+
+    // Orders
+    getOrders: () => state.orders,
+    getOrderById: (id) => state.orders.find(o => o.id === id),
+    getOrdersByUser: (userId) => state.orders.filter(o => o.userId === userId),
+    createOrder: write((order) => {
+      state.orders.push(order);
+      return order;
+    }),
+    updateOrder: write((id, updates) => {
+      const index = state.orders.findIndex(o => o.id === id);
+      if (index !== -1) {
+        state.orders[index] = { ...state.orders[index], ...updates };
+        return state.orders[index];
+      }
+      return null;
+    }),
+
+    // Reviews
+    getReviews: () => state.reviews,
+    getReviewById: (id) => state.reviews.find(r => r.id === id),
+    getReviewsByProduct: (productId) => state.reviews.filter(r => r.productId === productId),
+    getReviewsByUser: (userId) => state.reviews.filter(r => r.userId === userId),
+    createReview: write((review) => {
+      state.reviews.push(review);
+      return review;
+    }),
+    updateReview: write((id, updates) => {
+      const index = state.reviews.findIndex(r => r.id === id);
+      if (index !== -1) {
+        state.reviews[index] = { ...state.reviews[index], ...updates };
+        return state.reviews[index];
+      }
+      return null;
+    }),
+    deleteReview: write((id) => {
+      const index = state.reviews.findIndex(r => r.id === id);
+      if (index !== -1) {
+        return state.reviews.splice(index, 1)[0];
+      }
+      return null;
+    }),
+
+    // Cart
+    // A product with variants can be in the cart once per variant
+    getCartByUser: (userId) => state.cart.filter(c => c.userId === userId),
+    addToCart: write((item) => {
+      const existing = state.cart.find(c => isCartLine(c, item.userId, item.productId, item.variantId));
+      if (existing) {
+        existing.quantity += item.quantity || 1;
+        return existing;
+      }
+      state.cart.push(item);
+      return item;
+    }),
+    updateCartItem: write((userId, productId, quantity, variantId = null) => {
+      const item = state.cart.find(c => isCartLine(c, userId, productId, variantId));
+      if (item) {
+        item.quantity = quantity;
+        return item;
+      }
+      return null;
+    }),
+    removeFromCart: write((userId, productId, variantId = null) => {
+      const index = state.cart.findIndex(c => isCartLine(c, userId, productId, variantId));
+      if (index !== -1) {
+        return state.cart.splice(index, 1)[0];
+      }
+      return null;
+    }),
+    clearCart: write((userId) => {
+      state.cart = state.cart.filter(c => c.userId !== userId);
+      state.cartCoupons = state.cartCoupons.filter(c => c.userId !== userId);
+      return true;
+    }),
+    getCartCoupon: (userId) => state.cartCoupons.find(c => c.userId === userId)?.code || null,
+    setCartCoupon: write((userId, code) => {
+      state.cartCoupons = state.cartCoupons.filter(c => c.userId !== userId);
+      state.cartCoupons.push({ userId, code });
+      return code;
+    }),
+    removeCartCoupon: write((userId) => {
+      const index = state.cartCoupons.findIndex(c => c.userId === userId);
+      if (index !== -1) {
+        return state.cartCoupons.splice(index, 1)[0];
+      }
+      return null;
+    }),
+
+    // Coupons
+    getCoupons: () => state.coupons,
+    getCouponById: (id) => state.coupons.find(c => c.id === id),
+    getCouponByCode: (code) => state.coupons.find(c => c.code === code),
+    createCoupon: write((coupon) => {
+      state.coupons.push(coupon);
+      return coupon;
+    }),
+    updateCoupon: write((id, updates) => {
+      const index = state.coupons.findIndex(c => c.id === id);
+      if (index !== -1) {
+        state.coupons[index] = { ...state.coupons[index], ...updates };
+        return state.coupons[index];
+      }
+      return null;
+    }),
+    deleteCoupon: write((id) => {
+      const index = state.coupons.findIndex(c => c.id === id);
+      if (index !== -1) {
+        return state.coupons.splice(index, 1)[0];
+      }
+      return null;
+    }),
+
+    // Refresh tokens
+    getRefreshTokens: () => state.refreshTokens,
+    getRefreshTokenById: (id) => state.refreshTokens.find(t => t.id === id),
+    getRefreshTokenByHash: (tokenHash) => state.refreshTokens.find(t => t.tokenHash === tokenHash),
+    getRefreshTokensByUser: (userId) => state.refreshTokens.filter(t => t.userId === userId),
+    createRefreshToken: write((token) => {
+      state.refreshTokens.push(token);
+      return token;
+    }),
+    updateRefreshToken: write((id, updates) => {
+      const index = state.refreshTokens.findIndex(t => t.id === id);
+      if (index !== -1) {
+        state.refreshTokens[index] = { ...state.refreshTokens[index], ...updates };
+        return state.refreshTokens[index];
+      }
+      return null;
+    }),
+
+    // Single-use user tokens (email verification, password reset)
+    getUserTokenByHash: (tokenHash) => state.userTokens.find(t => t.tokenHash === tokenHash),
+    getUserTokensByUser: (userId) => state.userTokens.filter(t => t.userId === userId),
+    createUserToken: write((token) => {
+      state.userTokens.push(token);
+      return token;
+    }),
+    updateUserToken: write((id, updates) => {
+      const index = state.userTokens.findIndex(t => t.id === id);
+      if (index !== -1) {
+        state.userTokens[index] = { ...state.userTokens[index], ...updates };
+        return state.userTokens[index];
+      }
+      return null;
+    }),
+
+    // Seller applications
+    getSellerApplications: () => state.sellerApplications,
+    getSellerApplicationById: (id) => state.sellerApplications.find(a => a.id === id),
+    getSellerApplicationsByUser: (userId) => state.sellerApplications.filter(a => a.userId === userId),
+    createSellerApplication: write((application) => {
+      state.sellerApplications.push(application);
+      return application;
+    }),
+    updateSellerApplication: write((id, updates) => {
+      const index = state.sellerApplications.findIndex(a => a.id === id);
+      if (index !== -1) {
+        state.sellerApplications[index] = { ...state.sellerApplications[index], ...updates };
+        return state.sellerApplications[index];
+      }
+      return null;
+    }),
+
+    // Two-factor settings, one record per user
+    getTwoFactor: (userId) => state.twoFactor.find(t => t.userId === userId),
+    setTwoFactor: write((userId, settings) => {
+      const existing = state.twoFactor.find(t => t.userId === userId);
+      const record = { ...existing, ...settings, userId };
+      state.twoFactor = state.twoFactor.filter(t => t.userId !== userId);
+      state.twoFactor.push(record);
+      return record;
+    }),
+    removeTwoFactor: write((userId) => {
+      const index = state.twoFactor.findIndex(t => t.userId === userId);
+      if (index !== -1) {
+        return state.twoFactor.splice(index, 1)[0];
+      }
+      return null;
+    }),
+
+    // Sessions (one per login/device)
+    getSessionById: (id) => state.sessions.find(s => s.id === id),
+    getSessionsByUser: (userId) => state.sessions.filter(s => s.userId === userId),
+    createSession: write((session) => {
+      state.sessions.push(session);
+      return session;
+    }),
+    updateSession: write((id, updates) => {
+      const index = state.sessions.findIndex(s => s.id === id);
+      if (index !== -1) {
+        state.sessions[index] = { ...state.sessions[index], ...updates };
+        return state.sessions[index];
+      }
+      return null;
+    }),
+
+    // Audit log (append-only)
+    getAuditLogs: () => state.auditLogs,
+    createAuditLog: write((entry) => {
+      state.auditLogs.push(entry);
+      return entry;
+    }),
+
+    // Inventory ledger (append-only)
+    getInventoryMovements: () => state.inventoryMovements,
+    createInventoryMovement: write((movement) => {
+      state.inventoryMovements.push(movement);
+      return movement;
+    }),
+
+    // Payments held by the mock payment gateway
+    getPaymentById: (id) => state.payments.find(p => p.id === id),
+    createPayment: write((payment) => {
+      state.payments.push(payment);
+      return payment;
+    }),
+    updatePayment: write((id, updates) => {
+      const index = state.payments.findIndex(p => p.id === id);
+      if (index !== -1) {
+        state.payments[index] = { ...state.payments[index], ...updates };
+        return state.payments[index];
+      }
+      return null;
+    }),
+
+    // Maintenance
+    reset: write(() => {
+      COLLECTIONS.forEach(name => {
+        state[name] = [];
+      });
+      return true;
+    })
+  };
+};
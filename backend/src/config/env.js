@@ -0,0 +1,232 @@
+import dotenv from 'dotenv';
+
+// Application settings
+// Every environment variable the API reads is parsed and validated here once,
+// at startup. Other modules import `config` instead of reading process.env.
+//
+// NODE_ENV selects a profile (development, test or production) that supplies
+// defaults and decides how strict validation is. Values are loaded from the
+// process environment first, then `.env.<NODE_ENV>.local`, `.env.<NODE_ENV>`,
+// `.env.local` and `.env`; the first one to set a variable wins.
+
+export const ENVIRONMENTS = ['development', 'test', 'production'];
+
+const profiles = {
+  development: {
+    defaults: {
+      CORS_ORIGINS: 'http://localhost:5173,http://127.0.0.1:5173'
+    },
+    exposeErrorStack: true,
+    strict: false
+  },
+  test: {
+    defaults: {
+      JWT_SECRET: 'test-secret',
+      PAYMENT_WEBHOOK_SECRET: 'test-webhook-secret',
+      RATE_LIMIT_ENABLED: 'false',
+      MAIL_OUTBOX_DIR: 'outbox/test'
+    },
+    exposeErrorStack: true,
+    strict: false
+  },
+  // Secrets, the frontend URL and the CORS allowlist must be set explicitly
+  production: {
+    defaults: {},
+    exposeErrorStack: false,
+    strict: true
+  }
+};
+
+const MIN_PRODUCTION_SECRET_LENGTH = 32;
+const PLACEHOLDER_SECRET = /change[-_ ]?(this|me)|your-super-secret/i;
+const DURATION = /^\d+(ms|s|m|h|d)?$/;
+
+// Implementations each pluggable setting can select. Keep in step with the
+// registries in database.js, mailService.js, paymentService.js,
+// rateLimitStore.js and the shipping calculator in pricingService.js.
+const CHOICES = {
+  DB_DRIVER: ['memory', 'file'],
+  MAIL_TRANSPORT: ['outbox'],
+  PAYMENT_PROVIDER: ['mock'],
+  RATE_LIMIT_STORE: ['memory'],
+  SHIPPING_TYPE: ['flat', 'weight']
+};
+
+export class ConfigError extends Error {
+  constructor(env, errors) {
+    super(`Invalid configuration for NODE_ENV=${env}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// Typed readers over the environment that collect problems instead of throwing,
+// so every invalid setting is reported at once
+const createReader = (env, defaults, errors) => {
+  const raw = (name) => {
+    const value = env[name] ?? defaults[name];
+    return value === undefined || String(value).trim() === '' ? undefined : String(value).trim();
+  };
+
+  return {
+    string: (name, fallback) => raw(name) ?? fallback,
+
+    required: (name) => {
+      const value = raw(name);
+      if (value === undefined) {
+        errors.push(`${name} is required`);
+      }
+      return value;
+    },
+
+    integer: (name, fallback, { min = 0 } = {}) => {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < min) {
+        errors.push(`${name} must be an integer of at least ${min}, got "${value}"`);
+        return fallback;
+      }
+      return number;
+    },
+
+    boolean: (name, fallback) => {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+      if (['true', '1'].includes(value)) return true;
+      if (['false', '0'].includes(value)) return false;
+      errors.push(`${name} must be "true" or "false", got "${value}"`);
+      return fallback;
+    },
+
+    oneOf: (name, fallback) => {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+      if (!CHOICES[name].includes(value)) {
+        errors.push(`${name} must be one of: ${CHOICES[name].join(', ')}, got "${value}"`);
+        return fallback;
+      }
+      return value;
+    },
+
+    list: (name, fallback = []) => {
+      const value = raw(name);
+      return value === undefined ? fallback : value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+  };
+};
+
+// Express `trust proxy`: true, a hop count, or a list of addresses/subnets
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === 'false') return false;
+  if (value === 'true') return true;
+  const hops = Number(value);
+  return Number.isNaN(hops) ? value : hops;
+};
+
+const isUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+export const loadConfig = (env = process.env) => {
+  const nodeEnv = env.NODE_ENV || 'development';
+  if (!ENVIRONMENTS.includes(nodeEnv)) {
+    throw new ConfigError(nodeEnv, [`NODE_ENV must be one of: ${ENVIRONMENTS.join(', ')}`]);
+  }
+
+  const profile = profiles[nodeEnv];
+  const errors = [];
+  const read = createReader(env, profile.defaults, errors);
+  const dbDriver = read.oneOf('DB_DRIVER', 'memory');
+
+  const config = {
+    env: nodeEnv,
+    isProduction: nodeEnv === 'production',
+    exposeErrorStack: profile.exposeErrorStack,
+    port: read.integer('PORT', 3000, { min: 1 }),
+    trustProxy: parseTrustProxy(read.string('TRUST_PROXY')),
+    // An empty in-memory catalogue is rarely what a developer wants, so that
+    // combination seeds unless told otherwise. Persistent storage never does.
+    seedOnStart: read.boolean('SEED_ON_START', nodeEnv === 'development' && dbDriver === 'memory'),
+    appUrl: read.string('APP_URL', 'http://localhost:5173'),
+    cors: {
+      // `*` allows any origin; requests without an Origin header are always allowed
+      origins: read.list('CORS_ORIGINS')
+    },
+    jwt: {
+      secret: read.required('JWT_SECRET'),
+      accessExpiresIn: read.string('JWT_ACCESS_EXPIRES_IN', '15m'),
+      refreshTokenTtlDays: read.integer('REFRESH_TOKEN_TTL_DAYS', 30, { min: 1 })
+    },
+    totpIssuer: read.string('TOTP_ISSUER', 'Marketplace'),
+    db: {
+      driver: dbDriver,
+      file: read.string('DB_FILE', 'data/marketplace.json')
+    },
+    mail: {
+      transport: read.oneOf('MAIL_TRANSPORT', 'outbox'),
+      outboxDir: read.string('MAIL_OUTBOX_DIR', 'outbox'),
+      from: read.string('MAIL_FROM', 'Marketplace <no-reply@marketplace.local>')
+    },
+    payments: {
+      provider: read.oneOf('PAYMENT_PROVIDER', 'mock'),
+      webhookSecret: read.string('PAYMENT_WEBHOOK_SECRET')
+    },
+    rateLimit: {
+      enabled: read.boolean('RATE_LIMIT_ENABLED', true),
+      store: read.oneOf('RATE_LIMIT_STORE', 'memory')
+    },
+    shippingType: read.oneOf('SHIPPING_TYPE', 'weight')
+  };
+
+  if (!DURATION.test(config.jwt.accessExpiresIn)) {
+    errors.push(`JWT_ACCESS_EXPIRES_IN must be a duration such as 900, 15m or 1h, got "${config.jwt.accessExpiresIn}"`);
+  }
+  if (!isUrl(config.appUrl)) {
+    errors.push(`APP_URL must be an http(s) URL, got "${config.appUrl}"`);
+  }
+  config.cors.origins
+    .filter(origin => origin !== '*' && !isUrl(origin))
+    .forEach(origin => errors.push(`CORS_ORIGINS entries must be http(s) origins, got "${origin}"`));
+
+  if (profile.strict) {
+    const secret = config.jwt.secret;
+    if (secret && (secret.length < MIN_PRODUCTION_SECRET_LENGTH || PLACEHOLDER_SECRET.test(secret))) {
+      errors.push(`JWT_SECRET must be a random value of at least ${MIN_PRODUCTION_SECRET_LENGTH} characters`);
+    }
+    if (!config.payments.webhookSecret) {
+      errors.push('PAYMENT_WEBHOOK_SECRET is required');
+    }
+    if (!read.string('APP_URL')) {
+      errors.push('APP_URL is required');
+    }
+    if (config.cors.origins.length === 0) {
+      errors.push('CORS_ORIGINS is required');
+    } else if (config.cors.origins.includes('*')) {
+      errors.push('CORS_ORIGINS cannot be "*"');
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(nodeEnv, errors);
+  }
+  return Object.freeze(config);
+};
+
+const nodeEnv = process.env.NODE_ENV || 'development';
+dotenv.config({ path: [`.env.${nodeEnv}.local`, `.env.${nodeEnv}`, '.env.local', '.env'] });
+
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  console.error(error.message);
+  process.exit(1);
+}
+
+export default config;
@@ -0,0 +1,24 @@
+// Facets returned with product listings (see facetService.js)
+
+export const facetConfig = {
+  // Price buckets, each covering min <= price < max (null max is open-ended)
+  priceRanges: [
+    { min: 0, max: 25 },
+    { min: 25, max: 50 },
+    { min: 50, max: 100 },
+    { min: 100, max: 250 },
+    { min: 250, max: 500 },
+    { min: 500, max: 1000 },
+    { min: 1000, max: null }
+  ],
+
+  // "N stars & up" bands
+  ratingBands: [4, 3, 2, 1],
+
+  // Specification keys listed as facets. Any key can still be filtered on
+  // with spec[key]=value; free-text keys such as dimensions aren't useful here.
+  specifications: ['brand', 'storage', 'memory', 'processor', 'color', 'size', 'material', 'format', 'language'],
+
+  // Most values listed per tag or specification facet
+  maxValues: 20
+};
@@ -0,0 +1,6 @@
+// Inventory settings (see inventoryService.js)
+
+export const inventoryConfig = {
+  // Products without their own lowStockThreshold alert at or below this level
+  defaultLowStockThreshold: 5
+};
@@ -0,0 +1,31 @@
+import config from './env.js';
+
+// Tax and shipping rules used by the pricing service
+
+export const pricingConfig = {
+  tax: {
+    // Rate used when no rule matches the shipping address
+    defaultRate: 0,
+    // The most specific match wins: country + state, then country only
+    rules: [
+      { country: 'USA', state: 'CA', rate: 0.0725 },
+      { country: 'USA', state: 'NY', rate: 0.08875 },
+      { country: 'USA', state: 'TX', rate: 0.0625 },
+      { country: 'USA', state: 'IL', rate: 0.0625 },
+      { country: 'USA', rate: 0.08 }
+    ]
+  },
+
+  shipping: {
+    // flat   - the same amount for every order
+    // weight - baseRate plus ratePerLb for the total weight of the order
+    type: config.shippingType,
+    flatRate: 15.99,
+    baseRate: 4.99,
+    ratePerLb: 1.25,
+    // Products without a weight specification count as this many pounds
+    defaultWeightLbs: 1,
+    // Orders whose subtotal reaches this amount ship free (null disables)
+    freeShippingThreshold: 100
+  }
+};
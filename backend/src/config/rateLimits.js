@@ -0,0 +1,42 @@
+import config from './env.js';
+
+// Rate limit policies and login lockout rules used by the rate limit middleware
+//
+// Each policy allows `max` requests per `windowMs`, counted per key:
+//   ip   - the client IP address
+//   user - the authenticated user, falling back to the IP (place after authenticate)
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+export const rateLimitConfig = {
+  // Set RATE_LIMIT_ENABLED=false to switch all limits off (e.g. for load tests)
+  enabled: config.rateLimit.enabled,
+
+  policies: {
+    // Applied to every /api request
+    api: { windowMs: MINUTE, max: 300, keyBy: 'ip' },
+    login: { windowMs: 15 * MINUTE, max: 20, keyBy: 'ip' },
+    register: { windowMs: HOUR, max: 10, keyBy: 'ip' },
+    tokenRefresh: { windowMs: 15 * MINUTE, max: 60, keyBy: 'ip' },
+    // Endpoints that send email or redeem emailed tokens
+    accountRecovery: { windowMs: HOUR, max: 5, keyBy: 'ip' },
+    // Product listing and search
+    catalog: { windowMs: MINUTE, max: 120, keyBy: 'ip' },
+    // Placing and paying for orders
+    checkout: { windowMs: MINUTE, max: 10, keyBy: 'user' },
+    reviews: { windowMs: HOUR, max: 20, keyBy: 'user' }
+  },
+
+  loginLockout: {
+    // Failed attempts for one account before it is locked
+    maxFailures: 5,
+    // Failures older than this are forgotten
+    failureWindowMs: 15 * MINUTE,
+    // The first lock lasts baseLockMs and each further lock doubles it, up to maxLockMs
+    baseLockMs: MINUTE,
+    maxLockMs: HOUR,
+    // Lock escalation resets after this long without a new lock
+    escalationResetMs: 24 * HOUR
+  }
+};
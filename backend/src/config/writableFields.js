@@ -0,0 +1,45 @@
+// Fields each role may set when creating or updating a resource. Anything else
+// in the request body (ids, ownership, ratings, timestamps, slugs) is rejected;
+// slugs follow the name automatically.
+
+const SELLER_PRODUCT_FIELDS = [
+  'name',
+  'description',
+  'price',
+  'compareAtPrice',
+  'categoryId',
+  'images',
+  'stock',
+  'sku',
+  'tags',
+  'specifications',
+  'options',
+  'variants',
+  'lowStockThreshold'
+];
+
+export const writableFields = {
+  product: {
+    seller: SELLER_PRODUCT_FIELDS,
+    admin: [...SELLER_PRODUCT_FIELDS, 'featured', 'status']
+  },
+  category: {
+    admin: ['name', 'description', 'image', 'parentId']
+  }
+};
+
+export const getWritableFields = (resource, role) => writableFields[resource]?.[role] || [];
+
+// Whether any role may write the field, to tell "admin only" apart from "never"
+export const isWritableByAnyRole = (resource, field) => {
+  return Object.values(writableFields[resource] || {}).some(fields => fields.includes(field));
+};
+
+// The writable fields present in `body`
+export const pickWritableFields = (body, resource, role) => {
+  return Object.fromEntries(
+    getWritableFields(resource, role)
+      .filter(field => body[field] !== undefined)
+      .map(field => [field, body[field]])
+  );
+};
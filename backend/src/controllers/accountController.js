@@ -0,0 +1,73 @@
+import bcrypt from 'bcryptjs';
+import db from '../config/database.js';
+import { withInventoryLock } from '../services/inventoryService.js';
+import {
+  buildAccountExport,
+  getDeletionBlockers,
+  deleteAccount as removeAccount
+} from '../services/accountService.js';
+
+// Download everything stored about the current user as a JSON file
+export const exportAccountData = (req, res, next) => {
+  try {
+    const user = db.getUserById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.set('Content-Disposition', `attachment; filename="account-export-${user.id}.json"`);
+    res.json(buildAccountExport(user.id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteAccount = async (req, res, next) => {
+  try {
+    const { password, removeProducts = false } = req.body;
+
+    const user = db.getUserById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    // Checked and applied under the inventory lock so no order for this user
+    // or their products can be placed in between
+    const blockers = await withInventoryLock(async () => {
+      const found = getDeletionBlockers(user.id, { removeProducts });
+      if (found.length === 0) {
+        await removeAccount(user.id);
+      }
+      return found;
+    });
+
+    if (blockers.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'The account cannot be deleted yet',
+        data: { blockers }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Your account and personal data have been deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
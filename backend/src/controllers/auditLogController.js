@@ -0,0 +1,42 @@
+import db from '../config/database.js';
+
+export const getAuditLogs = (req, res, next) => {
+  try {
+    const { adminId, targetId, action, page = 1, limit = 50 } = req.query;
+
+    let entries = db.getAuditLogs();
+
+    if (adminId) {
+      entries = entries.filter(e => e.adminId === adminId);
+    }
+
+    if (targetId) {
+      entries = entries.filter(e => e.targetId === targetId);
+    }
+
+    if (action) {
+      entries = entries.filter(e => e.action === action);
+    }
+
+    // Newest first
+    entries = [...entries].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    const startIndex = (parseInt(page) - 1) * parseInt(limit);
+    const endIndex = startIndex + parseInt(limit);
+
+    res.json({
+      success: true,
+      data: {
+        entries: entries.slice(startIndex, endIndex),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: entries.length,
+          pages: Math.ceil(entries.length / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
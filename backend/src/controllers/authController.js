@@ -1,10 +1,65 @@
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import db from '../config/database.js';
+import {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+  revokeTokenFamily,
+  TokenError
+} from '../services/tokenService.js';
+import { getClientInfo, getActiveSessions } from '../services/sessionService.js';
+import { getAccountRestriction } from '../services/accountService.js';
+import { deliver, sendVerificationEmail, sendPasswordResetEmail } from '../services/mailService.js';
+import { TOKEN_TYPES, createUserToken, consumeUserToken } from '../services/userTokenService.js';
+import {
+  getLoginLockout,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} from '../services/loginThrottleService.js';
+import {
+  TwoFactorError,
+  isTwoFactorEnabled,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor as removeTwoFactor,
+  createLoginChallenge,
+  verifyLoginChallenge
+} from '../services/twoFactorService.js';
+
+// Checks after a correct password: account standing and forced resets
+const refuseLogin = (res, user) => {
+  const restriction = getAccountRestriction(user);
+  if (restriction) {
+    return res.status(403).json({
+      success: false,
+      message: restriction
+    });
+  }
+
+  if (user.passwordResetRequired) {
+    return res.status(403).json({
+      success: false,
+      message: 'A password reset is required. Check your email for a reset link or request a new one.'
+    });
+  }
+
+  return null;
+};
+
+const lockedOut = (res, retryAfter) => {
+  res.set('Retry-After', retryAfter);
+  return res.status(429).json({
+    success: false,
+    message: 'Too many failed login attempts. Please try again later.'
+  });
+};
 
 export const register = async (req, res, next) => {
   try {
-    const { email, password, firstName, lastName, role = 'buyer', phone, address } = req.body;
+    const { email, password, firstName, lastName, phone, address } = req.body;
 
     // Check if user already exists
     const existingUser = db.getUserByEmail(email);
@@ -25,7 +80,8 @@ export const register = async (req, res, next) => {
       password: hashedPassword,
       firstName,
       lastName,
-      role,
+      // Every account starts as a buyer; selling requires an approved application
+      role: 'buyer',
       phone,
       address,
       createdAt: new Date().toISOString(),
@@ -34,12 +90,13 @@ export const register = async (req, res, next) => {
 
     db.createUser(user);
 
-    // Generate token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    await deliver(() => sendVerificationEmail(
+      user,
+      createUserToken(user.id, TOKEN_TYPES.emailVerification)
+    ));
+
+    // Generate access and refresh tokens
+    const tokens = issueTokens(user, getClientInfo(req));
 
     // Remove password from response
     const { password: _, ...userResponse } = user;
@@ -49,7 +106,7 @@ export const register = async (req, res, next) => {
       message: 'User registered successfully',
       data: {
         user: userResponse,
-        token
+        ...tokens
       }
     });
   } catch (error) {
@@ -61,30 +118,46 @@ export const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    // Find user
+    // Refuse attempts while the account is locked after repeated failures
+    const lockedFor = await getLoginLockout(email);
+    if (lockedFor) {
+      return lockedOut(res, lockedFor);
+    }
+
+    // Find user and check password
     const user = db.getUserByEmail(email);
-    if (!user) {
+    const isPasswordValid = user && await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      const lockSeconds = await recordFailedLogin(email);
+      if (lockSeconds) {
+        return lockedOut(res, lockSeconds);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
+    if (refuseLogin(res, user)) return;
+
+    // Accounts with 2FA get a challenge to complete with POST /2fa/verify.
+    // Failures are only cleared once the second step succeeds.
+    if (isTwoFactorEnabled(user.id)) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createLoginChallenge(user)
+        }
       });
     }
 
-    // Generate token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    await recordSuccessfulLogin(email);
+
+    // Generate access and refresh tokens
+    const tokens = issueTokens(user, getClientInfo(req));
 
     // Remove password from response
     const { password: _, ...userResponse } = user;
@@ -94,7 +167,9 @@ export const login = async (req, res, next) => {
       message: 'Login successful',
       data: {
         user: userResponse,
-        token
+        ...tokens,
+        // An admin requires 2FA for this account but it hasn't been set up yet
+        ...(user.twoFactorRequired && { twoFactorSetupRequired: true })
       }
     });
   } catch (error) {
@@ -102,6 +177,61 @@ export const login = async (req, res, next) => {
   }
 };
 
+export const refresh = (req, res, next) => {
+  try {
+    const { user, ...tokens } = rotateRefreshToken(req.body.refreshToken, getClientInfo(req));
+    const { password: _, ...userResponse } = user;
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: {
+        user: userResponse,
+        ...tokens
+      }
+    });
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+};
+
+export const logout = (req, res, next) => {
+  try {
+    if (!revokeRefreshToken(req.body.refreshToken)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const logoutAll = (req, res, next) => {
+  try {
+    revokeAllUserTokens(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 export const getProfile = (req, res, next) => {
   try {
     const user = db.getUserById(req.user.id);
@@ -153,3 +283,364 @@ export const updateProfile = (req, res, next) => {
   }
 };
 
+export const verifyEmail = (req, res, next) => {
+  try {
+    const userId = consumeUserToken(req.body.token, TOKEN_TYPES.emailVerification);
+    const user = userId && db.updateUser(userId, {
+      isVerified: true,
+      verifiedAt: new Date().toISOString()
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    const { password: _, ...userResponse } = user;
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: userResponse
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const resendVerification = async (req, res, next) => {
+  try {
+    const user = db.getUserById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await deliver(() => sendVerificationEmail(
+      user,
+      createUserToken(user.id, TOKEN_TYPES.emailVerification)
+    ));
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const user = db.getUserByEmail(req.body.email);
+
+    if (user) {
+      await deliver(() => sendPasswordResetEmail(
+        user,
+        createUserToken(user.id, TOKEN_TYPES.passwordReset)
+      ));
+    }
+
+    // Same response either way so the endpoint can't be used to probe for accounts
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const userId = consumeUserToken(token, TOKEN_TYPES.passwordReset);
+    if (!userId || !db.getUserById(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Following the emailed link also proves ownership of the address
+    db.updateUser(userId, {
+      password: await bcrypt.hash(password, 10),
+      passwordChangedAt: new Date().toISOString(),
+      passwordResetRequired: false,
+      isVerified: true
+    });
+
+    // Sign out everywhere in case the old password was compromised
+    revokeAllUserTokens(userId);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = db.getUserById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    db.updateUser(user.id, {
+      password: await bcrypt.hash(newPassword, 10),
+      passwordChangedAt: new Date().toISOString()
+    });
+
+    // Keep the current login, sign out every other device
+    revokeAllUserTokens(user.id, { exceptTokenId: req.user.tid });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const twoFactorErrorResponse = (res, error, next) => {
+  if (error instanceof TwoFactorError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  next(error);
+};
+
+// Second login step: exchange the challenge and a code for tokens
+export const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const user = db.getUserById(verifyLoginChallenge(challengeToken));
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login challenge'
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const lockedFor = await getLoginLockout(user.email);
+    if (lockedFor) {
+      return lockedOut(res, lockedFor);
+    }
+
+    if (!verifySecondFactor(user.id, code)) {
+      const lockSeconds = await recordFailedLogin(user.email);
+      if (lockSeconds) {
+        return lockedOut(res, lockSeconds);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await recordSuccessfulLogin(user.email);
+
+    if (refuseLogin(res, user)) return;
+
+    const tokens = issueTokens(user, getClientInfo(req));
+    const { password: _, ...userResponse } = user;
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: userResponse,
+        ...tokens
+      }
+    });
+  } catch (error) {
+    twoFactorErrorResponse(res, error, next);
+  }
+};
+
+export const setupTwoFactor = (req, res, next) => {
+  try {
+    const user = db.getUserById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code',
+      data: beginEnrollment(user)
+    });
+  } catch (error) {
+    twoFactorErrorResponse(res, error, next);
+  }
+};
+
+export const enableTwoFactor = (req, res, next) => {
+  try {
+    const user = db.getUserById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const recoveryCodes = confirmEnrollment(user, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    twoFactorErrorResponse(res, error, next);
+  }
+};
+
+export const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = db.getUserById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.twoFactorRequired) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for this account'
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid || !verifySecondFactor(user.id, code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    removeTwoFactor(user.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    twoFactorErrorResponse(res, error, next);
+  }
+};
+
+export const regenerateTwoFactorRecoveryCodes = (req, res, next) => {
+  try {
+    const recoveryCodes = regenerateRecoveryCodes(req.user.id, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    twoFactorErrorResponse(res, error, next);
+  }
+};
+
+const toSessionResponse = (session, currentSessionId) => ({
+  id: session.id,
+  deviceLabel: session.deviceLabel,
+  ip: session.lastSeenIp || session.ip,
+  userAgent: session.userAgent,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  current: session.id === currentSessionId
+});
+
+export const getSessions = (req, res, next) => {
+  try {
+    const sessions = getActiveSessions(req.user.id)
+      .map(session => toSessionResponse(session, req.user.sid));
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const revokeSession = (req, res, next) => {
+  try {
+    const session = getActiveSessions(req.user.id).find(s => s.id === req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    revokeTokenFamily(session.id);
+
+    res.json({
+      success: true,
+      message: session.id === req.user.sid ? 'Logged out successfully' : 'Session revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sign out every other device, keeping the current session
+export const revokeOtherSessions = (req, res, next) => {
+  try {
+    revokeAllUserTokens(req.user.id, { exceptTokenId: req.user.tid });
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other sessions'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
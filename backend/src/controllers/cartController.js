@@ -1,4 +1,15 @@
 import db from '../config/database.js';
+import { checkStock, StockError } from '../services/inventoryService.js';
+import { priceOrder, resolveShippingAddress } from '../services/orderService.js';
+import { validateCoupon, CouponError } from '../services/couponService.js';
+import { findVariant, getUnitPrice, getStockLevel, describeVariant } from '../services/variantService.js';
+
+const getCartLines = (userId) => {
+  return db.getCartByUser(userId).map(({ productId, variantId, quantity }) => ({ productId, variantId, quantity }));
+};
+
+// Variant lines are addressed as /cart/:productId?variantId=...
+const getVariantId = (req) => req.query.variantId || null;
 
 export const getCart = (req, res, next) => {
   try {
@@ -7,14 +18,21 @@ export const getCart = (req, res, next) => {
     // Enrich cart items with product details
     const enrichedCart = cartItems.map(item => {
       const product = db.getProductById(item.productId);
+      const variant = findVariant(product, item.variantId);
       return {
         ...item,
         product: product ? {
           id: product.id,
           name: product.name,
-          price: product.price,
-          images: product.images,
-          stock: product.stock
+          price: getUnitPrice(product, variant),
+          images: variant?.images.length ? variant.images : product.images,
+          stock: getStockLevel(product, variant)
+        } : null,
+        variant: variant ? {
+          id: variant.id,
+          sku: variant.sku,
+          options: variant.options,
+          name: describeVariant(product, variant)
         } : null
       };
     });
@@ -36,9 +54,56 @@ export const getCart = (req, res, next) => {
   }
 };
 
+export const getCartQuote = (req, res, next) => {
+  try {
+    const { state, country } = req.query;
+
+    // Quote against the saved address unless the client asks about another region
+    const savedAddress = resolveShippingAddress(req.user.id);
+    const shippingAddress = state || country
+      ? { ...savedAddress, ...(state && { state }), ...(country && { country }) }
+      : savedAddress;
+
+    const items = getCartLines(req.user.id);
+    const couponCode = db.getCartCoupon(req.user.id);
+
+    // A coupon that stopped applying (expired, cart changed) is reported
+    // alongside a quote without it rather than failing the whole quote
+    let quote;
+    let couponError;
+    try {
+      quote = priceOrder(items, shippingAddress, { userId: req.user.id, couponCode });
+    } catch (error) {
+      if (!(error instanceof CouponError)) {
+        throw error;
+      }
+      couponError = error.message;
+      quote = priceOrder(items, shippingAddress);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...quote,
+        shippingAddress,
+        itemCount: items.length,
+        ...(couponError && { couponCode, couponError })
+      }
+    });
+  } catch (error) {
+    if (error instanceof StockError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+};
+
 export const addToCart = (req, res, next) => {
   try {
-    const { productId, quantity = 1 } = req.body;
+    const { productId, variantId = null, quantity = 1 } = req.body;
 
     // Check if product exists
     const product = db.getProductById(productId);
@@ -49,22 +114,18 @@ export const addToCart = (req, res, next) => {
       });
     }
 
-    // Check stock
+    // Check stock for what the line will hold, at the variant level
     const cartItems = db.getCartByUser(req.user.id);
-    const existingItem = cartItems.find(item => item.productId === productId);
+    const existingItem = cartItems.find(item => item.productId === productId && (item.variantId || null) === variantId);
     const currentQuantity = existingItem ? existingItem.quantity : 0;
-    
-    if (product.stock < currentQuantity + quantity) {
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient stock'
-      });
-    }
+
+    checkStock([{ productId, variantId, quantity: currentQuantity + quantity }]);
 
     const cartItem = {
       id: `cart-${Date.now()}`,
       userId: req.user.id,
       productId,
+      ...(variantId && { variantId }),
       quantity: parseInt(quantity),
       addedAt: new Date().toISOString()
     };
@@ -77,6 +138,12 @@ export const addToCart = (req, res, next) => {
       data: cartItem
     });
   } catch (error) {
+    if (error instanceof StockError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     next(error);
   }
 };
@@ -85,6 +152,7 @@ export const updateCartItem = (req, res, next) => {
   try {
     const { quantity } = req.body;
     const { productId } = req.params;
+    const variantId = getVariantId(req);
 
     // Check if product exists
     const product = db.getProductById(productId);
@@ -96,14 +164,9 @@ export const updateCartItem = (req, res, next) => {
     }
 
     // Check stock
-    if (product.stock < quantity) {
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient stock'
-      });
-    }
+    checkStock([{ productId, variantId, quantity }]);
 
-    const updatedItem = db.updateCartItem(req.user.id, productId, parseInt(quantity));
+    const updatedItem = db.updateCartItem(req.user.id, productId, parseInt(quantity), variantId);
 
     if (!updatedItem) {
       return res.status(404).json({
@@ -118,6 +181,12 @@ export const updateCartItem = (req, res, next) => {
       data: updatedItem
     });
   } catch (error) {
+    if (error instanceof StockError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     next(error);
   }
 };
@@ -126,7 +195,7 @@ export const removeFromCart = (req, res, next) => {
   try {
     const { productId } = req.params;
 
-    const removedItem = db.removeFromCart(req.user.id, productId);
+    const removedItem = db.removeFromCart(req.user.id, productId, getVariantId(req));
 
     if (!removedItem) {
       return res.status(404).json({
@@ -157,3 +226,61 @@ export const clearCart = (req, res, next) => {
   }
 };
 
+export const applyCoupon = (req, res, next) => {
+  try {
+    const items = getCartLines(req.user.id);
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    const lines = items.map(item => {
+      const product = db.getProductById(item.productId);
+      return {
+        ...item,
+        sellerId: product?.sellerId,
+        name: product?.name,
+        price: product ? getUnitPrice(product, findVariant(product, item.variantId)) : 0
+      };
+    });
+
+    const coupon = validateCoupon(req.body.code, { userId: req.user.id, lines });
+    db.setCartCoupon(req.user.id, coupon.code);
+
+    res.json({
+      success: true,
+      message: 'Coupon applied',
+      data: { code: coupon.code }
+    });
+  } catch (error) {
+    if (error instanceof CouponError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+};
+
+export const removeCoupon = (req, res, next) => {
+  try {
+    const removed = db.removeCartCoupon(req.user.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'No coupon applied to cart'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Coupon removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
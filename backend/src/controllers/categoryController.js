@@ -1,4 +1,24 @@
 import db from '../config/database.js';
+import { pickWritableFields } from '../config/writableFields.js';
+import { slugify } from '../utils/slugify.js';
+import { indexProduct, reindexCategory } from '../services/searchService.js';
+import {
+  buildCategoryTree,
+  getBreadcrumbs,
+  getProductsInCategoryTree,
+  getUniqueSlug,
+  getCategoryDeletionBlockers,
+  deleteCategory as removeCategory
+} from '../services/categoryService.js';
+
+// A category with its path, direct subcategories and the products in it or
+// any subcategory
+const withDetails = (category) => ({
+  ...category,
+  breadcrumbs: getBreadcrumbs(category.id),
+  subcategories: db.getCategories().filter(c => c.parentId === category.id),
+  products: getProductsInCategoryTree(category.id)
+});
 
 export const getCategories = (req, res, next) => {
   try {
@@ -12,6 +32,17 @@ export const getCategories = (req, res, next) => {
   }
 };
 
+export const getCategoryTree = (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: buildCategoryTree()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 export const getCategoryById = (req, res, next) => {
   try {
     const category = db.getCategoryById(req.params.id);
@@ -23,19 +54,29 @@ export const getCategoryById = (req, res, next) => {
       });
     }
 
-    // Get subcategories
-    const subcategories = db.getCategories().filter(c => c.parentId === req.params.id);
+    res.json({
+      success: true,
+      data: withDetails(category)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Get products in this category
-    const products = db.getProductsByCategory(req.params.id);
+export const getCategoryBySlug = (req, res, next) => {
+  try {
+    const category = db.getCategories().find(c => c.slug === req.params.slug);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
 
     res.json({
       success: true,
-      data: {
-        ...category,
-        subcategories,
-        products
-      }
+      data: withDetails(category)
     });
   } catch (error) {
     next(error);
@@ -49,7 +90,7 @@ export const createCategory = (req, res, next) => {
     const category = {
       id: `cat-${Date.now()}`,
       name,
-      slug: name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, ''),
+      slug: getUniqueSlug(slugify(name)),
       description,
       image,
       parentId: parentId || null,
@@ -79,7 +120,19 @@ export const updateCategory = (req, res, next) => {
       });
     }
 
-    const updatedCategory = db.updateCategory(req.params.id, req.body);
+    const updates = pickWritableFields(req.body, 'category', 'admin');
+    if (updates.name) {
+      updates.slug = getUniqueSlug(slugify(updates.name), req.params.id);
+    }
+    if (updates.parentId !== undefined) {
+      updates.parentId = updates.parentId || null;
+    }
+
+    const updatedCategory = db.updateCategory(req.params.id, updates);
+    // Products are indexed for search with their category path
+    if (updates.name || updates.parentId !== undefined) {
+      reindexCategory(req.params.id);
+    }
 
     res.json({
       success: true,
@@ -91,6 +144,35 @@ export const updateCategory = (req, res, next) => {
   }
 };
 
+// Move a category under another parent (parentId null for top level). The
+// validator rejects moves that would put a category inside its own subtree.
+export const moveCategory = (req, res, next) => {
+  try {
+    const category = db.getCategoryById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const updatedCategory = db.updateCategory(req.params.id, { parentId: req.body.parentId || null });
+    reindexCategory(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Category moved successfully',
+      data: {
+        ...updatedCategory,
+        breadcrumbs: getBreadcrumbs(updatedCategory.id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 export const deleteCategory = (req, res, next) => {
   try {
     const category = db.getCategoryById(req.params.id);
@@ -102,20 +184,28 @@ export const deleteCategory = (req, res, next) => {
       });
     }
 
-    // Check if category has products
-    const products = db.getProductsByCategory(req.params.id);
-    if (products.length > 0) {
-      return res.status(400).json({
+    const { moveProductsTo, reparentChildrenTo } = req.body;
+    const blockers = getCategoryDeletionBlockers(req.params.id, { moveProductsTo, reparentChildrenTo });
+    if (blockers.length > 0) {
+      return res.status(409).json({
         success: false,
-        message: 'Cannot delete category with existing products'
+        message: 'The category cannot be deleted yet',
+        data: { blockers }
       });
     }
 
-    db.deleteCategory(req.params.id);
+    const children = db.getCategories().filter(c => c.parentId === req.params.id);
+    const movedProductIds = removeCategory(req.params.id, { moveProductsTo, reparentChildrenTo });
+    movedProductIds.forEach(id => indexProduct(db.getProductById(id)));
+    children.forEach(child => reindexCategory(child.id));
 
     res.json({
       success: true,
-      message: 'Category deleted successfully'
+      message: 'Category deleted successfully',
+      data: {
+        movedProductIds,
+        reparentedCategoryIds: children.map(c => c.id)
+      }
     });
   } catch (error) {
     next(error);
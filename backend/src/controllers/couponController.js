@@ -0,0 +1,165 @@
+import db from '../config/database.js';
+import { normalizeCode } from '../services/couponService.js';
+
+export const getCoupons = (req, res, next) => {
+  try {
+    const { active } = req.query;
+    let coupons = db.getCoupons();
+
+    if (active !== undefined) {
+      coupons = coupons.filter(c => c.active === (active === 'true'));
+    }
+
+    res.json({
+      success: true,
+      data: coupons
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getCouponById = (req, res, next) => {
+  try {
+    const coupon = db.getCouponById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createCoupon = (req, res, next) => {
+  try {
+    const {
+      code,
+      type,
+      value,
+      buyQuantity,
+      getQuantity,
+      startsAt,
+      expiresAt,
+      usageLimit,
+      perUserLimit,
+      minSubtotal,
+      categoryIds,
+      sellerIds,
+      active
+    } = req.body;
+
+    const normalizedCode = normalizeCode(code);
+    if (db.getCouponByCode(normalizedCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    const coupon = {
+      id: `coupon-${Date.now()}`,
+      code: normalizedCode,
+      type,
+      value: value ?? null,
+      buyQuantity: buyQuantity ?? null,
+      getQuantity: getQuantity ?? null,
+      startsAt: startsAt || null,
+      expiresAt: expiresAt || null,
+      usageLimit: usageLimit ?? null,
+      perUserLimit: perUserLimit ?? null,
+      usageCount: 0,
+      minSubtotal: minSubtotal || 0,
+      categoryIds: categoryIds || [],
+      sellerIds: sellerIds || [],
+      active: active ?? true,
+      createdBy: req.user.id,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    db.createCoupon(coupon);
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateCoupon = (req, res, next) => {
+  try {
+    const coupon = db.getCouponById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const allowedFields = [
+      'value',
+      'buyQuantity',
+      'getQuantity',
+      'startsAt',
+      'expiresAt',
+      'usageLimit',
+      'perUserLimit',
+      'minSubtotal',
+      'categoryIds',
+      'sellerIds',
+      'active'
+    ];
+
+    const updates = { updatedAt: new Date().toISOString() };
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const updatedCoupon = db.updateCoupon(req.params.id, updates);
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: updatedCoupon
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteCoupon = (req, res, next) => {
+  try {
+    const coupon = db.getCouponById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    db.deleteCoupon(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,124 @@
+import db from '../config/database.js';
+import {
+  recordMovement,
+  resolveStockTarget,
+  getLowStockAlerts,
+  StockError
+} from '../services/inventoryService.js';
+
+// Sellers see their own products; admins see every product, or one seller's
+const getVisibleProducts = (user, sellerId) => {
+  if (user.role === 'admin') {
+    return sellerId ? db.getProductsBySeller(sellerId) : db.getProducts();
+  }
+  return db.getProductsBySeller(user.id);
+};
+
+export const getMovements = (req, res, next) => {
+  try {
+    const { productId, variantId, type, page = 1, limit = 50 } = req.query;
+    const user = db.getUserById(req.user.id);
+
+    // Admins also see movements of products that have since been deleted
+    const productIds = new Set(getVisibleProducts(user).map(p => p.id));
+    let movements = db.getInventoryMovements()
+      .filter(m => user.role === 'admin' || productIds.has(m.productId));
+
+    if (productId) {
+      movements = movements.filter(m => m.productId === productId);
+    }
+
+    if (variantId) {
+      movements = movements.filter(m => m.variantId === variantId);
+    }
+
+    if (type) {
+      movements = movements.filter(m => m.type === type);
+    }
+
+    // Newest first
+    movements = [...movements].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    const startIndex = (parseInt(page) - 1) * parseInt(limit);
+    const endIndex = startIndex + parseInt(limit);
+
+    res.json({
+      success: true,
+      data: {
+        movements: movements.slice(startIndex, endIndex),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: movements.length,
+          pages: Math.ceil(movements.length / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createMovement = (req, res, next) => {
+  try {
+    const { productId, variantId = null, type, quantity, reason } = req.body;
+
+    const product = db.getProductById(productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const user = db.getUserById(req.user.id);
+    if (product.sellerId !== req.user.id && user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to change stock for this product'
+      });
+    }
+
+    const variant = resolveStockTarget(product, variantId);
+    const stock = variant ? variant.stock : product.stock;
+    if (stock + quantity < 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Stock cannot go below zero (currently ${stock})`
+      });
+    }
+
+    const movement = recordMovement({ productId, variantId, type, quantity, reason, actorId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock movement recorded',
+      data: movement
+    });
+  } catch (error) {
+    if (error instanceof StockError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+};
+
+export const getAlerts = (req, res, next) => {
+  try {
+    const user = db.getUserById(req.user.id);
+    const alerts = getLowStockAlerts(getVisibleProducts(user, req.query.sellerId));
+
+    res.json({
+      success: true,
+      data: {
+        alerts,
+        count: alerts.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
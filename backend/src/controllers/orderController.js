@@ -1,4 +1,18 @@
 import db from '../config/database.js';
+import { StockError } from '../services/inventoryService.js';
+import { CouponError } from '../services/couponService.js';
+import { authorizeOrderPayment, PaymentError } from '../services/paymentService.js';
+import {
+  transitionOrder,
+  priceOrder,
+  placeOrder,
+  resolveShippingAddress,
+  getFulfillments,
+  isBuyerCancellable,
+  toSellerOrder,
+  OrderTransitionError,
+  PriceChangedError
+} from '../services/orderService.js';
 
 export const getOrders = (req, res, next) => {
   try {
@@ -21,6 +35,28 @@ export const getOrders = (req, res, next) => {
   }
 };
 
+export const getSellerOrders = (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    // Each seller only sees the fulfilment group holding their own items
+    let sellerOrders = db.getOrders()
+      .filter(order => getFulfillments(order).some(f => f.sellerId === req.user.id))
+      .map(order => toSellerOrder(order, req.user.id));
+
+    if (status) {
+      sellerOrders = sellerOrders.filter(o => o.status === status);
+    }
+
+    res.json({
+      success: true,
+      data: sellerOrders
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 export const getOrderById = (req, res, next) => {
   try {
     const order = db.getOrderById(req.params.id);
@@ -34,91 +70,104 @@ export const getOrderById = (req, res, next) => {
 
     // Check if user owns the order or is admin
     const user = db.getUserById(req.user.id);
-    if (order.userId !== req.user.id && user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to view this order'
+    if (order.userId === req.user.id || user.role === 'admin') {
+      return res.json({
+        success: true,
+        data: order
       });
     }
 
-    res.json({
+    // Sellers may view their own part of the order
+    const sellsInOrder = getFulfillments(order).some(f => f.sellerId === req.user.id);
+    if (user.role === 'seller' && sellsInOrder) {
+      return res.json({
+        success: true,
+        data: toSellerOrder(order, req.user.id)
+      });
+    }
+
+    res.status(403).json({
+      success: false,
+      message: 'You do not have permission to view this order'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createOrder = async (req, res, next) => {
+  try {
+    const { items, shippingAddress, paymentMethod, couponCode } = req.body;
+
+    const order = await placeOrder({
+      userId: req.user.id,
+      items,
+      shippingAddress,
+      paymentMethod,
+      couponCode
+    });
+
+    // Clear user's cart
+    db.clearCart(req.user.id);
+
+    res.status(201).json({
       success: true,
+      message: 'Order created successfully',
       data: order
     });
   } catch (error) {
+    if (error instanceof StockError || error instanceof CouponError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     next(error);
   }
 };
 
-export const createOrder = (req, res, next) => {
+export const checkout = async (req, res, next) => {
   try {
-    const { items, shippingAddress, paymentMethod } = req.body;
+    const { shippingAddress, paymentMethod, expectedTotal } = req.body;
 
-    if (!items || items.length === 0) {
+    // Build the order from the stored cart rather than client-supplied items
+    const items = db.getCartByUser(req.user.id).map(({ productId, variantId, quantity }) => ({ productId, variantId, quantity }));
+    if (items.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Order must contain at least one item'
+        message: 'Your cart is empty'
       });
     }
 
-    // Calculate totals
-    let subtotal = 0;
-    const orderItems = [];
-
-    for (const item of items) {
-      const product = db.getProductById(item.productId);
-      if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: `Product ${item.productId} not found`
-        });
-      }
+    const couponCode = db.getCartCoupon(req.user.id);
 
-      if (product.stock < item.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock for ${product.name}`
-        });
-      }
-
-      const itemTotal = product.price * item.quantity;
-      subtotal += itemTotal;
-
-      orderItems.push({
-        productId: product.id,
-        quantity: item.quantity,
-        price: product.price,
-        name: product.name
+    if (req.query.preview === 'true') {
+      return res.json({
+        success: true,
+        data: priceOrder(items, resolveShippingAddress(req.user.id, shippingAddress), {
+          userId: req.user.id,
+          couponCode
+        })
       });
+    }
 
-      // Update product stock
-      db.updateProduct(product.id, {
-        stock: product.stock - item.quantity
+    // The client confirms the total it was shown in the preview
+    if (expectedTotal === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Confirm the order by sending the previewed total as expectedTotal'
       });
     }
 
-    const tax = subtotal * 0.08; // 8% tax
-    const shipping = 15.99; // Fixed shipping
-    const total = subtotal + tax + shipping;
-
-    const order = {
-      id: `order-${Date.now()}`,
+    const order = await placeOrder({
       userId: req.user.id,
-      items: orderItems,
-      subtotal: parseFloat(subtotal.toFixed(2)),
-      tax: parseFloat(tax.toFixed(2)),
-      shipping: parseFloat(shipping.toFixed(2)),
-      total: parseFloat(total.toFixed(2)),
-      status: 'pending',
-      shippingAddress: shippingAddress || req.user.address,
-      paymentMethod: paymentMethod || 'credit_card',
-      paymentStatus: 'pending',
-      createdAt: new Date().toISOString()
-    };
-
-    db.createOrder(order);
+      items,
+      shippingAddress,
+      paymentMethod,
+      couponCode,
+      expectedTotal
+    });
 
-    // Clear user's cart
     db.clearCart(req.user.id);
 
     res.status(201).json({
@@ -127,22 +176,72 @@ export const createOrder = (req, res, next) => {
       data: order
     });
   } catch (error) {
+    if (error instanceof PriceChangedError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        data: error.quote
+      });
+    }
+    if (error instanceof StockError || error instanceof CouponError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     next(error);
   }
 };
 
-export const updateOrderStatus = (req, res, next) => {
+export const updateOrderStatus = async (req, res, next) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+    const { status, note, sellerId } = req.body;
 
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
+    const order = db.getOrderById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid order status'
+        message: 'Order not found'
       });
     }
 
+    // Only admin or seller can update order status
+    const user = db.getUserById(req.user.id);
+    if (user.role !== 'admin' && user.role !== 'seller') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update order status'
+      });
+    }
+
+    // Sellers only move their own fulfilment group; admins may target one
+    // seller's group or the whole order
+    const updatedOrder = await transitionOrder(req.params.id, status, {
+      changedBy: req.user.id,
+      note,
+      sellerId: user.role === 'seller' ? user.id : sellerId
+    });
+
+    const data = user.role === 'seller' ? toSellerOrder(updatedOrder, user.id) : updatedOrder;
+
+    res.json({
+      success: true,
+      message: 'Order status updated successfully',
+      data
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError || error instanceof PaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+};
+
+export const cancelOrder = async (req, res, next) => {
+  try {
     const order = db.getOrderById(req.params.id);
     if (!order) {
       return res.status(404).json({
@@ -151,33 +250,84 @@ export const updateOrderStatus = (req, res, next) => {
       });
     }
 
-    // Only admin or seller can update order status
+    // Buyers can cancel their own orders until they ship, admins at any allowed point
     const user = db.getUserById(req.user.id);
-    if (user.role !== 'admin' && user.role !== 'seller') {
+    if (order.userId !== req.user.id && user.role !== 'admin') {
       return res.status(403).json({
         success: false,
-        message: 'You do not have permission to update order status'
+        message: 'You do not have permission to cancel this order'
       });
     }
 
-    const updates = { status };
-    if (status === 'shipped') {
-      updates.shippedAt = new Date().toISOString();
+    if (user.role !== 'admin' && !isBuyerCancellable(order)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Orders can only be cancelled before any of their items have shipped'
+      });
     }
-    if (status === 'delivered') {
-      updates.deliveredAt = new Date().toISOString();
-      updates.paymentStatus = 'paid';
+
+    const cancelledOrder = await transitionOrder(req.params.id, 'cancelled', {
+      changedBy: req.user.id,
+      note: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Order cancelled successfully',
+      data: cancelledOrder
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError || error instanceof PaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
     }
+    next(error);
+  }
+};
 
-    const updatedOrder = db.updateOrder(req.params.id, updates);
+export const payOrder = async (req, res, next) => {
+  try {
+    const order = db.getOrderById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to pay for this order'
+      });
+    }
+
+    const updatedOrder = await authorizeOrderPayment(req.params.id, {
+      paymentToken: req.body.paymentToken
+    });
+
+    if (updatedOrder.paymentStatus === 'failed') {
+      return res.status(402).json({
+        success: false,
+        message: updatedOrder.paymentFailureReason || 'Payment failed',
+        data: updatedOrder
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Order status updated successfully',
+      message: 'Payment authorized',
       data: updatedOrder
     });
   } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     next(error);
   }
 };
-
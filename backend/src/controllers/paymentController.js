@@ -0,0 +1,22 @@
+import { handlePaymentWebhook, PaymentError } from '../services/paymentService.js';
+
+export const handleWebhook = async (req, res, next) => {
+  try {
+    const signature = req.headers['x-payment-signature'];
+    const order = await handlePaymentWebhook(req.rawBody?.toString('utf8'), signature);
+
+    res.json({
+      success: true,
+      received: true,
+      ...(order && { data: { orderId: order.id, paymentStatus: order.paymentStatus } })
+    });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+};
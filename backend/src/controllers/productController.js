@@ -1,27 +1,23 @@
 import db from '../config/database.js';
+import { pickWritableFields } from '../config/writableFields.js';
+import { slugify } from '../utils/slugify.js';
+import { searchProducts, indexProduct, removeProductFromIndex } from '../services/searchService.js';
+import { createProductFilters, applyFilters, buildFacets } from '../services/facetService.js';
+import { getBreadcrumbs } from '../services/categoryService.js';
+import { buildVariants } from '../services/variantService.js';
+import { takeStockLevels, setStockLevels } from '../services/inventoryService.js';
 
 export const getProducts = (req, res, next) => {
   try {
-    const { category, seller, search, featured, minPrice, maxPrice, sort, page = 1, limit = 20 } = req.query;
+    const { search, featured, sort, page = 1, limit = 20 } = req.query;
     
     let products = db.getProducts();
-    // Filter by category
-    if (category) {
-      products = products.filter(p => p.categoryId === category);
-    }
-
-    // Filter by seller
-    if (seller) {
-      products = products.filter(p => p.sellerId === seller);
-    }
 
-    // Search by name or description
+    // Full-text search over name, description, tags, SKU, category and specifications
+    let relevance = null;
     if (search) {
-      const searchLower = search.toLowerCase();
-      products = products.filter(p => 
-        p.name.toLowerCase().includes(searchLower) ||
-        p.description.toLowerCase().includes(searchLower)
-      );
+      relevance = searchProducts(search);
+      products = products.filter(p => relevance.has(p.id));
     }
 
     // Filter by featured
@@ -29,16 +25,16 @@ export const getProducts = (req, res, next) => {
       products = products.filter(p => p.featured === true);
     }
 
-    // Filter by price range
-    if (minPrice) {
-      products = products.filter(p => p.price >= parseFloat(minPrice));
-    }
-    if (maxPrice) {
-      products = products.filter(p => p.price <= parseFloat(maxPrice));
-    }
+    // Facet filters (category, seller, tags, price, rating, specifications);
+    // facet counts are taken before they narrow the listing
+    const filters = createProductFilters(req.query);
+    const facets = buildFacets(products, filters);
+    products = applyFilters(products, filters);
 
-    // Sort
-    if (sort === 'price_asc') {
+    // Sort (search results default to relevance)
+    if (relevance && (sort === 'relevance' || !sort)) {
+      products.sort((a, b) => relevance.get(b.id) - relevance.get(a.id) || b.rating - a.rating);
+    } else if (sort === 'price_asc') {
       products.sort((a, b) => a.price - b.price);
     } else if (sort === 'price_desc') {
       products.sort((a, b) => b.price - a.price);
@@ -62,7 +58,8 @@ export const getProducts = (req, res, next) => {
           limit: parseInt(limit),
           total: products.length,
           pages: Math.ceil(products.length / parseInt(limit))
-        }
+        },
+        facets
       }
     });
   } catch (error) {
@@ -88,6 +85,7 @@ export const getProductById = (req, res, next) => {
       success: true,
       data: {
         ...product,
+        breadcrumbs: getBreadcrumbs(product.categoryId),
         reviews
       }
     });
@@ -108,7 +106,12 @@ export const createProduct = (req, res, next) => {
       stock,
       sku,
       tags,
-      specifications
+      specifications,
+      options,
+      variants,
+      lowStockThreshold,
+      featured,
+      status
     } = req.body;
 
     // Check if seller
@@ -120,10 +123,13 @@ export const createProduct = (req, res, next) => {
       });
     }
 
+    const productSku = sku || `SKU-${Date.now()}`;
+    const productVariants = buildVariants(variants || [], { baseSku: productSku });
+
     const product = {
       id: `prod-${Date.now()}`,
       name,
-      slug: name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, ''),
+      slug: slugify(name),
       description,
       price: parseFloat(price),
       compareAtPrice: compareAtPrice ? parseFloat(compareAtPrice) : null,
@@ -131,23 +137,31 @@ export const createProduct = (req, res, next) => {
       sellerId: req.user.id,
       images: images || [],
       stock: parseInt(stock) || 0,
-      sku: sku || `SKU-${Date.now()}`,
-      status: 'active',
-      featured: false,
+      sku: productSku,
+      // Only admins get past writableFields with these set
+      status: status || 'active',
+      featured: featured || false,
       rating: 0,
       reviewCount: 0,
       tags: tags || [],
       specifications: specifications || {},
+      options: options || [],
+      variants: productVariants,
+      lowStockThreshold: lowStockThreshold ?? null,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
 
+    // Starting stock is recorded in the inventory ledger
+    const stockLevels = takeStockLevels(null, product);
     db.createProduct(product);
+    const createdProduct = setStockLevels(product.id, stockLevels, { actorId: req.user.id, reason: 'Product created' });
+    indexProduct(createdProduct);
 
     res.status(201).json({
       success: true,
       message: 'Product created successfully',
-      data: product
+      data: createdProduct
     });
   } catch (error) {
     next(error);
@@ -175,11 +189,27 @@ export const updateProduct = (req, res, next) => {
     }
 
     const updates = {
-      ...req.body,
+      ...pickWritableFields(req.body, 'product', user.role),
       updatedAt: new Date().toISOString()
     };
 
-    const updatedProduct = db.updateProduct(req.params.id, updates);
+    if (updates.name) {
+      updates.slug = slugify(updates.name);
+    }
+
+    // Variants sent back with their id keep it; the rest are replaced
+    if (updates.variants) {
+      updates.variants = buildVariants(updates.variants, {
+        existing: product.variants || [],
+        baseSku: updates.sku || product.sku
+      });
+    }
+
+    // Stock changes are recorded in the inventory ledger as adjustments
+    const stockLevels = takeStockLevels(product, updates);
+    db.updateProduct(req.params.id, updates);
+    const updatedProduct = setStockLevels(req.params.id, stockLevels, { actorId: req.user.id, reason: 'Product updated' });
+    indexProduct(updatedProduct);
 
     res.json({
       success: true,
@@ -212,6 +242,7 @@ export const deleteProduct = (req, res, next) => {
     }
 
     db.deleteProduct(req.params.id);
+    removeProductFromIndex(req.params.id);
 
     res.json({
       success: true,
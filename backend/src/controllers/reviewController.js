@@ -0,0 +1,200 @@
+import db from '../config/database.js';
+
+// Recalculate the aggregated rating and review count stored on a product
+const updateProductRating = (productId) => {
+  const reviews = db.getReviewsByProduct(productId);
+  const reviewCount = reviews.length;
+  const rating = reviewCount > 0
+    ? reviews.reduce((sum, review) => sum + review.rating, 0) / reviewCount
+    : 0;
+
+  return db.updateProduct(productId, {
+    rating: parseFloat(rating.toFixed(1)),
+    reviewCount
+  });
+};
+
+export const getReviews = (req, res, next) => {
+  try {
+    const { productId, userId, page = 1, limit = 20 } = req.query;
+
+    let reviews = db.getReviews();
+
+    // Filter by product
+    if (productId) {
+      reviews = reviews.filter(r => r.productId === productId);
+    }
+
+    // Filter by user
+    if (userId) {
+      reviews = reviews.filter(r => r.userId === userId);
+    }
+
+    // Newest first
+    reviews = [...reviews].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    // Pagination
+    const startIndex = (parseInt(page) - 1) * parseInt(limit);
+    const endIndex = startIndex + parseInt(limit);
+    const paginatedReviews = reviews.slice(startIndex, endIndex);
+
+    res.json({
+      success: true,
+      data: {
+        reviews: paginatedReviews,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: reviews.length,
+          pages: Math.ceil(reviews.length / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getReviewById = (req, res, next) => {
+  try {
+    const review = db.getReviewById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createReview = (req, res, next) => {
+  try {
+    const { productId, rating, title, comment } = req.body;
+
+    // Check if product exists
+    const product = db.getProductById(productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Only one review per user per product
+    const existingReview = db.getReviewsByProduct(productId).find(r => r.userId === req.user.id);
+    if (existingReview) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this product'
+      });
+    }
+
+    // Mark as verified if the user has a delivered order containing the product
+    const verifiedPurchase = db.getOrdersByUser(req.user.id).some(order =>
+      order.status === 'delivered' &&
+      order.items.some(item => item.productId === productId)
+    );
+
+    const review = {
+      id: `review-${Date.now()}`,
+      productId,
+      userId: req.user.id,
+      rating,
+      title,
+      comment,
+      verifiedPurchase,
+      createdAt: new Date().toISOString()
+    };
+
+    db.createReview(review);
+    updateProductRating(productId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Review created successfully',
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateReview = (req, res, next) => {
+  try {
+    const review = db.getReviewById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    // Only the author can edit a review
+    if (review.userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this review'
+      });
+    }
+
+    const { rating, title, comment } = req.body;
+    const updates = {};
+
+    if (rating !== undefined) updates.rating = rating;
+    if (title !== undefined) updates.title = title;
+    if (comment !== undefined) updates.comment = comment;
+    updates.updatedAt = new Date().toISOString();
+
+    const updatedReview = db.updateReview(req.params.id, updates);
+    updateProductRating(review.productId);
+
+    res.json({
+      success: true,
+      message: 'Review updated successfully',
+      data: updatedReview
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteReview = (req, res, next) => {
+  try {
+    const review = db.getReviewById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    // Check if user owns the review or is admin
+    const user = db.getUserById(req.user.id);
+    if (review.userId !== req.user.id && user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this review'
+      });
+    }
+
+    db.deleteReview(req.params.id);
+    updateProductRating(review.productId);
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,206 @@
+import db from '../config/database.js';
+import { deliver, sendSellerApplicationDecisionEmail } from '../services/mailService.js';
+import { recordAdminAction } from '../services/auditLogService.js';
+
+const findPendingApplication = (userId) =>
+  db.getSellerApplicationsByUser(userId).find(a => a.status === 'pending');
+
+export const createSellerApplication = (req, res, next) => {
+  try {
+    const user = db.getUserById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.role !== 'buyer') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only buyer accounts can apply to become sellers'
+      });
+    }
+
+    if (findPendingApplication(user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a pending seller application'
+      });
+    }
+
+    const { storeName, description, contactEmail, contactPhone, payout } = req.body;
+
+    const application = {
+      id: `seller-app-${Date.now()}`,
+      userId: user.id,
+      storeName,
+      description,
+      contactEmail: contactEmail || user.email,
+      contactPhone,
+      payout,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    };
+
+    db.createSellerApplication(application);
+    db.updateUser(user.id, { sellerStatus: 'pending' });
+
+    res.status(201).json({
+      success: true,
+      message: 'Seller application submitted',
+      data: application
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getMySellerApplications = (req, res, next) => {
+  try {
+    const applications = [...db.getSellerApplicationsByUser(req.user.id)]
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.json({
+      success: true,
+      data: applications
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getSellerApplications = (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    let applications = db.getSellerApplications();
+
+    if (status) {
+      applications = applications.filter(a => a.status === status);
+    }
+
+    // Oldest first, so the review queue is worked in order
+    applications = [...applications].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    const startIndex = (parseInt(page) - 1) * parseInt(limit);
+    const endIndex = startIndex + parseInt(limit);
+
+    res.json({
+      success: true,
+      data: {
+        applications: applications.slice(startIndex, endIndex),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: applications.length,
+          pages: Math.ceil(applications.length / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getSellerApplicationById = (req, res, next) => {
+  try {
+    const application = db.getSellerApplicationById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seller application not found'
+      });
+    }
+
+    // Applicants can see their own applications, admins can see all
+    const user = db.getUserById(req.user.id);
+    if (application.userId !== req.user.id && user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this application'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: application
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Approve or reject a pending application and update the applicant's account
+const reviewApplication = (status) => async (req, res, next) => {
+  try {
+    const application = db.getSellerApplicationById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seller application not found'
+      });
+    }
+
+    if (application.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Application has already been ${application.status}`
+      });
+    }
+
+    const applicant = db.getUserById(application.userId);
+    if (!applicant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Applicant not found'
+      });
+    }
+
+    const updatedApplication = db.updateSellerApplication(application.id, {
+      status,
+      ...(status === 'rejected' && { rejectionReason: req.body.reason }),
+      reviewedBy: req.user.id,
+      reviewedAt: new Date().toISOString()
+    });
+
+    if (status === 'approved') {
+      db.updateUser(applicant.id, {
+        role: 'seller',
+        sellerStatus: 'approved',
+        sellerProfile: {
+          applicationId: application.id,
+          storeName: application.storeName,
+          description: application.description,
+          contactEmail: application.contactEmail,
+          contactPhone: application.contactPhone,
+          payout: application.payout
+        }
+      });
+    } else {
+      db.updateUser(applicant.id, { sellerStatus: 'rejected' });
+    }
+
+    recordAdminAction(req.user.id, `seller_application.${status}`, {
+      targetType: 'sellerApplication',
+      targetId: application.id,
+      details: { userId: applicant.id, ...(status === 'rejected' && { reason: req.body.reason }) }
+    });
+
+    await deliver(() => sendSellerApplicationDecisionEmail(applicant, updatedApplication));
+
+    res.json({
+      success: true,
+      message: `Seller application ${status}`,
+      data: updatedApplication
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const approveSellerApplication = reviewApplication('approved');
+
+export const rejectSellerApplication = reviewApplication('rejected');
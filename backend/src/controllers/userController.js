@@ -0,0 +1,279 @@
+import db from '../config/database.js';
+import { disableTwoFactor } from '../services/twoFactorService.js';
+import { revokeAllUserTokens } from '../services/tokenService.js';
+import { recordAdminAction } from '../services/auditLogService.js';
+import { deliver, sendPasswordResetEmail } from '../services/mailService.js';
+import { TOKEN_TYPES, createUserToken } from '../services/userTokenService.js';
+
+const toUserResponse = ({ password: _, ...user }) => ({ ...user, status: user.status || 'active' });
+
+const userNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'User not found'
+});
+
+// Admins can't demote, suspend or ban themselves and lose access by accident
+const isSelf = (req, res) => {
+  if (req.params.id !== req.user.id) {
+    return false;
+  }
+  res.status(400).json({
+    success: false,
+    message: 'You cannot perform this action on your own account'
+  });
+  return true;
+};
+
+export const getUsers = (req, res, next) => {
+  try {
+    const { search, role, status, page = 1, limit = 20 } = req.query;
+
+    let users = db.getUsers();
+
+    // Search by name or email
+    if (search) {
+      const term = search.toLowerCase();
+      users = users.filter(u =>
+        u.email.toLowerCase().includes(term) ||
+        `${u.firstName || ''} ${u.lastName || ''}`.toLowerCase().includes(term)
+      );
+    }
+
+    if (role) {
+      users = users.filter(u => u.role === role);
+    }
+
+    if (status) {
+      users = users.filter(u => (u.status || 'active') === status);
+    }
+
+    // Newest first
+    users = [...users].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    const startIndex = (parseInt(page) - 1) * parseInt(limit);
+    const endIndex = startIndex + parseInt(limit);
+
+    res.json({
+      success: true,
+      data: {
+        users: users.slice(startIndex, endIndex).map(toUserResponse),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: users.length,
+          pages: Math.ceil(users.length / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getUserById = (req, res, next) => {
+  try {
+    const user = db.getUserById(req.params.id);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    const orders = [...db.getOrdersByUser(user.id)]
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.json({
+      success: true,
+      data: {
+        user: toUserResponse(user),
+        orders,
+        products: db.getProductsBySeller(user.id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateUserRole = (req, res, next) => {
+  try {
+    const user = db.getUserById(req.params.id);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    if (isSelf(req, res)) return;
+
+    const { role } = req.body;
+    const updates = { role };
+
+    // Admins making someone a seller skip the application process
+    if (role === 'seller') {
+      updates.sellerStatus = 'approved';
+    }
+
+    const updatedUser = db.updateUser(user.id, updates);
+    recordAdminAction(req.user.id, 'user.role_changed', {
+      targetType: 'user',
+      targetId: user.id,
+      details: { from: user.role, to: role }
+    });
+
+    res.json({
+      success: true,
+      message: 'User role updated',
+      data: toUserResponse(updatedUser)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Suspend or ban a user and end all of their sessions
+const restrictUser = (status) => (req, res, next) => {
+  try {
+    const user = db.getUserById(req.params.id);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    if (isSelf(req, res)) return;
+
+    const { reason, until } = req.body;
+
+    const updatedUser = db.updateUser(user.id, {
+      status,
+      statusReason: reason,
+      suspendedUntil: status === 'suspended' ? until || null : null,
+      statusChangedAt: new Date().toISOString()
+    });
+    revokeAllUserTokens(user.id);
+
+    recordAdminAction(req.user.id, `user.${status}`, {
+      targetType: 'user',
+      targetId: user.id,
+      details: { reason, ...(status === 'suspended' && until && { until }) }
+    });
+
+    res.json({
+      success: true,
+      message: status === 'banned' ? 'User banned' : 'User suspended',
+      data: toUserResponse(updatedUser)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const suspendUser = restrictUser('suspended');
+
+export const banUser = restrictUser('banned');
+
+export const reinstateUser = (req, res, next) => {
+  try {
+    const user = db.getUserById(req.params.id);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    const updatedUser = db.updateUser(user.id, {
+      status: 'active',
+      statusReason: null,
+      suspendedUntil: null,
+      statusChangedAt: new Date().toISOString()
+    });
+
+    recordAdminAction(req.user.id, 'user.reinstated', {
+      targetType: 'user',
+      targetId: user.id,
+      details: { previousStatus: user.status || 'active' }
+    });
+
+    res.json({
+      success: true,
+      message: 'User reinstated',
+      data: toUserResponse(updatedUser)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sign the user out everywhere and require a new password before the next login
+export const forcePasswordReset = async (req, res, next) => {
+  try {
+    const user = db.getUserById(req.params.id);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    db.updateUser(user.id, { passwordResetRequired: true });
+    revokeAllUserTokens(user.id);
+
+    await deliver(() => sendPasswordResetEmail(
+      user,
+      createUserToken(user.id, TOKEN_TYPES.passwordReset)
+    ));
+
+    recordAdminAction(req.user.id, 'user.password_reset_forced', {
+      targetType: 'user',
+      targetId: user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Password reset required. The user has been signed out and emailed a reset link.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const setTwoFactorRequirement = (req, res, next) => {
+  try {
+    const user = db.getUserById(req.params.id);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    const updatedUser = db.updateUser(user.id, { twoFactorRequired: req.body.required });
+
+    recordAdminAction(req.user.id, 'user.two_factor_requirement_changed', {
+      targetType: 'user',
+      targetId: user.id,
+      details: { required: req.body.required }
+    });
+
+    res.json({
+      success: true,
+      message: req.body.required
+        ? 'Two-factor authentication is now required for this user'
+        : 'Two-factor authentication is no longer required for this user',
+      data: toUserResponse(updatedUser)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove a user's 2FA, e.g. after they lost their device and recovery codes
+export const resetTwoFactor = (req, res, next) => {
+  try {
+    const user = db.getUserById(req.params.id);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    disableTwoFactor(user.id);
+
+    recordAdminAction(req.user.id, 'user.two_factor_reset', {
+      targetType: 'user',
+      targetId: user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
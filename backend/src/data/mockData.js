@@ -31,6 +31,12 @@ const generateUsers = () => {
       firstName: 'Jane',
       lastName: 'Smith',
       role: 'seller',
+      sellerStatus: 'approved',
+      sellerProfile: {
+        storeName: 'Jane\'s Tech Corner',
+        contactEmail: 'jane.smith@example.com',
+        contactPhone: '+1234567891'
+      },
       phone: '+1234567891',
       address: {
         street: '456 Oak Ave',
@@ -49,6 +55,12 @@ const generateUsers = () => {
       firstName: 'Bob',
       lastName: 'Wilson',
       role: 'seller',
+      sellerStatus: 'approved',
+      sellerProfile: {
+        storeName: 'Wilson Home & Books',
+        contactEmail: 'bob.wilson@example.com',
+        contactPhone: '+1234567892'
+      },
       phone: '+1234567892',
       address: {
         street: '789 Pine Rd',
@@ -214,6 +226,7 @@ const generateProducts = () => {
         'https://via.placeholder.com/800x600?text=MacBook+Pro+2'
       ],
       stock: 25,
+      lowStockThreshold: 30,
       sku: 'MBP16-001',
       status: 'active',
       featured: true,
@@ -253,6 +266,20 @@ const generateProducts = () => {
         color: 'White/Black',
         material: 'Leather and Mesh'
       },
+      options: [
+        { name: 'size', values: ['8', '9', '10', '11'] },
+        { name: 'color', values: ['White/Black', 'Triple Black'] }
+      ],
+      variants: [
+        { id: 'var-3-8-wb', sku: 'NIKE-AM90-001-8-WB', options: { size: '8', color: 'White/Black' }, price: null, stock: 15, images: [] },
+        { id: 'var-3-9-wb', sku: 'NIKE-AM90-001-9-WB', options: { size: '9', color: 'White/Black' }, price: null, stock: 15, images: [] },
+        { id: 'var-3-10-wb', sku: 'NIKE-AM90-001-10-WB', options: { size: '10', color: 'White/Black' }, price: null, stock: 15, images: [] },
+        { id: 'var-3-11-wb', sku: 'NIKE-AM90-001-11-WB', options: { size: '11', color: 'White/Black' }, price: null, stock: 15, images: [] },
+        { id: 'var-3-8-tb', sku: 'NIKE-AM90-001-8-TB', options: { size: '8', color: 'Triple Black' }, price: 124.99, stock: 10, images: [] },
+        { id: 'var-3-9-tb', sku: 'NIKE-AM90-001-9-TB', options: { size: '9', color: 'Triple Black' }, price: 124.99, stock: 10, images: [] },
+        { id: 'var-3-10-tb', sku: 'NIKE-AM90-001-10-TB', options: { size: '10', color: 'Triple Black' }, price: 124.99, stock: 10, images: [] },
+        { id: 'var-3-11-tb', sku: 'NIKE-AM90-001-11-TB', options: { size: '11', color: 'Triple Black' }, price: 124.99, stock: 10, images: [] }
+      ],
       createdAt: new Date('2024-02-05').toISOString(),
       updatedAt: new Date('2024-02-05').toISOString()
     },
@@ -444,6 +471,9 @@ const generateOrders = () => {
       items: [
         {
           productId: 'prod-3',
+          variantId: 'var-3-9-wb',
+          sku: 'NIKE-AM90-001-9-WB',
+          variantName: '9 / White/Black',
           quantity: 2,
           price: 119.99,
           name: 'Nike Air Max 90'
@@ -558,11 +588,122 @@ const generateReviews = () => {
   ];
 };
 
+// Generate mock coupons
+const generateCoupons = () => {
+  return [
+    {
+      id: 'coupon-1',
+      code: 'WELCOME10',
+      type: 'percentage',
+      value: 10,
+      buyQuantity: null,
+      getQuantity: null,
+      startsAt: null,
+      expiresAt: null,
+      usageLimit: null,
+      perUserLimit: 1,
+      usageCount: 0,
+      minSubtotal: 0,
+      categoryIds: [],
+      sellerIds: [],
+      active: true,
+      createdBy: 'user-5',
+      createdAt: new Date('2024-01-01').toISOString(),
+      updatedAt: new Date('2024-01-01').toISOString()
+    },
+    {
+      id: 'coupon-2',
+      code: 'TECH50',
+      type: 'fixed',
+      value: 50,
+      buyQuantity: null,
+      getQuantity: null,
+      startsAt: null,
+      expiresAt: null,
+      usageLimit: 100,
+      perUserLimit: null,
+      usageCount: 0,
+      minSubtotal: 500,
+      categoryIds: ['cat-1'],
+      sellerIds: [],
+      active: true,
+      createdBy: 'user-5',
+      createdAt: new Date('2024-01-01').toISOString(),
+      updatedAt: new Date('2024-01-01').toISOString()
+    },
+    {
+      id: 'coupon-3',
+      code: 'SHIPFREE',
+      type: 'free_shipping',
+      value: null,
+      buyQuantity: null,
+      getQuantity: null,
+      startsAt: null,
+      expiresAt: null,
+      usageLimit: null,
+      perUserLimit: null,
+      usageCount: 0,
+      minSubtotal: 25,
+      categoryIds: [],
+      sellerIds: [],
+      active: true,
+      createdBy: 'user-5',
+      createdAt: new Date('2024-01-01').toISOString(),
+      updatedAt: new Date('2024-01-01').toISOString()
+    },
+    {
+      id: 'coupon-4',
+      code: 'BOOKS3FOR2',
+      type: 'buy_x_get_y',
+      value: null,
+      buyQuantity: 2,
+      getQuantity: 1,
+      startsAt: null,
+      expiresAt: null,
+      usageLimit: null,
+      perUserLimit: null,
+      usageCount: 0,
+      minSubtotal: 0,
+      categoryIds: ['cat-4'],
+      sellerIds: [],
+      active: true,
+      createdBy: 'user-5',
+      createdAt: new Date('2024-01-01').toISOString(),
+      updatedAt: new Date('2024-01-01').toISOString()
+    }
+  ];
+};
+
+// Opening ledger entries matching each product's (or variant's) stock
+const generateInventoryMovements = (products) => {
+  return products.flatMap(product => {
+    const levels = product.variants?.length
+      ? product.variants.map(v => ({ variantId: v.id, stock: v.stock }))
+      : [{ variantId: null, stock: product.stock }];
+
+    return levels.map(({ variantId, stock }) => ({
+      id: `inv-${variantId || product.id}`,
+      productId: product.id,
+      variantId,
+      type: 'initial',
+      quantity: stock,
+      balance: stock,
+      reason: 'Opening stock',
+      actorId: product.sellerId,
+      createdAt: product.createdAt
+    }));
+  });
+};
+
+const products = generateProducts();
+
 export const mockData = {
   users: generateUsers(),
   categories: generateCategories(),
-  products: generateProducts(),
+  products,
   orders: generateOrders(),
-  reviews: generateReviews()
+  reviews: generateReviews(),
+  coupons: generateCoupons(),
+  inventoryMovements: generateInventoryMovements(products)
 };
 
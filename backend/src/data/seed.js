@@ -0,0 +1,14 @@
+import { mockData } from './mockData.js';
+
+// Replace everything in the database with the mock data set
+export const seedDatabase = (db) => {
+  db.reset();
+
+  mockData.users.forEach(user => db.createUser(user));
+  mockData.categories.forEach(category => db.createCategory(category));
+  mockData.products.forEach(product => db.createProduct(product));
+  mockData.orders.forEach(order => db.createOrder(order));
+  mockData.reviews.forEach(review => db.createReview(review));
+  mockData.coupons.forEach(coupon => db.createCoupon(coupon));
+  mockData.inventoryMovements.forEach(movement => db.createInventoryMovement(movement));
+};
@@ -1,4 +1,9 @@
 import jwt from 'jsonwebtoken';
+import config from '../config/env.js';
+import db from '../config/database.js';
+import { isAccessTokenActive } from '../services/tokenService.js';
+import { touchSession } from '../services/sessionService.js';
+import { getAccountRestriction } from '../services/accountService.js';
 
 export const authenticate = (req, res, next) => {
   try {
@@ -11,7 +16,29 @@ export const authenticate = (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = jwt.verify(token, config.jwt.secret);
+
+    // Reject tokens whose refresh token was revoked (logout) or rotated
+    if (!isAccessTokenActive(decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked.'
+      });
+    }
+
+    // Suspended and banned accounts are locked out even with a valid token
+    const restriction = getAccountRestriction(db.getUserById(decoded.id));
+    if (restriction) {
+      return res.status(403).json({
+        success: false,
+        message: restriction
+      });
+    }
+
+    if (decoded.sid) {
+      touchSession(decoded.sid, { ip: req.ip });
+    }
+
     req.user = decoded;
     next();
   } catch (error) {
@@ -22,6 +49,20 @@ export const authenticate = (req, res, next) => {
   }
 };
 
+// Require a verified email address, e.g. before placing orders
+export const requireVerified = (req, res, next) => {
+  const user = db.getUserById(req.user?.id);
+
+  if (!user?.isVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before checking out.'
+    });
+  }
+
+  next();
+};
+
 export const authorize = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -31,13 +72,29 @@ export const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    // Check the stored account rather than the token, so role changes and
+    // seller approvals take effect immediately
+    const user = db.getUserById(req.user.id);
+    const hasRole = user && roles.includes(user.role) &&
+      (user.role !== 'seller' || user.sellerStatus === 'approved');
+
+    if (!hasRole) {
       return res.status(403).json({ 
         success: false, 
         message: 'You do not have permission to perform this action.' 
       });
     }
 
+    // Admins can require 2FA for an account; until it is set up, privileged
+    // actions are refused
+    if (user.twoFactorRequired && !user.twoFactorEnabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication must be enabled for this account.'
+      });
+    }
+
+    req.user.role = user.role;
     next();
   };
 };
@@ -1,3 +1,5 @@
+import config from '../config/env.js';
+
 export const errorHandler = (err, req, res, next) => {
   console.error('Error:', err);
 
@@ -22,7 +24,7 @@ export const errorHandler = (err, req, res, next) => {
   res.status(err.status || 500).json({
     success: false,
     message: err.message || 'Internal server error',
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
+    ...(config.exposeErrorStack && { stack: err.stack })
   });
 };
 
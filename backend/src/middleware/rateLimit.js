@@ -0,0 +1,49 @@
+import { rateLimitConfig } from '../config/rateLimits.js';
+import { rateLimitStore } from '../services/rateLimitStore.js';
+
+const getKey = (req, keyBy) => {
+  if (keyBy === 'user' && req.user?.id) {
+    return `user:${req.user.id}`;
+  }
+  return `ip:${req.ip}`;
+};
+
+// Limit requests using a named policy from config/rateLimits.js
+export const rateLimit = (policyName) => {
+  const policy = rateLimitConfig.policies[policyName];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy "${policyName}"`);
+  }
+
+  return async (req, res, next) => {
+    if (!rateLimitConfig.enabled) {
+      return next();
+    }
+
+    try {
+      const { count, resetAt } = await rateLimitStore.increment(
+        `ratelimit:${policyName}:${getKey(req, policy.keyBy)}`,
+        policy.windowMs
+      );
+      const resetSeconds = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0);
+
+      res.set({
+        'X-RateLimit-Limit': policy.max,
+        'X-RateLimit-Remaining': Math.max(policy.max - count, 0),
+        'X-RateLimit-Reset': Math.ceil(resetAt / 1000)
+      });
+
+      if (count > policy.max) {
+        res.set('Retry-After', resetSeconds);
+        return res.status(429).json({
+          success: false,
+          message: 'Too many requests, please try again later.'
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
@@ -0,0 +1,34 @@
+import { validationResult } from 'express-validator';
+
+export class ValidationError extends Error {
+  constructor(errors) {
+    super('Validation error');
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+// Run a validation schema and hand any failures to the error handler,
+// which responds with a 400 listing every field error
+export const validate = (schema) => {
+  return async (req, res, next) => {
+    try {
+      await schema.run(req);
+
+      const result = validationResult(req);
+      if (result.isEmpty()) {
+        return next();
+      }
+
+      const errors = result.array().map(error => ({
+        field: error.path,
+        location: error.location,
+        message: error.msg
+      }));
+
+      next(new ValidationError(errors));
+    } catch (error) {
+      next(error);
+    }
+  };
+};
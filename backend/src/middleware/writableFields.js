@@ -0,0 +1,26 @@
+import { getWritableFields, isWritableByAnyRole } from '../config/writableFields.js';
+import { ValidationError } from './validate.js';
+
+// Reject request bodies that try to set fields the user's role may not write.
+// Runs after authorize, which loads the current role into req.user.
+export const writableFields = (resource) => {
+  return (req, res, next) => {
+    const allowed = getWritableFields(resource, req.user.role);
+
+    const errors = Object.keys(req.body || {})
+      .filter(field => !allowed.includes(field))
+      .map(field => ({
+        field,
+        location: 'body',
+        message: isWritableByAnyRole(resource, field)
+          ? `You do not have permission to set ${field}`
+          : `${field} cannot be set`
+      }));
+
+    if (errors.length > 0) {
+      return next(new ValidationError(errors));
+    }
+
+    next();
+  };
+};
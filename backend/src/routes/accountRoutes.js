@@ -0,0 +1,14 @@
+import express from 'express';
+import { exportAccountData, deleteAccount } from '../controllers/accountController.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { deleteAccountSchema } from '../validators/accountValidators.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/export', exportAccountData);
+router.delete('/', validate(deleteAccountSchema), deleteAccount);
+
+export default router;
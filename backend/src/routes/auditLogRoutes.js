@@ -0,0 +1,11 @@
+import express from 'express';
+import { getAuditLogs } from '../controllers/auditLogController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { listAuditLogsSchema } from '../validators/auditLogValidators.js';
+
+const router = express.Router();
+
+router.get('/', authenticate, authorize('admin'), validate(listAuditLogsSchema), getAuditLogs);
+
+export default router;
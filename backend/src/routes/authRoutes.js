@@ -1,13 +1,64 @@
 import express from 'express';
-import { register, login, getProfile, updateProfile } from '../controllers/authController.js';
+import {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  getProfile,
+  updateProfile,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateTwoFactorRecoveryCodes,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
+} from '../controllers/authController.js';
 import { authenticate } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  updateProfileSchema,
+  verifyEmailSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+  twoFactorCodeSchema,
+  verifyTwoFactorLoginSchema,
+  disableTwoFactorSchema
+} from '../validators/authValidators.js';
 
 const router = express.Router();
 
-router.post('/register', register);
-router.post('/login', login);
+router.post('/register', rateLimit('register'), validate(registerSchema), register);
+router.post('/login', rateLimit('login'), validate(loginSchema), login);
+router.post('/refresh', rateLimit('tokenRefresh'), validate(refreshTokenSchema), refresh);
+router.post('/logout', validate(refreshTokenSchema), logout);
+router.post('/logout-all', authenticate, logoutAll);
+router.post('/verify-email', rateLimit('accountRecovery'), validate(verifyEmailSchema), verifyEmail);
+router.post('/resend-verification', authenticate, rateLimit('accountRecovery'), resendVerification);
+router.post('/forgot-password', rateLimit('accountRecovery'), validate(forgotPasswordSchema), forgotPassword);
+router.post('/reset-password', rateLimit('accountRecovery'), validate(resetPasswordSchema), resetPassword);
+router.put('/change-password', authenticate, validate(changePasswordSchema), changePassword);
+router.post('/2fa/verify', rateLimit('login'), validate(verifyTwoFactorLoginSchema), verifyTwoFactorLogin);
+router.post('/2fa/setup', authenticate, setupTwoFactor);
+router.post('/2fa/enable', authenticate, validate(twoFactorCodeSchema), enableTwoFactor);
+router.post('/2fa/disable', authenticate, validate(disableTwoFactorSchema), disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, validate(twoFactorCodeSchema), regenerateTwoFactorRecoveryCodes);
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions', authenticate, revokeOtherSessions);
+router.delete('/sessions/:id', authenticate, revokeSession);
 router.get('/profile', authenticate, getProfile);
-router.put('/profile', authenticate, updateProfile);
+router.put('/profile', authenticate, validate(updateProfileSchema), updateProfile);
 
 export default router;
-
@@ -1,19 +1,33 @@
 import express from 'express';
 import {
   getCart,
+  getCartQuote,
   addToCart,
   updateCartItem,
   removeFromCart,
-  clearCart
+  clearCart,
+  applyCoupon,
+  removeCoupon
 } from '../controllers/cartController.js';
 import { authenticate } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  addToCartSchema,
+  updateCartItemSchema,
+  removeFromCartSchema,
+  cartQuoteSchema,
+  applyCouponSchema
+} from '../validators/cartValidators.js';
 
 const router = express.Router();
 
 router.get('/', authenticate, getCart);
-router.post('/', authenticate, addToCart);
-router.put('/:productId', authenticate, updateCartItem);
-router.delete('/:productId', authenticate, removeFromCart);
+router.get('/quote', authenticate, validate(cartQuoteSchema), getCartQuote);
+router.post('/', authenticate, validate(addToCartSchema), addToCart);
+router.post('/coupon', authenticate, validate(applyCouponSchema), applyCoupon);
+router.delete('/coupon', authenticate, removeCoupon);
+router.put('/:productId', authenticate, validate(updateCartItemSchema), updateCartItem);
+router.delete('/:productId', authenticate, validate(removeFromCartSchema), removeFromCart);
 router.delete('/', authenticate, clearCart);
 
 export default router;
@@ -1,20 +1,34 @@
 import express from 'express';
 import {
   getCategories,
+  getCategoryTree,
   getCategoryById,
+  getCategoryBySlug,
   createCategory,
   updateCategory,
+  moveCategory,
   deleteCategory
 } from '../controllers/categoryController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { writableFields } from '../middleware/writableFields.js';
+import {
+  createCategorySchema,
+  updateCategorySchema,
+  moveCategorySchema,
+  deleteCategorySchema
+} from '../validators/categoryValidators.js';
 
 const router = express.Router();
 
 router.get('/', getCategories);
+router.get('/tree', getCategoryTree);
+router.get('/slug/:slug', getCategoryBySlug);
 router.get('/:id', getCategoryById);
-router.post('/', authenticate, authorize('admin'), createCategory);
-router.put('/:id', authenticate, authorize('admin'), updateCategory);
-router.delete('/:id', authenticate, authorize('admin'), deleteCategory);
+router.post('/', authenticate, authorize('admin'), writableFields('category'), validate(createCategorySchema), createCategory);
+router.put('/:id', authenticate, authorize('admin'), writableFields('category'), validate(updateCategorySchema), updateCategory);
+router.put('/:id/parent', authenticate, authorize('admin'), validate(moveCategorySchema), moveCategory);
+router.delete('/:id', authenticate, authorize('admin'), validate(deleteCategorySchema), deleteCategory);
 
 export default router;
 
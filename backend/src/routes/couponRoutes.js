@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} from '../controllers/couponController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { createCouponSchema, updateCouponSchema } from '../validators/couponValidators.js';
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin'));
+
+router.get('/', getCoupons);
+router.get('/:id', getCouponById);
+router.post('/', validate(createCouponSchema), createCoupon);
+router.put('/:id', validate(updateCouponSchema), updateCoupon);
+router.delete('/:id', deleteCoupon);
+
+export default router;
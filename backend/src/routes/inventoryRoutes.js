@@ -0,0 +1,17 @@
+import express from 'express';
+import { getMovements, createMovement, getAlerts } from '../controllers/inventoryController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  listMovementsSchema,
+  recordMovementSchema,
+  lowStockAlertsSchema
+} from '../validators/inventoryValidators.js';
+
+const router = express.Router();
+
+router.get('/movements', authenticate, authorize('seller', 'admin'), validate(listMovementsSchema), getMovements);
+router.post('/movements', authenticate, authorize('seller', 'admin'), validate(recordMovementSchema), createMovement);
+router.get('/alerts', authenticate, authorize('seller', 'admin'), validate(lowStockAlertsSchema), getAlerts);
+
+export default router;
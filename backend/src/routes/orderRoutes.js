@@ -1,18 +1,35 @@
 import express from 'express';
 import {
   getOrders,
+  getSellerOrders,
   getOrderById,
   createOrder,
-  updateOrderStatus
+  checkout,
+  updateOrderStatus,
+  cancelOrder,
+  payOrder
 } from '../controllers/orderController.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, authorize, requireVerified } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import {
+  createOrderSchema,
+  checkoutSchema,
+  updateOrderStatusSchema,
+  cancelOrderSchema,
+  payOrderSchema
+} from '../validators/orderValidators.js';
 
 const router = express.Router();
 
 router.get('/', authenticate, getOrders);
+router.get('/seller', authenticate, authorize('seller', 'admin'), getSellerOrders);
 router.get('/:id', authenticate, getOrderById);
-router.post('/', authenticate, createOrder);
-router.put('/:id/status', authenticate, updateOrderStatus);
+router.post('/', authenticate, rateLimit('checkout'), requireVerified, validate(createOrderSchema), createOrder);
+router.post('/checkout', authenticate, rateLimit('checkout'), requireVerified, validate(checkoutSchema), checkout);
+router.put('/:id/status', authenticate, authorize('seller', 'admin'), validate(updateOrderStatusSchema), updateOrderStatus);
+router.post('/:id/cancel', authenticate, validate(cancelOrderSchema), cancelOrder);
+router.post('/:id/pay', authenticate, rateLimit('checkout'), validate(payOrderSchema), payOrder);
 
 export default router;
 
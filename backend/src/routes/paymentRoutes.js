@@ -0,0 +1,9 @@
+import express from 'express';
+import { handleWebhook } from '../controllers/paymentController.js';
+
+const router = express.Router();
+
+// Called by the payment gateway; authenticated by the request signature
+router.post('/webhook', handleWebhook);
+
+export default router;
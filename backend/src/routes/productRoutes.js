@@ -7,14 +7,22 @@ import {
   deleteProduct
 } from '../controllers/productController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { writableFields } from '../middleware/writableFields.js';
+import {
+  listProductsSchema,
+  createProductSchema,
+  updateProductSchema
+} from '../validators/productValidators.js';
 
 const router = express.Router();
 
-router.get('/', getProducts);
-router.get('/:id', getProductById);
-router.post('/', authenticate, authorize('seller', 'admin'), createProduct);
-router.put('/:id', authenticate, updateProduct);
-router.delete('/:id', authenticate, deleteProduct);
+router.get('/', rateLimit('catalog'), validate(listProductsSchema), getProducts);
+router.get('/:id', rateLimit('catalog'), getProductById);
+router.post('/', authenticate, authorize('seller', 'admin'), writableFields('product'), validate(createProductSchema), createProduct);
+router.put('/:id', authenticate, authorize('seller', 'admin'), writableFields('product'), validate(updateProductSchema), updateProduct);
+router.delete('/:id', authenticate, authorize('seller', 'admin'), deleteProduct);
 
 export default router;
 
@@ -7,13 +7,16 @@ import {
   deleteReview
 } from '../controllers/reviewController.js';
 import { authenticate } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { listReviewsSchema, createReviewSchema, updateReviewSchema } from '../validators/reviewValidators.js';
 
 const router = express.Router();
 
-router.get('/', getReviews);
+router.get('/', validate(listReviewsSchema), getReviews);
 router.get('/:id', getReviewById);
-router.post('/', authenticate, createReview);
-router.put('/:id', authenticate, updateReview);
+router.post('/', authenticate, rateLimit('reviews'), validate(createReviewSchema), createReview);
+router.put('/:id', authenticate, validate(updateReviewSchema), updateReview);
 router.delete('/:id', authenticate, deleteReview);
 
 export default router;
@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  createSellerApplication,
+  getMySellerApplications,
+  getSellerApplications,
+  getSellerApplicationById,
+  approveSellerApplication,
+  rejectSellerApplication
+} from '../controllers/sellerApplicationController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  createSellerApplicationSchema,
+  listSellerApplicationsSchema,
+  rejectSellerApplicationSchema
+} from '../validators/sellerApplicationValidators.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.post('/', validate(createSellerApplicationSchema), createSellerApplication);
+router.get('/me', getMySellerApplications);
+router.get('/', authorize('admin'), validate(listSellerApplicationsSchema), getSellerApplications);
+router.get('/:id', getSellerApplicationById);
+router.post('/:id/approve', authorize('admin'), approveSellerApplication);
+router.post('/:id/reject', authorize('admin'), validate(rejectSellerApplicationSchema), rejectSellerApplication);
+
+export default router;
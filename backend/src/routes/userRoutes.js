@@ -0,0 +1,37 @@
+import express from 'express';
+import {
+  getUsers,
+  getUserById,
+  updateUserRole,
+  suspendUser,
+  banUser,
+  reinstateUser,
+  forcePasswordReset,
+  setTwoFactorRequirement,
+  resetTwoFactor
+} from '../controllers/userController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  listUsersSchema,
+  updateUserRoleSchema,
+  suspendUserSchema,
+  banUserSchema,
+  twoFactorRequirementSchema
+} from '../validators/userValidators.js';
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin'));
+
+router.get('/', validate(listUsersSchema), getUsers);
+router.get('/:id', getUserById);
+router.put('/:id/role', validate(updateUserRoleSchema), updateUserRole);
+router.post('/:id/suspend', validate(suspendUserSchema), suspendUser);
+router.post('/:id/ban', validate(banUserSchema), banUser);
+router.post('/:id/reinstate', reinstateUser);
+router.post('/:id/force-password-reset', forcePasswordReset);
+router.put('/:id/two-factor', validate(twoFactorRequirementSchema), setTwoFactorRequirement);
+router.delete('/:id/two-factor', resetTwoFactor);
+
+export default router;
@@ -0,0 +1,12 @@
+import config from './config/env.js';
+import db from './config/database.js';
+import { seedDatabase } from './data/seed.js';
+
+// Seed the configured database with mock data: `npm run seed`
+if (config.db.driver === 'memory') {
+  console.warn('DB_DRIVER is "memory", seeded data will be discarded when this script exits.');
+}
+
+seedDatabase(db);
+
+console.log(`Seeded database: ${db.getUsers().length} users, ${db.getProducts().length} products, ${db.getOrders().length} orders`);
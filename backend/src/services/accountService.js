@@ -0,0 +1,164 @@
+import db from '../config/database.js';
+import { getFulfillments } from './orderService.js';
+import { revokeAllUserTokens } from './tokenService.js';
+import { disableTwoFactor } from './twoFactorService.js';
+import { removeProductFromIndex } from './searchService.js';
+import { purgeMail } from './mailService.js';
+
+// Account standing set by admins. Suspensions can be temporary (`suspendedUntil`)
+// and lapse on their own; bans are permanent until an admin reinstates the user.
+
+export const ACCOUNT_STATUSES = ['active', 'suspended', 'banned'];
+
+// Why the account may not be used right now, or null if it may
+export const getAccountRestriction = (user) => {
+  if (user?.status === 'banned') {
+    return 'This account has been banned.';
+  }
+
+  if (user?.status === 'suspended') {
+    if (!user.suspendedUntil) {
+      return 'This account has been suspended.';
+    }
+    if (new Date(user.suspendedUntil) > new Date()) {
+      return `This account is suspended until ${user.suspendedUntil}.`;
+    }
+  }
+
+  return null;
+};
+
+const OPEN_ORDER_STATUSES = ['pending', 'processing', 'shipped'];
+
+const withoutSecrets = ({ password: _, ...user }) => user;
+
+// Everything stored about a user, for the data export
+export const buildAccountExport = (userId) => {
+  const user = db.getUserById(userId);
+  const orders = db.getOrdersByUser(userId);
+
+  // The profile address plus every distinct address orders were shipped to
+  const addresses = [user.address, ...orders.map(o => o.shippingAddress)]
+    .filter(Boolean)
+    .filter((address, index, all) =>
+      all.findIndex(a => JSON.stringify(a) === JSON.stringify(address)) === index
+    );
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: withoutSecrets(user),
+    addresses,
+    orders,
+    reviews: db.getReviewsByUser(userId),
+    cart: {
+      items: db.getCartByUser(userId),
+      couponCode: db.getCartCoupon(userId)
+    },
+    sessions: db.getSessionsByUser(userId).map(({ id, deviceLabel, ip, lastSeenIp, createdAt, lastSeenAt, revokedAt }) =>
+      ({ id, deviceLabel, ip, lastSeenIp, createdAt, lastSeenAt, revokedAt })
+    ),
+    sellerApplications: db.getSellerApplicationsByUser(userId),
+    products: db.getProductsBySeller(userId)
+  };
+};
+
+// What has to be resolved before the account can be deleted
+export const getDeletionBlockers = (userId, { removeProducts = false } = {}) => {
+  const blockers = [];
+
+  const openOrders = db.getOrdersByUser(userId)
+    .filter(o => OPEN_ORDER_STATUSES.includes(o.status));
+  if (openOrders.length > 0) {
+    blockers.push({
+      type: 'open_orders',
+      message: 'Wait for your open orders to be delivered or cancel them',
+      orderIds: openOrders.map(o => o.id)
+    });
+  }
+
+  const openSales = db.getOrders().filter(order =>
+    getFulfillments(order).some(f => f.sellerId === userId && OPEN_ORDER_STATUSES.includes(f.status))
+  );
+  if (openSales.length > 0) {
+    blockers.push({
+      type: 'open_seller_orders',
+      message: 'Ship and deliver or cancel the orders waiting on you as a seller',
+      orderIds: openSales.map(o => o.id)
+    });
+  }
+
+  const products = db.getProductsBySeller(userId);
+  if (products.length > 0 && !removeProducts) {
+    blockers.push({
+      type: 'active_products',
+      message: 'Delete your product listings, or pass removeProducts: true to delete them with the account',
+      productIds: products.map(p => p.id)
+    });
+  }
+
+  return blockers;
+};
+
+// Remove personal data. Orders are kept for financial records and reviews for
+// other shoppers, but neither can be traced back to the user afterwards.
+export const deleteAccount = async (userId) => {
+  const { email } = db.getUserById(userId);
+  revokeAllUserTokens(userId);
+  disableTwoFactor(userId);
+
+  db.getProductsBySeller(userId).forEach(p => {
+    db.deleteProduct(p.id);
+    removeProductFromIndex(p.id);
+  });
+
+  db.getReviewsByUser(userId).forEach(review => {
+    db.updateReview(review.id, { userId: null, anonymized: true });
+  });
+
+  const anonymizedAt = new Date().toISOString();
+  db.getOrders().forEach(order => {
+    const isBuyer = order.userId === userId;
+    const actedOn = order.statusHistory?.some(entry => entry.changedBy === userId);
+    if (!isBuyer && !actedOn) {
+      return;
+    }
+
+    db.updateOrder(order.id, {
+      ...(isBuyer && {
+        userId: null,
+        // Region is kept because the tax charged depends on it
+        shippingAddress: order.shippingAddress && {
+          state: order.shippingAddress.state,
+          country: order.shippingAddress.country
+        },
+        anonymizedAt
+      }),
+      ...(actedOn && {
+        statusHistory: order.statusHistory.map(entry =>
+          entry.changedBy === userId ? { ...entry, changedBy: null } : entry
+        )
+      })
+    });
+  });
+
+  db.getSellerApplicationsByUser(userId).forEach(application => {
+    db.updateSellerApplication(application.id, {
+      userId: null,
+      description: null,
+      contactEmail: null,
+      contactPhone: null,
+      payout: null
+    });
+  });
+
+  // Sessions are already revoked; drop the device details
+  db.getSessionsByUser(userId).forEach(session => {
+    db.updateSession(session.id, { ip: null, lastSeenIp: null, userAgent: null, deviceLabel: null });
+  });
+
+  db.clearCart(userId);
+  db.deleteUser(userId);
+
+  // Stored mail holds the address, name and account links
+  await purgeMail(email);
+};
@@ -0,0 +1,16 @@
+import crypto from 'crypto';
+import db from '../config/database.js';
+
+// Append-only record of admin actions
+
+export const recordAdminAction = (adminId, action, { targetType, targetId, details } = {}) => {
+  return db.createAuditLog({
+    id: `audit-${crypto.randomUUID()}`,
+    adminId,
+    action,
+    targetType,
+    targetId,
+    details,
+    createdAt: new Date().toISOString()
+  });
+};
@@ -0,0 +1,129 @@
+import db from '../config/database.js';
+
+// Category hierarchy helpers. Categories point at their parent with
+// `parentId`; the walks below stop at a repeated id so bad data can't loop.
+
+// The category followed by its parents, up to the root
+export const getCategoryAncestors = (categoryId) => {
+  const chain = [];
+  const seen = new Set();
+  let category = db.getCategoryById(categoryId);
+  while (category && !seen.has(category.id)) {
+    seen.add(category.id);
+    chain.push(category);
+    category = category.parentId ? db.getCategoryById(category.parentId) : null;
+  }
+  return chain;
+};
+
+// Ids of the category and every category below it
+export const getDescendantIds = (categoryId) => {
+  const ids = new Set([categoryId]);
+  let size = 0;
+  while (size !== ids.size) {
+    size = ids.size;
+    db.getCategories()
+      .filter(c => ids.has(c.parentId))
+      .forEach(c => ids.add(c.id));
+  }
+  return ids;
+};
+
+// Root-to-category path for breadcrumbs
+export const getBreadcrumbs = (categoryId) => {
+  return getCategoryAncestors(categoryId)
+    .reverse()
+    .map(({ id, name, slug }) => ({ id, name, slug }));
+};
+
+// Products in the category or any of its subcategories
+export const getProductsInCategoryTree = (categoryId) => {
+  const categoryIds = getDescendantIds(categoryId);
+  return db.getProducts().filter(p => categoryIds.has(p.categoryId));
+};
+
+// Moving a category under itself or one of its subcategories would make a loop
+export const wouldCreateCycle = (categoryId, parentId) => {
+  return Boolean(parentId) && getDescendantIds(categoryId).has(parentId);
+};
+
+// Nested categories with `children` and a `productCount` that includes
+// subcategories. Categories whose parent is missing are listed as roots.
+export const buildCategoryTree = () => {
+  const categories = db.getCategories();
+  const ids = new Set(categories.map(c => c.id));
+  const directCounts = new Map();
+  db.getProducts().forEach(p => directCounts.set(p.categoryId, (directCounts.get(p.categoryId) || 0) + 1));
+
+  const visited = new Set();
+  const buildNode = (category) => {
+    visited.add(category.id);
+    const children = categories
+      .filter(c => c.parentId === category.id && !visited.has(c.id))
+      .map(buildNode);
+    return {
+      ...category,
+      productCount: children.reduce((sum, child) => sum + child.productCount, directCounts.get(category.id) || 0),
+      children
+    };
+  };
+
+  return categories
+    .filter(c => !c.parentId || !ids.has(c.parentId))
+    .map(buildNode);
+};
+
+// A slug no other category uses, adding -2, -3, ... when taken
+export const getUniqueSlug = (base, excludeId = null) => {
+  const taken = new Set(db.getCategories().filter(c => c.id !== excludeId).map(c => c.slug));
+  let slug = base;
+  for (let n = 2; taken.has(slug); n++) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+};
+
+// What has to be resolved before a category can be deleted. Products can be
+// moved to another category and subcategories given a new parent (null makes
+// them top-level).
+export const getCategoryDeletionBlockers = (categoryId, { moveProductsTo, reparentChildrenTo } = {}) => {
+  const blockers = [];
+
+  const products = db.getProductsByCategory(categoryId);
+  if (products.length > 0 && !moveProductsTo) {
+    blockers.push({
+      type: 'products',
+      message: 'Pass moveProductsTo with the category to move these products to',
+      productIds: products.map(p => p.id)
+    });
+  }
+
+  const children = db.getCategories().filter(c => c.parentId === categoryId);
+  if (children.length > 0 && reparentChildrenTo === undefined) {
+    blockers.push({
+      type: 'subcategories',
+      message: 'Pass reparentChildrenTo with the new parent category, or null to make them top-level',
+      categoryIds: children.map(c => c.id)
+    });
+  }
+
+  return blockers;
+};
+
+// Delete a category after moving its products and subcategories.
+// Returns the ids of the products that were moved.
+export const deleteCategory = (categoryId, { moveProductsTo, reparentChildrenTo } = {}) => {
+  const updatedAt = new Date().toISOString();
+
+  const movedProductIds = db.getProductsByCategory(categoryId).map(product => {
+    db.updateProduct(product.id, { categoryId: moveProductsTo, updatedAt });
+    return product.id;
+  });
+
+  db.getCategories()
+    .filter(c => c.parentId === categoryId)
+    .forEach(child => db.updateCategory(child.id, { parentId: reparentChildrenTo || null }));
+
+  db.deleteCategory(categoryId);
+  return movedProductIds;
+};
@@ -0,0 +1,150 @@
+import db from '../config/database.js';
+
+export const COUPON_TYPES = ['percentage', 'fixed', 'free_shipping', 'buy_x_get_y'];
+
+export class CouponError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CouponError';
+    this.status = status;
+  }
+}
+
+const round = (amount) => parseFloat(amount.toFixed(2));
+
+export const normalizeCode = (code) => (code || '').toString().trim().toUpperCase();
+
+// A category is in scope when it or one of its ancestors is listed
+const isCategoryInScope = (categoryId, scopeIds) => {
+  const visited = new Set();
+  let current = categoryId;
+  while (current && !visited.has(current)) {
+    if (scopeIds.includes(current)) {
+      return true;
+    }
+    visited.add(current);
+    current = db.getCategoryById(current)?.parentId;
+  }
+  return false;
+};
+
+// Lines the coupon applies to. lines: [{ productId, sellerId, price, quantity }]
+export const getEligibleLines = (coupon, lines) => {
+  return lines.filter(line => {
+    if (coupon.sellerIds?.length && !coupon.sellerIds.includes(line.sellerId)) {
+      return false;
+    }
+    if (coupon.categoryIds?.length) {
+      const product = db.getProductById(line.productId);
+      return product ? isCategoryInScope(product.categoryId, coupon.categoryIds) : false;
+    }
+    return true;
+  });
+};
+
+// Look up a coupon and make sure it can be used for these lines right now
+export const validateCoupon = (code, { userId, lines }) => {
+  const coupon = db.getCouponByCode(normalizeCode(code));
+  if (!coupon || !coupon.active) {
+    throw new CouponError('Coupon code is not valid', 404);
+  }
+
+  const now = new Date();
+  if (coupon.startsAt && new Date(coupon.startsAt) > now) {
+    throw new CouponError('This coupon is not active yet');
+  }
+  if (coupon.expiresAt && new Date(coupon.expiresAt) <= now) {
+    throw new CouponError('This coupon has expired');
+  }
+
+  if (coupon.usageLimit !== null && coupon.usageLimit !== undefined && coupon.usageCount >= coupon.usageLimit) {
+    throw new CouponError('This coupon has reached its usage limit');
+  }
+
+  if (coupon.perUserLimit && userId) {
+    const uses = db.getOrdersByUser(userId)
+      .filter(order => order.couponCode === coupon.code && order.status !== 'cancelled')
+      .length;
+    if (uses >= coupon.perUserLimit) {
+      throw new CouponError('You have already used this coupon');
+    }
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  if (coupon.minSubtotal && subtotal < coupon.minSubtotal) {
+    throw new CouponError(`This coupon requires a subtotal of at least $${coupon.minSubtotal.toFixed(2)}`);
+  }
+
+  if (getEligibleLines(coupon, lines).length === 0) {
+    throw new CouponError('This coupon does not apply to any items in your order');
+  }
+
+  return coupon;
+};
+
+// Discount lines for a validated coupon. Each line discounts either the
+// items or the shipping charge.
+export const calculateDiscounts = (coupon, lines, { shipping }) => {
+  const eligibleLines = getEligibleLines(coupon, lines);
+  const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  const base = { code: coupon.code, type: coupon.type };
+
+  switch (coupon.type) {
+    case 'percentage':
+      return [{
+        ...base,
+        appliesTo: 'items',
+        description: `${coupon.value}% off`,
+        amount: round(eligibleSubtotal * coupon.value / 100)
+      }];
+
+    case 'fixed':
+      return [{
+        ...base,
+        appliesTo: 'items',
+        description: `$${coupon.value.toFixed(2)} off`,
+        amount: round(Math.min(coupon.value, eligibleSubtotal))
+      }];
+
+    case 'free_shipping':
+      return shipping > 0
+        ? [{ ...base, appliesTo: 'shipping', description: 'Free shipping', amount: round(shipping) }]
+        : [];
+
+    case 'buy_x_get_y': {
+      // Buy `buyQuantity` of a product, get `getQuantity` more of it free
+      const groupSize = coupon.buyQuantity + coupon.getQuantity;
+      return eligibleLines
+        .map(line => {
+          const freeUnits = Math.floor(line.quantity / groupSize) * coupon.getQuantity;
+          return {
+            ...base,
+            appliesTo: 'items',
+            productId: line.productId,
+            description: `Buy ${coupon.buyQuantity} get ${coupon.getQuantity} free: ${line.name}`,
+            amount: round(freeUnits * line.price)
+          };
+        })
+        .filter(discount => discount.amount > 0);
+    }
+
+    default:
+      throw new Error(`Unknown coupon type "${coupon.type}"`);
+  }
+};
+
+// Count a successful redemption against the coupon's usage limit
+export const redeemCoupon = (code) => {
+  const coupon = db.getCouponByCode(normalizeCode(code));
+  if (coupon) {
+    db.updateCoupon(coupon.id, { usageCount: (coupon.usageCount || 0) + 1 });
+  }
+};
+
+// Give back the redemption of an order that was cancelled outright
+export const releaseCoupon = (code) => {
+  const coupon = db.getCouponByCode(normalizeCode(code));
+  if (coupon && coupon.usageCount > 0) {
+    db.updateCoupon(coupon.id, { usageCount: coupon.usageCount - 1 });
+  }
+};
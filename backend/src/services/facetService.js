@@ -0,0 +1,157 @@
+import db from '../config/database.js';
+import { facetConfig } from '../config/facets.js';
+import { getCategoryAncestors, getDescendantIds } from './categoryService.js';
+
+// Faceted filtering for product listings
+// Every facet filter (category, seller, tags, price, rating and each spec[key])
+// narrows the listing. A facet's own counts are taken with all the other
+// filters applied, so the sidebar keeps showing the alternatives to what is
+// currently selected.
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+const specValues = (value) => [].concat(value ?? []).map(normalize);
+
+// Tags may be repeated (?tags=a&tags=b) or comma separated (?tags=a,b)
+const parseTags = (tags) => {
+  return [].concat(tags ?? [])
+    .flatMap(tag => String(tag).split(','))
+    .map(normalize)
+    .filter(Boolean);
+};
+
+const specFilterName = (key) => `spec.${key}`;
+
+// Build the named filters for a listing query. Only filters that were asked
+// for are included.
+export const createProductFilters = ({ category, seller, tags, minPrice, maxPrice, minRating, spec = {} }) => {
+  const filters = {};
+
+  // A category includes its subcategories
+  if (category) {
+    const categoryIds = getDescendantIds(category);
+    filters.category = p => categoryIds.has(p.categoryId);
+  }
+
+  if (seller) {
+    filters.seller = p => p.sellerId === seller;
+  }
+
+  const tagList = parseTags(tags);
+  if (tagList.length > 0) {
+    filters.tags = p => (p.tags || []).some(tag => tagList.includes(normalize(tag)));
+  }
+
+  // Same bounds as the price buckets: min <= price < max
+  if (minPrice || maxPrice) {
+    const min = minPrice ? parseFloat(minPrice) : 0;
+    const max = maxPrice ? parseFloat(maxPrice) : Infinity;
+    filters.price = p => p.price >= min && p.price < max;
+  }
+
+  if (minRating) {
+    filters.rating = p => (p.rating || 0) >= parseFloat(minRating);
+  }
+
+  // Several values for one key match any of them
+  Object.entries(spec).forEach(([key, value]) => {
+    const wanted = specValues(value);
+    filters[specFilterName(key)] = p => specValues(p.specifications?.[key]).some(v => wanted.includes(v));
+  });
+
+  return filters;
+};
+
+// Products passing every filter except the one named `skip`
+export const applyFilters = (products, filters, skip = null) => {
+  const active = Object.entries(filters).filter(([name]) => name !== skip);
+  return products.filter(p => active.every(([, test]) => test(p)));
+};
+
+const countBy = (products, keysOf) => {
+  const counts = new Map();
+  products.forEach(p => {
+    keysOf(p).forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+  });
+  return counts;
+};
+
+// Count values case-insensitively, labelled with the first spelling seen
+const valueCounts = (products, valuesOf) => {
+  const labels = new Map();
+  const counts = countBy(products, p => {
+    const values = new Set();
+    valuesOf(p).forEach(value => {
+      const key = normalize(value);
+      if (!labels.has(key)) {
+        labels.set(key, String(value).trim());
+      }
+      values.add(key);
+    });
+    return values;
+  });
+
+  return [...counts.entries()]
+    .map(([key, count]) => ({ value: labels.get(key), count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+    .slice(0, facetConfig.maxValues);
+};
+
+const userName = (user) => {
+  return user.sellerProfile?.storeName || `${user.firstName} ${user.lastName}`;
+};
+
+// Facet counts for `products` (the listing before facet filters are applied)
+export const buildFacets = (products, filters) => {
+  // Products count towards their category and every parent category
+  const categoryCounts = countBy(
+    applyFilters(products, filters, 'category'),
+    p => getCategoryAncestors(p.categoryId).map(c => c.id)
+  );
+  const categories = db.getCategories()
+    .filter(c => categoryCounts.has(c.id))
+    .map(c => ({ id: c.id, name: c.name, slug: c.slug, parentId: c.parentId, count: categoryCounts.get(c.id) }));
+
+  const sellerCounts = countBy(applyFilters(products, filters, 'seller'), p => [p.sellerId]);
+  const sellers = [...sellerCounts.entries()]
+    .map(([id, count]) => {
+      const user = db.getUserById(id);
+      return { id, name: user ? userName(user) : null, count };
+    })
+    .sort((a, b) => b.count - a.count);
+
+  const tags = valueCounts(applyFilters(products, filters, 'tags'), p => p.tags || []);
+
+  const priced = applyFilters(products, filters, 'price');
+  const priceRanges = facetConfig.priceRanges
+    .map(({ min, max }) => ({
+      min,
+      max,
+      count: priced.filter(p => p.price >= min && (max === null || p.price < max)).length
+    }))
+    .filter(range => range.count > 0);
+
+  const rated = applyFilters(products, filters, 'rating');
+  const ratings = facetConfig.ratingBands.map(minRating => ({
+    minRating,
+    count: rated.filter(p => (p.rating || 0) >= minRating).length
+  }));
+
+  // Configured keys, plus any other key being filtered on
+  const specKeys = new Set(facetConfig.specifications);
+  Object.keys(filters)
+    .filter(name => name.startsWith('spec.'))
+    .forEach(name => specKeys.add(name.slice('spec.'.length)));
+  const specifications = {};
+  specKeys.forEach(key => {
+    const values = valueCounts(
+      applyFilters(products, filters, specFilterName(key)),
+      p => [].concat(p.specifications?.[key] ?? [])
+    );
+    if (values.length > 0) {
+      specifications[key] = values;
+    }
+  });
+
+  return { categories, sellers, tags, priceRanges, ratings, specifications };
+};
@@ -0,0 +1,271 @@
+import crypto from 'crypto';
+import db from '../config/database.js';
+import { inventoryConfig } from '../config/inventory.js';
+import { hasVariants, findVariant, sumVariantStock, describeVariant } from './variantService.js';
+
+// Inventory ledger
+// Every stock movement is appended to the ledger with its type, reason and
+// actor, and a product's (or variant's) stock is the sum of its movements.
+// The `stock` stored on products and variants is a copy of that sum, kept in
+// step after each movement so listings and stock checks can read it directly.
+//   initial      - stock a product or variant started with
+//   sale         - taken by an order
+//   cancellation - returned by a cancelled (or failed) order
+//   restock      - received from the seller
+//   adjustment   - manual correction, or a level set by editing the product
+export const MOVEMENT_TYPES = ['initial', 'sale', 'cancellation', 'restock', 'adjustment'];
+
+// Movements sellers may record by hand
+export const MANUAL_MOVEMENT_TYPES = ['restock', 'adjustment'];
+
+export class StockError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'StockError';
+    this.status = status;
+  }
+}
+
+// Stock checks and updates are serialized through this queue so two orders
+// can never both pass the check for the last unit, even when the work
+// between checking and committing becomes asynchronous.
+let lockQueue = Promise.resolve();
+
+export const withInventoryLock = (task) => {
+  const run = lockQueue.then(task);
+  lockQueue = run.catch(() => {});
+  return run;
+};
+
+const isLedgerOf = (movement, productId, variantId) => {
+  return movement.productId === productId && (movement.variantId || null) === (variantId || null);
+};
+
+const hasLedgerEntries = (productId, variantId = null) => {
+  return db.getInventoryMovements().some(m => isLedgerOf(m, productId, variantId));
+};
+
+// Current stock of a product (or one of its variants) according to the ledger
+export const getLedgerStock = (productId, variantId = null) => {
+  return db.getInventoryMovements()
+    .filter(m => isLedgerOf(m, productId, variantId))
+    .reduce((sum, m) => sum + m.quantity, 0);
+};
+
+const appendMovement = ({ productId, variantId = null, type, quantity, reason, actorId = null, orderId }) => {
+  return db.createInventoryMovement({
+    id: `inv-${crypto.randomUUID()}`,
+    productId,
+    variantId: variantId || null,
+    type,
+    quantity,
+    balance: getLedgerStock(productId, variantId) + quantity,
+    reason,
+    actorId,
+    ...(orderId && { orderId }),
+    createdAt: new Date().toISOString()
+  });
+};
+
+// Stock stored before the ledger existed becomes an opening entry the first
+// time the product's stock moves, so the ledger accounts for all of it
+const ensureOpeningBalances = (product) => {
+  const levels = hasVariants(product)
+    ? product.variants.map(v => ({ variantId: v.id, stock: v.stock }))
+    : [{ variantId: null, stock: product.stock }];
+
+  levels
+    .filter(({ variantId, stock }) => stock > 0 && !hasLedgerEntries(product.id, variantId))
+    .forEach(({ variantId, stock }) => appendMovement({
+      productId: product.id,
+      variantId,
+      type: 'initial',
+      quantity: stock,
+      reason: 'Opening balance'
+    }));
+};
+
+// Copy the ledger's levels onto the product and its variants
+const syncStock = (product) => {
+  if (hasVariants(product)) {
+    const variants = product.variants.map(v => ({ ...v, stock: getLedgerStock(product.id, v.id) }));
+    return db.updateProduct(product.id, { variants, stock: sumVariantStock(variants) });
+  }
+  return db.updateProduct(product.id, { stock: getLedgerStock(product.id) });
+};
+
+// Record one stock movement. Lines for a variant that no longer exists are
+// skipped, so returns for since-edited products don't fail. Returns the
+// movement, or null when nothing was recorded.
+export const recordMovement = ({ productId, variantId = null, type, quantity, reason, actorId, orderId }) => {
+  const product = db.getProductById(productId);
+  if (!product) {
+    return null;
+  }
+  const variant = findVariant(product, variantId);
+  if (hasVariants(product) && !variant) {
+    return null;
+  }
+
+  ensureOpeningBalances(product);
+  const movement = appendMovement({ productId, variantId: variant?.id, type, quantity, reason, actorId, orderId });
+  syncStock(product);
+  return movement;
+};
+
+// Bring stock to exact levels ([{ variantId, stock }]), recording the
+// difference as an adjustment, or as the initial stock when there's no
+// history yet. Returns the updated product.
+export const setStockLevels = (productId, levels, { actorId = null, reason } = {}) => {
+  const product = db.getProductById(productId);
+  ensureOpeningBalances(product);
+
+  levels.forEach(({ variantId = null, stock }) => {
+    const current = getLedgerStock(productId, variantId);
+    if (stock !== current) {
+      appendMovement({
+        productId,
+        variantId,
+        type: hasLedgerEntries(productId, variantId) ? 'adjustment' : 'initial',
+        quantity: stock - current,
+        reason,
+        actorId
+      });
+    }
+  });
+
+  return syncStock(product);
+};
+
+// Take the stock levels out of product data about to be written so they can
+// go through the ledger with setStockLevels once it is saved. The data keeps
+// the current levels, with zero for anything new.
+export const takeStockLevels = (product, data) => {
+  if (data.variants) {
+    const levels = data.variants.map(v => ({ variantId: v.id, stock: v.stock }));
+    data.variants = data.variants.map(v => ({ ...v, stock: findVariant(product, v.id)?.stock ?? 0 }));
+    // Product-level stock moves to the variants, or comes back when they're removed
+    levels.push({ variantId: null, stock: data.variants.length > 0 ? 0 : data.stock ?? 0 });
+    data.stock = sumVariantStock(data.variants);
+    return levels;
+  }
+
+  if (data.stock !== undefined) {
+    const levels = [{ variantId: null, stock: data.stock }];
+    data.stock = product?.stock ?? 0;
+    return levels;
+  }
+
+  return [];
+};
+
+// Merge lines for the same product and variant so split lines can't bypass
+// the stock check. Lines: [{ productId, variantId, quantity }]
+const groupQuantities = (items) => {
+  const groups = new Map();
+  for (const { productId, variantId = null, quantity } of items) {
+    const key = `${productId}:${variantId || ''}`;
+    const group = groups.get(key) || { productId, variantId, quantity: 0 };
+    group.quantity += quantity;
+    groups.set(key, group);
+  }
+  return [...groups.values()];
+};
+
+// The variant a line or movement applies to (null for products without
+// variants). Throws a StockError when it doesn't fit the product.
+export const resolveStockTarget = (product, variantId) => {
+  if (!hasVariants(product)) {
+    if (variantId) {
+      throw new StockError(`${product.name} has no variants`);
+    }
+    return null;
+  }
+
+  if (!variantId) {
+    throw new StockError(`Choose ${product.options.map(o => o.name).join(' and ')} for ${product.name}`);
+  }
+  const variant = findVariant(product, variantId);
+  if (!variant) {
+    throw new StockError(`Variant ${variantId} of ${product.name} not found`, 404);
+  }
+  return variant;
+};
+
+// Return previously reserved quantities to stock
+export const releaseStock = (items, { orderId, actorId = null, reason = 'Order cancelled' } = {}) => {
+  for (const { productId, variantId, quantity } of groupQuantities(items)) {
+    recordMovement({ productId, variantId, type: 'cancellation', quantity, reason, actorId, orderId });
+  }
+};
+
+// Throw a StockError if any product or variant is missing or can't cover its
+// lines. Products with variants need a variantId on every line.
+export const checkStock = (items) => {
+  const groups = groupQuantities(items);
+
+  for (const { productId, variantId, quantity } of groups) {
+    const product = db.getProductById(productId);
+    if (!product) {
+      throw new StockError(`Product ${productId} not found`, 404);
+    }
+
+    const variant = resolveStockTarget(product, variantId);
+    if ((variant ? variant.stock : product.stock) < quantity) {
+      const label = variant ? `${product.name} (${describeVariant(product, variant)})` : product.name;
+      throw new StockError(`Insufficient stock for ${label}`);
+    }
+  }
+
+  return groups;
+};
+
+// Validate every line first, then take stock for all of them as one unit,
+// recorded as sales of `orderId`. Throws a StockError without touching stock
+// when any line can't be filled. Call inside withInventoryLock when other
+// work happens before committing.
+export const reserveStock = (items, { orderId, actorId = null } = {}) => {
+  const groups = checkStock(items);
+  const reason = orderId ? `Order ${orderId}` : 'Order';
+
+  const committed = [];
+  try {
+    for (const { productId, variantId, quantity } of groups) {
+      recordMovement({ productId, variantId, type: 'sale', quantity: -quantity, reason, actorId, orderId });
+      committed.push({ productId, variantId, quantity });
+    }
+  } catch (error) {
+    releaseStock(committed, { orderId, actorId, reason: 'Order could not be placed' });
+    throw error;
+  }
+
+  return {
+    items: committed,
+    release: () => releaseStock(committed, { orderId, actorId, reason: 'Order could not be placed' })
+  };
+};
+
+// Products and variants at or below their low-stock threshold
+export const getLowStockAlerts = (products) => {
+  return products.flatMap(product => {
+    const threshold = product.lowStockThreshold ?? inventoryConfig.defaultLowStockThreshold;
+    const levels = hasVariants(product)
+      ? product.variants.map(v => ({
+        variantId: v.id,
+        variantName: describeVariant(product, v),
+        sku: v.sku,
+        stock: v.stock
+      }))
+      : [{ variantId: null, sku: product.sku, stock: product.stock }];
+
+    return levels
+      .filter(level => level.stock <= threshold)
+      .map(level => ({
+        productId: product.id,
+        name: product.name,
+        ...level,
+        threshold,
+        status: level.stock === 0 ? 'out_of_stock' : 'low_stock'
+      }));
+  }).sort((a, b) => a.stock - b.stock);
+};
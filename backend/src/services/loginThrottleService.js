@@ -0,0 +1,55 @@
+import { rateLimitConfig } from '../config/rateLimits.js';
+import { rateLimitStore } from './rateLimitStore.js';
+
+// Progressive lockout after repeated failed logins for the same account.
+// Keys use the submitted email, whether or not an account exists, so locked
+// and unknown addresses behave the same. Switched off with the rate limits
+// (RATE_LIMIT_ENABLED=false).
+
+const failuresKey = (email) => `login:failures:${email.toLowerCase()}`;
+const lockKey = (email) => `login:lock:${email.toLowerCase()}`;
+
+// Seconds until the account unlocks, or 0 if it isn't locked
+export const getLoginLockout = async (email) => {
+  if (!rateLimitConfig.enabled) {
+    return 0;
+  }
+
+  const lock = await rateLimitStore.get(lockKey(email));
+  if (!lock || lock.lockedUntil <= Date.now()) {
+    return 0;
+  }
+  return Math.ceil((lock.lockedUntil - Date.now()) / 1000);
+};
+
+// Count a failed attempt; returns the lockout in seconds if this one triggered it
+export const recordFailedLogin = async (email) => {
+  if (!rateLimitConfig.enabled) {
+    return 0;
+  }
+
+  const { maxFailures, failureWindowMs, baseLockMs, maxLockMs, escalationResetMs } = rateLimitConfig.loginLockout;
+
+  const { count } = await rateLimitStore.increment(failuresKey(email), failureWindowMs);
+  if (count < maxFailures) {
+    return 0;
+  }
+
+  const previous = await rateLimitStore.get(lockKey(email));
+  const lockCount = (previous?.lockCount || 0) + 1;
+  const lockMs = Math.min(baseLockMs * 2 ** (lockCount - 1), maxLockMs);
+
+  await rateLimitStore.set(
+    lockKey(email),
+    { lockCount, lockedUntil: Date.now() + lockMs },
+    lockMs + escalationResetMs
+  );
+  await rateLimitStore.delete(failuresKey(email));
+
+  return Math.ceil(lockMs / 1000);
+};
+
+export const recordSuccessfulLogin = async (email) => {
+  await rateLimitStore.delete(failuresKey(email));
+  await rateLimitStore.delete(lockKey(email));
+};
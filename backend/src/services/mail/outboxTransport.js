@@ -0,0 +1,45 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Mail transport that writes each message as a JSON file to a local outbox
+// directory instead of sending it, so email flows can be tested offline.
+
+export const createOutboxTransport = (directory) => {
+  const outboxDir = path.resolve(directory);
+
+  return {
+    name: 'outbox',
+
+    send: async (message) => {
+      await fs.mkdir(outboxDir, { recursive: true });
+
+      const id = crypto.randomUUID();
+      const createdAt = new Date().toISOString();
+      const fileName = `${createdAt.replace(/[:.]/g, '-')}-${id}.json`;
+      await fs.writeFile(
+        path.join(outboxDir, fileName),
+        JSON.stringify({ id, ...message, createdAt }, null, 2)
+      );
+
+      return { id };
+    },
+
+    // Delete every stored message to an address; returns how many were removed
+    purge: async (address) => {
+      const files = await fs.readdir(outboxDir).catch(() => []);
+      let removed = 0;
+
+      for (const file of files.filter(f => f.endsWith('.json'))) {
+        const filePath = path.join(outboxDir, file);
+        const message = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        if (message.to === address) {
+          await fs.unlink(filePath);
+          removed++;
+        }
+      }
+
+      return removed;
+    }
+  };
+};
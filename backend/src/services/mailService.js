@@ -0,0 +1,71 @@
+import config from '../config/env.js';
+import { createOutboxTransport } from './mail/outboxTransport.js';
+
+// Mail transports
+// Every transport exposes send({ from, to, subject, text }) -> { id } and
+// purge(address) -> number of stored messages removed (0 for transports that
+// keep no copies), selected with MAIL_TRANSPORT:
+//   outbox - writes messages to MAIL_OUTBOX_DIR (default: outbox)
+const transports = {
+  outbox: () => createOutboxTransport(config.mail.outboxDir)
+};
+
+const createTransport = (name = 'outbox') => {
+  const create = transports[name];
+  if (!create) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Expected one of: ${Object.keys(transports).join(', ')}`);
+  }
+  return create();
+};
+
+const transport = createTransport(config.mail.transport);
+
+export const sendMail = ({ to, subject, text }) => {
+  return transport.send({
+    from: config.mail.from,
+    to,
+    subject,
+    text
+  });
+};
+
+// Remove the stored copies of mail sent to an address, e.g. on account deletion
+export const purgeMail = (address) => transport.purge(address);
+
+// Email delivery problems shouldn't fail the request that triggered them
+export const deliver = async (send) => {
+  try {
+    await send();
+  } catch (error) {
+    console.error('Failed to send email:', error.message);
+  }
+};
+
+export const sendVerificationEmail = (user, token) => {
+  const link = `${config.appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.firstName || ''},\n\nPlease confirm your email address by opening this link:\n\n${link}\n\nIf you did not create an account, you can ignore this email.`
+  });
+};
+
+export const sendPasswordResetEmail = (user, token) => {
+  const link = `${config.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.firstName || ''},\n\nWe received a request to reset your password. Open this link to choose a new one:\n\n${link}\n\nThe link expires in 1 hour. If you did not ask for a reset, you can ignore this email.`
+  });
+};
+
+export const sendSellerApplicationDecisionEmail = (user, application) => {
+  const approved = application.status === 'approved';
+  return sendMail({
+    to: user.email,
+    subject: approved ? 'Your seller application was approved' : 'Your seller application was not approved',
+    text: approved
+      ? `Hi ${user.firstName || ''},\n\nGood news: ${application.storeName} has been approved. You can now list products at ${config.appUrl}.`
+      : `Hi ${user.firstName || ''},\n\nUnfortunately your application for ${application.storeName} was not approved.${application.rejectionReason ? `\n\nReason: ${application.rejectionReason}` : ''}\n\nYou are welcome to apply again.`
+  });
+};
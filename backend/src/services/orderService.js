@@ -0,0 +1,279 @@
+import db from '../config/database.js';
+import { withInventoryLock, checkStock, reserveStock, releaseStock } from './inventoryService.js';
+import { calculateTotals } from './pricingService.js';
+import { validateCoupon, redeemCoupon, releaseCoupon } from './couponService.js';
+import { captureOrderPayment, refundOrderPayment } from './paymentService.js';
+import { findVariant, getUnitPrice, describeVariant } from './variantService.js';
+
+// Allowed order status transitions. Terminal states have no outgoing edges.
+export const ORDER_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Statuses in which the buyer may still cancel their own order
+export const BUYER_CANCELLABLE_STATUSES = ['pending', 'processing'];
+
+// Progress order used to derive the buyer-facing status from fulfilment groups
+const STATUS_RANK = { pending: 0, processing: 1, shipped: 2, delivered: 3 };
+
+const STATUS_TIMESTAMPS = {
+  shipped: 'shippedAt',
+  delivered: 'deliveredAt',
+  cancelled: 'cancelledAt'
+};
+
+export class OrderTransitionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OrderTransitionError';
+    this.status = status;
+  }
+}
+
+// Thrown when the total a client confirmed no longer matches current prices
+export class PriceChangedError extends Error {
+  constructor(quote) {
+    super('Prices have changed since the order was previewed. Please review the updated total.');
+    this.name = 'PriceChangedError';
+    this.status = 409;
+    this.quote = quote;
+  }
+}
+
+export const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+export const createStatusEntry = (status, changedBy, note, sellerId) => ({
+  status,
+  changedBy,
+  changedAt: new Date().toISOString(),
+  ...(sellerId && { sellerId }),
+  ...(note && { note })
+});
+
+// Seller of an order line. Older orders don't store it on the line, so fall
+// back to the product's current seller.
+const getItemSellerId = (item) => item.sellerId || db.getProductById(item.productId)?.sellerId;
+
+export const getSellerItems = (order, sellerId) => {
+  return order.items.filter(item => getItemSellerId(item) === sellerId);
+};
+
+// One fulfilment group per seller, all starting out pending
+export const buildFulfillments = (items, status = 'pending') => {
+  const sellerIds = [...new Set(items.map(getItemSellerId))];
+  return sellerIds.map(sellerId => ({ sellerId, status }));
+};
+
+// Orders created before fulfilment groups existed share the order's status
+export const getFulfillments = (order) => {
+  return order.fulfillments || buildFulfillments(order.items, order.status);
+};
+
+// The buyer sees the least advanced status of the groups still active
+export const aggregateStatus = (fulfillments) => {
+  const active = fulfillments.filter(f => f.status !== 'cancelled');
+  if (active.length === 0) {
+    return 'cancelled';
+  }
+  return active.reduce(
+    (lowest, f) => (STATUS_RANK[f.status] < STATUS_RANK[lowest] ? f.status : lowest),
+    active[0].status
+  );
+};
+
+export const isBuyerCancellable = (order) => {
+  const active = getFulfillments(order).filter(f => f.status !== 'cancelled');
+  return active.length > 0 && active.every(f => BUYER_CANCELLABLE_STATUSES.includes(f.status));
+};
+
+// The part of an order a seller is responsible for
+export const toSellerOrder = (order, sellerId) => {
+  const fulfillment = getFulfillments(order).find(f => f.sellerId === sellerId);
+  const items = getSellerItems(order, sellerId);
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  return {
+    orderId: order.id,
+    buyerId: order.userId,
+    ...fulfillment,
+    items,
+    subtotal: parseFloat(subtotal.toFixed(2)),
+    shippingAddress: order.shippingAddress,
+    createdAt: order.createdAt
+  };
+};
+
+// Move an order's fulfilment groups to a new status, recording who made the
+// change. With a sellerId only that seller's group moves, otherwise every
+// active group does. Processing requires payment, which is captured first.
+// Cancelled groups return their items to stock and their share is refunded;
+// cancelling the whole order also frees its coupon redemption.
+export const transitionOrder = (orderId, status, { changedBy, note, sellerId } = {}) => {
+  return withInventoryLock(async () => {
+    let order = db.getOrderById(orderId);
+    if (!order) {
+      throw new OrderTransitionError('Order not found', 404);
+    }
+
+    const fulfillments = getFulfillments(order);
+    const targets = sellerId
+      ? fulfillments.filter(f => f.sellerId === sellerId)
+      : fulfillments.filter(f => f.status !== 'cancelled' && f.status !== status);
+
+    if (targets.length === 0) {
+      throw new OrderTransitionError(
+        sellerId ? 'This order has no items from this seller' : `Order is already ${status}`,
+        sellerId ? 404 : 400
+      );
+    }
+
+    for (const fulfillment of targets) {
+      if (!canTransition(fulfillment.status, status)) {
+        throw new OrderTransitionError(`Cannot change order status from ${fulfillment.status} to ${status}`);
+      }
+    }
+
+    if (status === 'processing') {
+      order = await captureOrderPayment(order);
+    }
+
+    const entry = createStatusEntry(status, changedBy, note, sellerId);
+    const timestampField = STATUS_TIMESTAMPS[status];
+
+    const updatedFulfillments = fulfillments.map(f => {
+      if (!targets.includes(f)) {
+        return f;
+      }
+      return {
+        ...f,
+        status,
+        ...(timestampField && { [timestampField]: entry.changedAt })
+      };
+    });
+
+    const orderStatus = aggregateStatus(updatedFulfillments);
+    const updates = {
+      status: orderStatus,
+      fulfillments: updatedFulfillments,
+      statusHistory: [...(order.statusHistory || []), entry]
+    };
+
+    if (orderStatus !== order.status && STATUS_TIMESTAMPS[orderStatus]) {
+      updates[STATUS_TIMESTAMPS[orderStatus]] = entry.changedAt;
+    }
+
+    if (status !== 'cancelled') {
+      return db.updateOrder(orderId, updates);
+    }
+
+    // Refund before anything else changes, so a failed refund leaves the
+    // order and stock as they were. A fully cancelled order refunds the
+    // remaining balance; a partial cancellation the cancelled items' share.
+    const cancelledItems = targets.flatMap(f => getSellerItems(order, f.sellerId));
+    if (orderStatus === 'cancelled') {
+      await refundOrderPayment(order);
+    } else {
+      const cancelledSubtotal = cancelledItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+      if (order.subtotal > 0 && cancelledSubtotal > 0) {
+        await refundOrderPayment(order, order.total * cancelledSubtotal / order.subtotal);
+      }
+    }
+
+    const updatedOrder = db.updateOrder(orderId, updates);
+    releaseStock(cancelledItems, { orderId, actorId: changedBy, reason: note || 'Order cancelled' });
+    if (orderStatus === 'cancelled' && order.couponCode) {
+      releaseCoupon(order.couponCode);
+    }
+
+    return updatedOrder;
+  });
+};
+
+// Orders ship to the given address or the buyer's saved one
+export const resolveShippingAddress = (userId, shippingAddress) => {
+  return shippingAddress || db.getUserById(userId)?.address || null;
+};
+
+// Price order lines from current product data, checking stock for every line.
+// Used for cart quotes, checkout previews and order creation alike so the
+// numbers always match. Throws a CouponError if couponCode can't be used.
+export const priceOrder = (items, shippingAddress, { userId, couponCode } = {}) => {
+  checkStock(items);
+
+  const products = items.map(item => db.getProductById(item.productId));
+  const orderItems = items.map((item, index) => {
+    const product = products[index];
+    const variant = findVariant(product, item.variantId);
+    return {
+      productId: product.id,
+      ...(variant && {
+        variantId: variant.id,
+        sku: variant.sku,
+        variantName: describeVariant(product, variant)
+      }),
+      sellerId: product.sellerId,
+      quantity: item.quantity,
+      price: getUnitPrice(product, variant),
+      name: product.name
+    };
+  });
+
+  const coupon = couponCode ? validateCoupon(couponCode, { userId, lines: orderItems }) : null;
+
+  const totals = calculateTotals(
+    orderItems.map((item, index) => ({ ...item, specifications: products[index].specifications })),
+    shippingAddress,
+    { coupon }
+  );
+
+  return {
+    items: orderItems,
+    ...(coupon && { couponCode: coupon.code }),
+    ...totals
+  };
+};
+
+// Reserve stock for every line and create the order as one unit. When
+// expectedTotal is given the order is only placed if the price still matches.
+export const placeOrder = ({ userId, items, shippingAddress, paymentMethod, couponCode, expectedTotal }) => {
+  return withInventoryLock(() => {
+    const address = resolveShippingAddress(userId, shippingAddress);
+    const quote = priceOrder(items, address, { userId, couponCode });
+    if (expectedTotal !== undefined && quote.total !== expectedTotal) {
+      throw new PriceChangedError(quote);
+    }
+
+    const orderId = `order-${Date.now()}`;
+    const reservation = reserveStock(items, { orderId, actorId: userId });
+
+    try {
+      const order = db.createOrder({
+        id: orderId,
+        userId,
+        ...quote,
+        status: 'pending',
+        shippingAddress: address,
+        paymentMethod: paymentMethod || 'credit_card',
+        paymentStatus: 'pending',
+        fulfillments: buildFulfillments(quote.items),
+        statusHistory: [createStatusEntry('pending', userId)],
+        createdAt: new Date().toISOString()
+      });
+
+      if (quote.couponCode) {
+        redeemCoupon(quote.couponCode);
+      }
+
+      return order;
+    } catch (error) {
+      reservation.release();
+      throw error;
+    }
+  });
+};
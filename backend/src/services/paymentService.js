@@ -0,0 +1,166 @@
+import config from '../config/env.js';
+import db from '../config/database.js';
+import { withInventoryLock } from './inventoryService.js';
+import { createMockGateway } from './payments/mockGateway.js';
+import { PaymentError } from './payments/paymentError.js';
+
+export { PaymentError };
+
+// Payment gateways
+// Every gateway exposes the same methods, selected with PAYMENT_PROVIDER:
+//   authorize({ amount, currency, orderId, paymentToken }) -> { paymentId, status, failureReason }
+//   capture(paymentId, amount)    -> { paymentId, status, amount, failureReason }
+//                                    (never more than is left after earlier refunds)
+//   refund(paymentId, amount)     -> { paymentId, status, amount }
+//   getPayment(paymentId)         -> { paymentId, orderId, status, amount } or null
+//   verifyWebhook(rawBody, signature) -> boolean
+// Gateways throw a PaymentError for payments they don't know.
+const gateways = {
+  mock: () => createMockGateway({ webhookSecret: config.payments.webhookSecret, store: db })
+};
+
+const createGateway = (provider = 'mock') => {
+  const create = gateways[provider];
+  if (!create) {
+    throw new Error(`Unknown PAYMENT_PROVIDER "${provider}". Expected one of: ${Object.keys(gateways).join(', ')}`);
+  }
+  return create();
+};
+
+export const gateway = createGateway(config.payments.provider);
+
+// Allowed payment status transitions
+export const PAYMENT_TRANSITIONS = {
+  pending: ['authorized', 'paid', 'failed'],
+  authorized: ['paid', 'failed', 'refunded'],
+  failed: ['authorized', 'paid', 'failed'],
+  paid: ['refunded'],
+  refunded: []
+};
+
+// Webhook event types and the payment status they move an order to
+export const PAYMENT_EVENTS = {
+  'payment.authorized': 'authorized',
+  'payment.captured': 'paid',
+  'payment.failed': 'failed',
+  'payment.refunded': 'refunded'
+};
+
+const round = (amount) => parseFloat(amount.toFixed(2));
+
+// Authorize the order total with the gateway. A declined payment is recorded
+// on the order as failed and can be retried.
+export const authorizeOrderPayment = (orderId, { paymentToken } = {}) => {
+  return withInventoryLock(async () => {
+    const order = db.getOrderById(orderId);
+    if (!order) {
+      throw new PaymentError('Order not found', 404);
+    }
+    if (order.status === 'cancelled') {
+      throw new PaymentError('Cannot pay for a cancelled order');
+    }
+    if (!['pending', 'failed'].includes(order.paymentStatus)) {
+      throw new PaymentError(`Payment is already ${order.paymentStatus}`);
+    }
+
+    const result = await gateway.authorize({
+      amount: order.total,
+      orderId: order.id,
+      paymentToken
+    });
+
+    return db.updateOrder(order.id, {
+      paymentStatus: result.status,
+      paymentProvider: gateway.name,
+      paymentId: result.paymentId,
+      paymentFailureReason: result.failureReason || null,
+      ...(result.status === 'authorized' && { authorizedAt: new Date().toISOString() })
+    });
+  });
+};
+
+// Capture an authorized payment. Call while holding the inventory lock.
+export const captureOrderPayment = async (order) => {
+  if (order.paymentStatus === 'paid') {
+    return order;
+  }
+  if (order.paymentStatus !== 'authorized') {
+    throw new PaymentError('Order cannot be processed until payment is authorized', 409);
+  }
+
+  // Shares of cancelled groups refunded before capture aren't charged
+  const refunded = (order.refunds || []).reduce((sum, refund) => sum + refund.amount, 0);
+  const result = await gateway.capture(order.paymentId, round(order.total - refunded));
+  if (result.status !== 'paid') {
+    db.updateOrder(order.id, {
+      paymentStatus: 'failed',
+      paymentFailureReason: result.failureReason || 'Capture failed'
+    });
+    throw new PaymentError(result.failureReason || 'Payment capture failed', 402);
+  }
+
+  return db.updateOrder(order.id, {
+    paymentStatus: 'paid',
+    paidAt: new Date().toISOString()
+  });
+};
+
+// Refund some or all of an order's payment. Without an amount the remaining
+// balance is refunded. Call while holding the inventory lock.
+export const refundOrderPayment = async (order, amount) => {
+  if (!['authorized', 'paid'].includes(order.paymentStatus)) {
+    return order;
+  }
+
+  const result = await gateway.refund(order.paymentId, amount === undefined ? undefined : round(amount));
+
+  return db.updateOrder(order.id, {
+    paymentStatus: result.status === 'refunded' ? 'refunded' : order.paymentStatus,
+    refunds: [
+      ...(order.refunds || []),
+      { amount: result.amount, refundedAt: new Date().toISOString() }
+    ]
+  });
+};
+
+// Verify a signed gateway webhook and apply its payment status to the order
+export const handlePaymentWebhook = (rawBody, signature) => {
+  if (!gateway.verifyWebhook(rawBody, signature)) {
+    throw new PaymentError('Invalid webhook signature', 401);
+  }
+
+  const event = JSON.parse(rawBody);
+  const paymentStatus = PAYMENT_EVENTS[event.type];
+  if (!paymentStatus) {
+    // Acknowledge events we don't handle so the gateway stops retrying
+    return Promise.resolve(null);
+  }
+
+  return withInventoryLock(async () => {
+    const { orderId, paymentId } = event.data || {};
+    const order = db.getOrderById(orderId);
+    if (!order || (order.paymentId && order.paymentId !== paymentId)) {
+      throw new PaymentError('No order matches this payment', 404);
+    }
+
+    // Only payments the gateway made for this order are accepted
+    const payment = await gateway.getPayment(paymentId);
+    if (!payment || payment.orderId !== order.id) {
+      throw new PaymentError('No order matches this payment', 404);
+    }
+
+    // Replayed events are a no-op; out-of-order events must not regress status
+    if (order.paymentStatus === paymentStatus) {
+      return order;
+    }
+    if (!(PAYMENT_TRANSITIONS[order.paymentStatus] || []).includes(paymentStatus)) {
+      throw new PaymentError(`Cannot change payment status from ${order.paymentStatus} to ${paymentStatus}`, 409);
+    }
+
+    return db.updateOrder(order.id, {
+      paymentStatus,
+      paymentId,
+      ...(paymentStatus === 'paid' && { paidAt: new Date().toISOString() })
+    });
+  });
+};
@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import { PaymentError } from './paymentError.js';
+
+// Mock payment gateway for development and tests
+// Payments are stored through the database adapter (`store`), so they live as
+// long as the orders referencing them. Use the payment token `tok_decline` to
+// simulate a declined card; any other token is approved.
+
+export const DECLINED_TOKEN = 'tok_decline';
+
+export const signPayload = (payload, secret) => {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
+export const createMockGateway = ({ webhookSecret, store } = {}) => {
+  const findPayment = (paymentId) => {
+    const payment = paymentId && store.getPaymentById(paymentId);
+    if (!payment) {
+      throw new PaymentError(`Unknown payment ${paymentId}`, 409);
+    }
+    return payment;
+  };
+
+  return {
+    name: 'mock',
+
+    authorize: async ({ amount, currency = 'usd', orderId, paymentToken }) => {
+      const payment = store.createPayment({
+        id: `pay_${crypto.randomUUID()}`,
+        orderId,
+        amount,
+        currency,
+        capturedAmount: 0,
+        releasedAmount: 0,
+        refundedAmount: 0,
+        status: paymentToken === DECLINED_TOKEN ? 'failed' : 'authorized',
+        createdAt: new Date().toISOString()
+      });
+
+      return {
+        paymentId: payment.id,
+        status: payment.status,
+        ...(payment.status === 'failed' && { failureReason: 'Card declined' })
+      };
+    },
+
+    capture: async (paymentId, amount) => {
+      const payment = findPayment(paymentId);
+      if (payment.status !== 'authorized') {
+        return { paymentId, status: 'failed', failureReason: `Cannot capture a ${payment.status} payment` };
+      }
+
+      // Refunds before capture released part of the authorization; the
+      // captured amount is what later refunds are taken from
+      const outstanding = payment.amount - payment.refundedAmount;
+      const captured = store.updatePayment(paymentId, {
+        capturedAmount: parseFloat(Math.min(amount ?? outstanding, outstanding).toFixed(2)),
+        releasedAmount: payment.refundedAmount,
+        refundedAmount: 0,
+        status: 'paid'
+      });
+      return { paymentId, status: 'paid', amount: captured.capturedAmount };
+    },
+
+    // Refunding an uncaptured authorization releases it
+    refund: async (paymentId, amount) => {
+      const payment = findPayment(paymentId);
+      const total = payment.status === 'paid' ? payment.capturedAmount : payment.amount;
+      const refundable = total - payment.refundedAmount;
+      const refundAmount = parseFloat(Math.min(amount ?? refundable, refundable).toFixed(2));
+      const refundedAmount = payment.refundedAmount + refundAmount;
+
+      const refunded = store.updatePayment(paymentId, {
+        refundedAmount,
+        ...(refundedAmount >= total && { status: 'refunded' })
+      });
+      return { paymentId, status: refunded.status, amount: refundAmount };
+    },
+
+    getPayment: async (paymentId) => {
+      const payment = paymentId && store.getPaymentById(paymentId);
+      return payment ? { paymentId, orderId: payment.orderId, status: payment.status, amount: payment.amount } : null;
+    },
+
+    // Webhooks carry an HMAC-SHA256 signature of the raw request body
+    verifyWebhook: (rawBody, signature) => {
+      if (!webhookSecret || !rawBody || !signature) {
+        return false;
+      }
+      const expected = Buffer.from(signPayload(rawBody, webhookSecret));
+      const received = Buffer.from(signature);
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+  };
+};
@@ -0,0 +1,8 @@
+// Raised by the payment service and gateways; `status` is the HTTP status to respond with
+export class PaymentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PaymentError';
+    this.status = status;
+  }
+}
@@ -0,0 +1,103 @@
+import { pricingConfig } from '../config/pricing.js';
+import { calculateDiscounts } from './couponService.js';
+
+const WEIGHT_UNITS_IN_LBS = {
+  lb: 1,
+  lbs: 1,
+  pound: 1,
+  pounds: 1,
+  oz: 1 / 16,
+  kg: 2.20462,
+  g: 0.00220462
+};
+
+const round = (amount) => parseFloat(amount.toFixed(2));
+
+const normalize = (value) => (value || '').toString().trim().toUpperCase();
+
+// Parse a specification such as "2.5 lbs" or "800 g" into pounds
+export const parseWeightLbs = (weight) => {
+  if (typeof weight === 'number') {
+    return weight;
+  }
+
+  const match = /^\s*([\d.]+)\s*([a-z]+)?\s*$/i.exec(weight || '');
+  if (!match) {
+    return null;
+  }
+
+  const unit = (match[2] || 'lb').toLowerCase();
+  const factor = WEIGHT_UNITS_IN_LBS[unit];
+  return factor ? parseFloat(match[1]) * factor : null;
+};
+
+export const getTaxRate = (address = {}, config = pricingConfig.tax) => {
+  const country = normalize(address?.country);
+  const state = normalize(address?.state);
+
+  const stateRule = config.rules.find(rule =>
+    rule.state && normalize(rule.country) === country && normalize(rule.state) === state
+  );
+  if (stateRule) {
+    return stateRule.rate;
+  }
+
+  const countryRule = config.rules.find(rule => !rule.state && normalize(rule.country) === country);
+  return countryRule ? countryRule.rate : config.defaultRate;
+};
+
+// lines: [{ quantity, specifications }]
+export const calculateShipping = (lines, subtotal, config = pricingConfig.shipping) => {
+  if (lines.length === 0) {
+    return 0;
+  }
+
+  if (config.freeShippingThreshold !== null && subtotal >= config.freeShippingThreshold) {
+    return 0;
+  }
+
+  if (config.type === 'flat') {
+    return config.flatRate;
+  }
+
+  if (config.type === 'weight') {
+    const totalWeight = lines.reduce((sum, line) => {
+      const weight = parseWeightLbs(line.specifications?.weight) ?? config.defaultWeightLbs;
+      return sum + weight * line.quantity;
+    }, 0);
+    return round(config.baseRate + totalWeight * config.ratePerLb);
+  }
+
+  throw new Error(`Unknown shipping type "${config.type}"`);
+};
+
+const sumDiscounts = (discounts, appliesTo) => round(
+  discounts
+    .filter(discount => discount.appliesTo === appliesTo)
+    .reduce((sum, discount) => sum + discount.amount, 0)
+);
+
+// Compute subtotal, discounts, tax, shipping and total for priced lines.
+// Tax is charged on the subtotal after item discounts.
+// lines: [{ productId, sellerId, name, price, quantity, specifications }]
+export const calculateTotals = (lines, shippingAddress, { coupon } = {}) => {
+  const subtotal = round(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  const shipping = round(calculateShipping(lines, subtotal));
+
+  const discounts = coupon ? calculateDiscounts(coupon, lines, { shipping }) : [];
+  const itemDiscount = Math.min(sumDiscounts(discounts, 'items'), subtotal);
+  const shippingDiscount = Math.min(sumDiscounts(discounts, 'shipping'), shipping);
+
+  const taxRate = getTaxRate(shippingAddress);
+  const tax = round((subtotal - itemDiscount) * taxRate);
+
+  return {
+    subtotal,
+    discounts,
+    discount: round(itemDiscount + shippingDiscount),
+    taxRate,
+    tax,
+    shipping,
+    total: round(subtotal - itemDiscount + tax + shipping - shippingDiscount)
+  };
+};
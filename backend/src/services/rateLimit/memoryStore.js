@@ -0,0 +1,54 @@
+// Counter store kept in process memory. Counts are lost on restart and are
+// not shared between server instances.
+//
+// Every store implements:
+//   increment(key, windowMs) -> { count, resetAt }  (fixed window counter)
+//   get(key)                 -> value | undefined
+//   set(key, value, ttlMs)
+//   delete(key)
+// All methods return promises so stores backed by a network service fit in.
+
+export const createMemoryStore = ({ cleanupIntervalMs = 60 * 1000 } = {}) => {
+  const entries = new Map();
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  // Drop expired entries so the map doesn't grow without bound
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }, cleanupIntervalMs);
+  cleanup.unref();
+
+  return {
+    name: 'memory',
+
+    increment: async (key, windowMs) => {
+      const entry = read(key) || { value: 0, expiresAt: Date.now() + windowMs };
+      entry.value += 1;
+      entries.set(key, entry);
+      return { count: entry.value, resetAt: entry.expiresAt };
+    },
+
+    get: async (key) => read(key)?.value,
+
+    set: async (key, value, ttlMs) => {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    delete: async (key) => {
+      entries.delete(key);
+    }
+  };
+};
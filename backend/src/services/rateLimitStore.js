@@ -0,0 +1,19 @@
+import config from '../config/env.js';
+import { createMemoryStore } from './rateLimit/memoryStore.js';
+
+// Counter stores for rate limiting, selected with RATE_LIMIT_STORE:
+//   memory - per-process counters (default)
+// See rateLimit/memoryStore.js for the interface a store implements.
+const stores = {
+  memory: () => createMemoryStore()
+};
+
+const createStore = (name = 'memory') => {
+  const create = stores[name];
+  if (!create) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Expected one of: ${Object.keys(stores).join(', ')}`);
+  }
+  return create();
+};
+
+export const rateLimitStore = createStore(config.rateLimit.store);
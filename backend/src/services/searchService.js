@@ -0,0 +1,189 @@
+import db from '../config/database.js';
+import { tokenize, editDistance } from '../utils/searchText.js';
+import { getCategoryAncestors, getDescendantIds } from './categoryService.js';
+
+// Product search index
+// An inverted index from stemmed terms to the products containing them. Each
+// product field counts for more or less depending on how much a match there
+// says about the product. The index is built from the database on first use;
+// anything that changes a product's text must call indexProduct or
+// removeProductFromIndex so search stays current.
+
+const FIELD_WEIGHTS = {
+  name: 5,
+  tags: 4,
+  sku: 4,
+  category: 3,
+  specifications: 2,
+  description: 1
+};
+
+// Matches on a longer word starting with the query term, or on a term within a
+// few typos of it, count for less than exact matches
+const PREFIX_FACTOR = 0.7;
+const FUZZY_FACTORS = [1, 0.6, 0.35];
+const MIN_PREFIX_LENGTH = 3;
+const SKU_MATCH_SCORE = 100;
+
+// Allowed typos grow with the length of the word
+const maxEdits = (term) => {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+};
+
+let index = null;
+
+// The product's own SKU and those of its variants
+const productSkus = (product) => {
+  return [product.sku, ...(product.variants || []).map(v => v.sku)].filter(Boolean);
+};
+
+const productFields = (product) => ({
+  name: product.name,
+  tags: (product.tags || []).join(' '),
+  sku: productSkus(product).join(' '),
+  // Parent category names too, so "electronics" finds smartphones
+  category: getCategoryAncestors(product.categoryId).map(c => c.name).join(' '),
+  // Option values too, so "black" finds products sold in black
+  specifications: [
+    ...Object.values(product.specifications || {}).flat(),
+    ...(product.options || []).flatMap(o => o.values)
+  ].join(' '),
+  description: product.description
+});
+
+const addDocument = (target, product) => {
+  const terms = new Map();
+  Object.entries(productFields(product)).forEach(([field, text]) => {
+    tokenize(text).forEach(term => {
+      terms.set(term, (terms.get(term) || 0) + FIELD_WEIGHTS[field]);
+    });
+  });
+
+  terms.forEach((weight, term) => {
+    if (!target.postings.has(term)) {
+      target.postings.set(term, new Map());
+    }
+    target.postings.get(term).set(product.id, weight);
+  });
+
+  const skus = productSkus(product).map(sku => sku.toLowerCase());
+  skus.forEach(sku => target.skus.set(sku, product.id));
+  target.documents.set(product.id, { terms: [...terms.keys()], skus });
+};
+
+const removeDocument = (target, productId) => {
+  const document = target.documents.get(productId);
+  if (!document) {
+    return;
+  }
+
+  document.terms.forEach(term => {
+    const posting = target.postings.get(term);
+    posting.delete(productId);
+    if (posting.size === 0) {
+      target.postings.delete(term);
+    }
+  });
+  document.skus.forEach(sku => {
+    if (target.skus.get(sku) === productId) {
+      target.skus.delete(sku);
+    }
+  });
+  target.documents.delete(productId);
+};
+
+const getIndex = () => {
+  if (!index) {
+    index = { documents: new Map(), postings: new Map(), skus: new Map() };
+    db.getProducts().forEach(product => addDocument(index, product));
+  }
+  return index;
+};
+
+// Add a product to the index, or refresh it after an update
+export const indexProduct = (product) => {
+  const target = getIndex();
+  removeDocument(target, product.id);
+  addDocument(target, product);
+};
+
+export const removeProductFromIndex = (productId) => {
+  removeDocument(getIndex(), productId);
+};
+
+// Category names are indexed with each product, so refresh the products of a
+// renamed category and of its subcategories
+export const reindexCategory = (categoryId) => {
+  const categoryIds = getDescendantIds(categoryId);
+  db.getProducts()
+    .filter(p => categoryIds.has(p.categoryId))
+    .forEach(indexProduct);
+};
+
+// Index terms a query term matches, with how much each match counts. Typos are
+// only considered when the term itself isn't in the index.
+const expandTerm = (target, term) => {
+  const matches = new Map();
+  const exact = target.postings.has(term);
+  const edits = exact ? 0 : maxEdits(term);
+
+  if (exact) {
+    matches.set(term, 1);
+  }
+  target.postings.forEach((posting, candidate) => {
+    if (candidate === term) {
+      return;
+    }
+    if (term.length >= MIN_PREFIX_LENGTH && candidate.startsWith(term)) {
+      matches.set(candidate, PREFIX_FACTOR);
+    } else if (edits > 0) {
+      const distance = editDistance(term, candidate, edits);
+      if (distance <= edits) {
+        matches.set(candidate, FUZZY_FACTORS[distance]);
+      }
+    }
+  });
+  return matches;
+};
+
+// Find the products matching every term of `query`.
+// Returns a Map of product id -> relevance score (higher is better).
+export const searchProducts = (query) => {
+  const target = getIndex();
+  const terms = [...new Set(tokenize(query))];
+  const scores = new Map();
+
+  terms.forEach((term, position) => {
+    const termScores = new Map();
+    expandTerm(target, term).forEach((factor, candidate) => {
+      const posting = target.postings.get(candidate);
+      // Rare terms say more about a product than common ones
+      const idf = Math.log(1 + target.documents.size / posting.size);
+      posting.forEach((weight, productId) => {
+        const score = weight * idf * factor;
+        termScores.set(productId, Math.max(termScores.get(productId) || 0, score));
+      });
+    });
+
+    if (position === 0) {
+      termScores.forEach((score, productId) => scores.set(productId, score));
+      return;
+    }
+    scores.forEach((score, productId) => {
+      if (termScores.has(productId)) {
+        scores.set(productId, score + termScores.get(productId));
+      } else {
+        scores.delete(productId);
+      }
+    });
+  });
+
+  // Searching for a SKU puts that product first
+  const skuMatch = target.skus.get(String(query).trim().toLowerCase());
+  if (skuMatch) {
+    scores.set(skuMatch, (scores.get(skuMatch) || 0) + SKU_MATCH_SCORE);
+  }
+
+  return scores;
+};
@@ -0,0 +1,96 @@
+import db from '../config/database.js';
+
+// A session is one login on one device. Its id is the family id shared by the
+// refresh tokens of that login, so revoking the family ends the session.
+
+// Only record activity once a minute so every request doesn't write
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const BROWSERS = [
+  [/Edg\//, 'Edge'],
+  [/OPR\//, 'Opera'],
+  [/Firefox\//, 'Firefox'],
+  [/Chrome\//, 'Chrome'],
+  [/Safari\//, 'Safari'],
+  [/curl\//, 'curl'],
+  [/PostmanRuntime\//, 'Postman']
+];
+
+const PLATFORMS = [
+  [/iPhone|iPad/, 'iOS'],
+  [/Android/, 'Android'],
+  [/Windows/, 'Windows'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/CrOS/, 'ChromeOS'],
+  [/Linux/, 'Linux']
+];
+
+// Human readable label such as "Chrome on macOS"
+export const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const platform = PLATFORMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+};
+
+// Request details recorded on sessions
+export const getClientInfo = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent') || '',
+  deviceName: req.body?.deviceName
+});
+
+export const createSession = (userId, sessionId, { ip, userAgent, deviceName } = {}, expiresAt) => {
+  const now = new Date().toISOString();
+  return db.createSession({
+    id: sessionId,
+    userId,
+    deviceLabel: deviceName || describeDevice(userAgent),
+    userAgent,
+    ip,
+    createdAt: now,
+    lastSeenAt: now,
+    lastSeenIp: ip,
+    expiresAt,
+    revokedAt: null
+  });
+};
+
+// Record activity on a session, throttled to LAST_SEEN_RESOLUTION_MS
+export const touchSession = (sessionId, { ip } = {}, updates = {}) => {
+  const session = db.getSessionById(sessionId);
+  if (!session) {
+    return null;
+  }
+
+  const stale = Date.now() - new Date(session.lastSeenAt).getTime() >= LAST_SEEN_RESOLUTION_MS;
+  if (!stale && ip === session.lastSeenIp && Object.keys(updates).length === 0) {
+    return session;
+  }
+
+  return db.updateSession(sessionId, {
+    lastSeenAt: new Date().toISOString(),
+    ...(ip && { lastSeenIp: ip }),
+    ...updates
+  });
+};
+
+export const isSessionActive = (session) => Boolean(
+  session &&
+  !session.revokedAt &&
+  new Date(session.expiresAt) > new Date()
+);
+
+export const getActiveSessions = (userId) => {
+  return db.getSessionsByUser(userId)
+    .filter(isSessionActive)
+    .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+};
+
+export const markSessionRevoked = (sessionId) => {
+  const session = db.getSessionById(sessionId);
+  if (session && !session.revokedAt) {
+    db.updateSession(sessionId, { revokedAt: new Date().toISOString() });
+  }
+};
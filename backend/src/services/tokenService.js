@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../config/env.js';
+import db from '../config/database.js';
+import { createSession, touchSession, markSessionRevoked, isSessionActive } from './sessionService.js';
+
+// Access tokens are short-lived JWTs. Each one carries the id of the refresh
+// token it was issued with (`tid`), so revoking or rotating that refresh token
+// also invalidates the access token.
+// Refresh tokens are opaque random strings stored only as a hash. Every use
+// rotates them; tokens descending from the same login share a `familyId`, and
+// presenting an already rotated token revokes the whole family.
+// Each family is one session (see sessionService.js); its id is also the
+// session id, carried in access tokens as `sid`.
+
+export class TokenError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'TokenError';
+    this.status = status;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, record) => {
+  return jwt.sign(
+    { id: user.id, email: user.email, role: user.role, tid: record.id, sid: record.familyId },
+    config.jwt.secret,
+    { expiresIn: config.jwt.accessExpiresIn }
+  );
+};
+
+const createRefreshTokenRecord = (userId, familyId) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const now = new Date();
+  const record = db.createRefreshToken({
+    id: `rt-${crypto.randomUUID()}`,
+    userId,
+    familyId: familyId || crypto.randomUUID(),
+    tokenHash: hashToken(token),
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + config.jwt.refreshTokenTtlDays * 24 * 60 * 60 * 1000).toISOString(),
+    revokedAt: null,
+    replacedBy: null
+  });
+  return { token, record };
+};
+
+const issueTokenPair = (user, familyId) => {
+  const { token: refreshToken, record } = createRefreshTokenRecord(user.id, familyId);
+
+  return {
+    record,
+    tokens: {
+      token: signAccessToken(user, record),
+      refreshToken,
+      refreshTokenExpiresAt: record.expiresAt
+    }
+  };
+};
+
+// Issue a new access/refresh token pair for a fresh login and start a session
+// for it. `client` holds the request details from getClientInfo().
+export const issueTokens = (user, client = {}) => {
+  const { record, tokens } = issueTokenPair(user);
+  createSession(user.id, record.familyId, client, record.expiresAt);
+  return tokens;
+};
+
+export const revokeTokenFamily = (familyId) => {
+  const revokedAt = new Date().toISOString();
+  db.getRefreshTokens()
+    .filter(t => t.familyId === familyId && !t.revokedAt)
+    .forEach(t => db.updateRefreshToken(t.id, { revokedAt }));
+  markSessionRevoked(familyId);
+};
+
+// Revoke every session of a user, optionally keeping the one `exceptTokenId`
+// belongs to
+export const revokeAllUserTokens = (userId, { exceptTokenId } = {}) => {
+  const keepFamilyId = exceptTokenId ? db.getRefreshTokenById(exceptTokenId)?.familyId : null;
+  const familyIds = new Set(
+    db.getRefreshTokensByUser(userId)
+      .filter(t => !t.revokedAt && t.familyId !== keepFamilyId)
+      .map(t => t.familyId)
+  );
+  familyIds.forEach(revokeTokenFamily);
+};
+
+// Exchange a refresh token for a new pair, retiring the old refresh token
+export const rotateRefreshToken = (refreshToken, client = {}) => {
+  const record = db.getRefreshTokenByHash(hashToken(refreshToken || ''));
+  if (!record) {
+    throw new TokenError('Invalid refresh token');
+  }
+
+  // A rotated or revoked token being replayed suggests it was stolen
+  if (record.revokedAt || record.replacedBy) {
+    revokeTokenFamily(record.familyId);
+    throw new TokenError('Refresh token has been revoked');
+  }
+
+  if (new Date(record.expiresAt) <= new Date()) {
+    throw new TokenError('Refresh token has expired');
+  }
+
+  const user = db.getUserById(record.userId);
+  if (!user) {
+    revokeTokenFamily(record.familyId);
+    throw new TokenError('Invalid refresh token');
+  }
+
+  const { record: newRecord, tokens } = issueTokenPair(user, record.familyId);
+  db.updateRefreshToken(record.id, {
+    replacedBy: newRecord.id,
+    revokedAt: new Date().toISOString()
+  });
+  touchSession(record.familyId, client, { expiresAt: newRecord.expiresAt });
+
+  return { user, ...tokens };
+};
+
+// Revoke the login a refresh token belongs to
+export const revokeRefreshToken = (refreshToken) => {
+  const record = db.getRefreshTokenByHash(hashToken(refreshToken || ''));
+  if (!record) {
+    return false;
+  }
+  revokeTokenFamily(record.familyId);
+  return true;
+};
+
+// An access token is only valid while the refresh token it was issued with
+// is current (not revoked, not rotated and not expired) and its session is
+// still active. Logins from before sessions were recorded have no session.
+export const isAccessTokenActive = (payload) => {
+  const record = payload.tid && db.getRefreshTokenById(payload.tid);
+  const session = record && db.getSessionById(record.familyId);
+  return Boolean(
+    record &&
+    record.userId === payload.id &&
+    !record.revokedAt &&
+    !record.replacedBy &&
+    new Date(record.expiresAt) > new Date() &&
+    (!session || isSessionActive(session))
+  );
+};
@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../config/env.js';
+import db from '../config/database.js';
+import { generateSecret, verifyTotp, buildOtpauthUri } from './totpService.js';
+
+// Two-factor authentication for sellers and admins. Settings live in their own
+// collection so secrets never end up in user responses; the user record only
+// carries `twoFactorEnabled` and the admin-set `twoFactorRequired` flag.
+
+export const TWO_FACTOR_ROLES = ['seller', 'admin'];
+
+const CHALLENGE_EXPIRES_IN = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+export class TwoFactorError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.status = status;
+  }
+}
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const normalizeRecoveryCode = (code) => String(code || '').trim().toLowerCase();
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+const storeRecoveryCodes = (userId) => {
+  const codes = generateRecoveryCodes();
+  db.setTwoFactor(userId, { recoveryCodes: codes.map(hashCode) });
+  return codes;
+};
+
+export const isTwoFactorEnabled = (userId) => Boolean(db.getTwoFactor(userId)?.enabledAt);
+
+// Create a new secret to be confirmed with a code before it takes effect
+export const beginEnrollment = (user) => {
+  if (!TWO_FACTOR_ROLES.includes(user.role)) {
+    throw new TwoFactorError('Two-factor authentication is available for seller and admin accounts', 403);
+  }
+  if (isTwoFactorEnabled(user.id)) {
+    throw new TwoFactorError('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  db.setTwoFactor(user.id, { pendingSecret: secret });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: config.totpIssuer })
+  };
+};
+
+// Confirm the pending secret and return the one-time recovery codes
+export const confirmEnrollment = (user, code) => {
+  const settings = db.getTwoFactor(user.id);
+  if (!settings?.pendingSecret) {
+    throw new TwoFactorError('Start two-factor setup before enabling it');
+  }
+
+  const step = verifyTotp(settings.pendingSecret, code);
+  if (step === null) {
+    throw new TwoFactorError('Invalid authentication code');
+  }
+
+  db.setTwoFactor(user.id, {
+    secret: settings.pendingSecret,
+    pendingSecret: null,
+    lastUsedStep: step,
+    enabledAt: new Date().toISOString()
+  });
+  db.updateUser(user.id, { twoFactorEnabled: true });
+
+  return storeRecoveryCodes(user.id);
+};
+
+// Check an authenticator code or an unused recovery code (which is then spent)
+export const verifySecondFactor = (userId, code) => {
+  const settings = db.getTwoFactor(userId);
+  if (!settings?.enabledAt) {
+    return false;
+  }
+
+  const step = verifyTotp(settings.secret, code);
+  if (step !== null) {
+    // Each code can only be used once
+    if (step <= (settings.lastUsedStep ?? -1)) {
+      return false;
+    }
+    db.setTwoFactor(userId, { lastUsedStep: step });
+    return true;
+  }
+
+  const hash = hashCode(normalizeRecoveryCode(code));
+  if (settings.recoveryCodes?.includes(hash)) {
+    db.setTwoFactor(userId, {
+      recoveryCodes: settings.recoveryCodes.filter(c => c !== hash)
+    });
+    return true;
+  }
+
+  return false;
+};
+
+export const regenerateRecoveryCodes = (userId, code) => {
+  if (!verifySecondFactor(userId, code)) {
+    throw new TwoFactorError('Invalid authentication code');
+  }
+  return storeRecoveryCodes(userId);
+};
+
+export const disableTwoFactor = (userId) => {
+  db.removeTwoFactor(userId);
+  db.updateUser(userId, { twoFactorEnabled: false });
+};
+
+// Short-lived token proving the password step of a login succeeded. It carries
+// no refresh token id, so authenticate rejects it as an access token.
+export const createLoginChallenge = (user) => {
+  return jwt.sign(
+    { id: user.id, purpose: '2fa_challenge' },
+    config.jwt.secret,
+    { expiresIn: CHALLENGE_EXPIRES_IN }
+  );
+};
+
+export const verifyLoginChallenge = (challengeToken) => {
+  try {
+    const payload = jwt.verify(challengeToken, config.jwt.secret);
+    if (payload.purpose !== '2fa_challenge') {
+      throw new Error('Wrong token purpose');
+    }
+    return payload.id;
+  } catch (error) {
+    throw new TwoFactorError('Invalid or expired login challenge', 401);
+  }
+};
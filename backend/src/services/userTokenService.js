@@ -0,0 +1,44 @@
+import crypto from 'crypto';
+import db from '../config/database.js';
+
+// Single-use tokens sent by email. Only a hash is stored, and issuing a new
+// token of a type invalidates any earlier unused one.
+
+export const TOKEN_TYPES = {
+  emailVerification: { type: 'email_verification', ttlMinutes: 24 * 60 },
+  passwordReset: { type: 'password_reset', ttlMinutes: 60 }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const createUserToken = (userId, { type, ttlMinutes }) => {
+  const now = new Date();
+
+  db.getUserTokensByUser(userId)
+    .filter(t => t.type === type && !t.usedAt)
+    .forEach(t => db.updateUserToken(t.id, { usedAt: now.toISOString() }));
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  db.createUserToken({
+    id: `ut-${crypto.randomUUID()}`,
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + ttlMinutes * 60 * 1000).toISOString(),
+    usedAt: null
+  });
+
+  return token;
+};
+
+// Mark a token as used and return its user id, or null if it isn't valid
+export const consumeUserToken = (token, { type }) => {
+  const record = db.getUserTokenByHash(hashToken(token || ''));
+  if (!record || record.type !== type || record.usedAt || new Date(record.expiresAt) <= new Date()) {
+    return null;
+  }
+
+  db.updateUserToken(record.id, { usedAt: new Date().toISOString() });
+  return record.userId;
+};
@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+
+// Product variants
+// A product may declare option axes, e.g.
+//   options:  [{ name: 'size', values: ['9', '10'] }, { name: 'color', values: ['White', 'Black'] }]
+// and sell each combination as a variant with its own SKU, stock and images,
+// and optionally its own price:
+//   variants: [{ id, sku, options: { size: '9', color: 'White' }, price, stock, images }]
+// The product's `stock` is then the sum of its variants' stock, and cart and
+// order lines must name a `variantId`.
+
+export const MAX_OPTION_AXES = 3;
+
+export const hasVariants = (product) => Array.isArray(product?.variants) && product.variants.length > 0;
+
+export const findVariant = (product, variantId) => {
+  return hasVariants(product) ? product.variants.find(v => v.id === variantId) || null : null;
+};
+
+// Unit price of a line: the variant's override, else the product price
+export const getUnitPrice = (product, variant) => variant?.price ?? product.price;
+
+export const getStockLevel = (product, variant) => (variant ? variant.stock : product.stock);
+
+export const sumVariantStock = (variants) => variants.reduce((sum, v) => sum + v.stock, 0);
+
+// "9 / White" for order lines and cart display
+export const describeVariant = (product, variant) => {
+  return (product.options || []).map(option => variant.options[option.name]).join(' / ');
+};
+
+const combinationKey = (options, axes) => axes.map(axis => options?.[axis.name]).join('\u0000');
+
+// Problems with an options/variants pair, as readable messages (empty when valid)
+export const getVariantErrors = (options = [], variants = []) => {
+  const errors = [];
+
+  if (options.length > MAX_OPTION_AXES) {
+    errors.push(`A product can have at most ${MAX_OPTION_AXES} options`);
+  }
+  const names = options.map(o => o.name);
+  if (new Set(names).size !== names.length) {
+    errors.push('Option names must be unique');
+  }
+  options.forEach(option => {
+    if (new Set(option.values).size !== option.values.length) {
+      errors.push(`Values of option "${option.name}" must be unique`);
+    }
+  });
+
+  if (variants.length > 0 && options.length === 0) {
+    errors.push('Variants need options to choose between them');
+  }
+
+  const seen = new Set();
+  variants.forEach((variant, index) => {
+    const label = `Variant ${index + 1}`;
+    const keys = Object.keys(variant.options || {});
+    const unknown = keys.filter(key => !names.includes(key));
+    if (unknown.length > 0) {
+      errors.push(`${label} uses unknown options: ${unknown.join(', ')}`);
+    }
+    options.forEach(option => {
+      if (!option.values.includes(variant.options?.[option.name])) {
+        errors.push(`${label} needs a ${option.name} of ${option.values.join(', ')}`);
+      }
+    });
+
+    const key = combinationKey(variant.options, options);
+    if (seen.has(key)) {
+      errors.push(`${label} repeats the options of another variant`);
+    }
+    seen.add(key);
+  });
+
+  return errors;
+};
+
+// Normalise submitted variants, keeping the ids of existing variants that are
+// sent back with their `id` and generating ids and SKUs for new ones. Fields
+// left out of an existing variant keep their current values (price null
+// clears a price override).
+export const buildVariants = (variants, { existing = [], baseSku }) => {
+  return variants.map(variant => {
+    const current = existing.find(v => v.id === variant.id);
+    const suffix = Object.values(variant.options).join('-').toUpperCase().replace(/[^A-Z0-9]+/g, '-');
+    return {
+      id: current?.id || `var-${crypto.randomUUID()}`,
+      sku: variant.sku || current?.sku || `${baseSku}-${suffix}`,
+      options: variant.options,
+      price: variant.price !== undefined ? variant.price : current?.price ?? null,
+      stock: variant.stock ?? current?.stock ?? 0,
+      images: variant.images || current?.images || []
+    };
+  });
+};
@@ -0,0 +1,76 @@
+// Text helpers for the product search index
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+// Lowercase, drop accents and split on anything that isn't a letter or digit
+export const splitWords = (text) => {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+};
+
+// Light English suffix stripping, enough to match "shoes" to "shoe" and
+// "running" to "run". Short words and words containing digits (model numbers)
+// are left alone.
+export const stem = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) {
+    return word;
+  }
+
+  const rules = [
+    [/ies$/, 'y'],
+    [/(ss|sh|ch|x|z)es$/, '$1'],
+    [/([^s])s$/, '$1'],
+    [/^(.{2,}?)([^aeiouslz])\2(ing|ed)$/, '$1$2'],
+    [/^(.{4,})(ing|ed)$/, '$1']
+  ];
+
+  for (const [pattern, replacement] of rules) {
+    if (pattern.test(word)) {
+      return word.replace(pattern, replacement);
+    }
+  }
+  return word;
+};
+
+// Split text into stemmed search terms without stop words
+export const tokenize = (text) => {
+  return splitWords(text)
+    .filter(word => !STOP_WORDS.has(word))
+    .map(stem);
+};
+
+// Edit distance between two words, counting a swap of two neighbouring letters
+// as one typo. Gives up once the distance exceeds `max`.
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
@@ -0,0 +1,4 @@
+// URL-friendly slug from a display name, e.g. "Wireless Mouse" -> "wireless-mouse"
+export const slugify = (name) => {
+  return name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+};
@@ -0,0 +1,11 @@
+import { checkSchema } from 'express-validator';
+import { requiredPassword } from './common.js';
+
+export const deleteAccountSchema = checkSchema({
+  password: requiredPassword(),
+  removeProducts: {
+    in: ['body'],
+    optional: true,
+    isBoolean: { options: { strict: true }, errorMessage: 'Remove products must be true or false' }
+  }
+});
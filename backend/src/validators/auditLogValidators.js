@@ -0,0 +1,6 @@
+import { checkSchema } from 'express-validator';
+import { paginationQuery } from './common.js';
+
+export const listAuditLogsSchema = checkSchema({
+  ...paginationQuery
+});
@@ -0,0 +1,83 @@
+import { checkSchema } from 'express-validator';
+import { requiredString, requiredPassword, optionalString, optionalObject } from './common.js';
+
+const email = {
+  in: ['body'],
+  exists: { errorMessage: 'Email is required', bail: true },
+  isString: { errorMessage: 'Email must be a string', bail: true },
+  trim: true,
+  isEmail: { errorMessage: 'Email must be a valid email address' }
+};
+
+// Optional name for the session, shown in the session list instead of the
+// label derived from the user agent
+const deviceName = optionalString('Device name', 100);
+
+const newPassword = (field = 'password', label = 'Password') => ({
+  [field]: {
+    in: ['body'],
+    exists: { errorMessage: `${label} is required`, bail: true },
+    isString: { errorMessage: `${label} must be a string`, bail: true },
+    isLength: { options: { min: 8 }, errorMessage: `${label} must be at least 8 characters` }
+  }
+});
+
+export const registerSchema = checkSchema({
+  email,
+  ...newPassword(),
+  firstName: requiredString('First name'),
+  lastName: requiredString('Last name'),
+  phone: optionalString('Phone', 30),
+  address: optionalObject('Address'),
+  deviceName
+});
+
+export const loginSchema = checkSchema({
+  email,
+  password: requiredPassword(),
+  deviceName
+});
+
+export const refreshTokenSchema = checkSchema({
+  refreshToken: requiredString('Refresh token')
+});
+
+export const updateProfileSchema = checkSchema({
+  firstName: optionalString('First name', 100),
+  lastName: optionalString('Last name', 100),
+  phone: optionalString('Phone', 30),
+  address: optionalObject('Address')
+});
+
+export const verifyEmailSchema = checkSchema({
+  token: requiredString('Token')
+});
+
+export const forgotPasswordSchema = checkSchema({
+  email
+});
+
+export const resetPasswordSchema = checkSchema({
+  token: requiredString('Token'),
+  ...newPassword()
+});
+
+export const changePasswordSchema = checkSchema({
+  currentPassword: requiredPassword('Current password'),
+  ...newPassword('newPassword', 'New password')
+});
+
+export const twoFactorCodeSchema = checkSchema({
+  code: requiredString('Code')
+});
+
+export const verifyTwoFactorLoginSchema = checkSchema({
+  challengeToken: requiredString('Challenge token'),
+  code: requiredString('Code'),
+  deviceName
+});
+
+export const disableTwoFactorSchema = checkSchema({
+  password: requiredPassword(),
+  code: requiredString('Code')
+});
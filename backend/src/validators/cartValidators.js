@@ -0,0 +1,41 @@
+import { checkSchema } from 'express-validator';
+import { requiredString, optionalString, quantity } from './common.js';
+
+const variantQuery = {
+  ...optionalString('Variant', 64),
+  in: ['query']
+};
+
+export const addToCartSchema = checkSchema({
+  productId: requiredString('Product'),
+  variantId: optionalString('Variant', 64),
+  quantity: quantity('Quantity', { optional: true })
+});
+
+export const updateCartItemSchema = checkSchema({
+  variantId: variantQuery,
+  quantity: quantity('Quantity')
+});
+
+export const removeFromCartSchema = checkSchema({
+  variantId: variantQuery
+});
+
+export const cartQuoteSchema = checkSchema({
+  state: {
+    in: ['query'],
+    optional: true,
+    isString: { errorMessage: 'State must be a string' },
+    trim: true
+  },
+  country: {
+    in: ['query'],
+    optional: true,
+    isString: { errorMessage: 'Country must be a string' },
+    trim: true
+  }
+});
+
+export const applyCouponSchema = checkSchema({
+  code: requiredString('Coupon code')
+});
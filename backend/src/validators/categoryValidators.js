@@ -0,0 +1,76 @@
+import { checkSchema } from 'express-validator';
+import db from '../config/database.js';
+import { wouldCreateCycle } from '../services/categoryService.js';
+import { requiredString, optionalString } from './common.js';
+
+const categoryExists = (label) => (value) => {
+  if (!db.getCategoryById(value)) {
+    throw new Error(`${label} does not exist`);
+  }
+  return true;
+};
+
+// On update, the new parent can't be the category itself or one of its subcategories
+const parentId = {
+  in: ['body'],
+  optional: { options: { values: 'falsy' } },
+  custom: {
+    options: (value, { req }) => {
+      categoryExists('Parent category')(value);
+      if (req.params.id && wouldCreateCycle(req.params.id, value)) {
+        throw new Error('A category cannot be moved under itself or one of its subcategories');
+      }
+      return true;
+    }
+  }
+};
+
+export const createCategorySchema = checkSchema({
+  name: requiredString('Name'),
+  description: optionalString('Description', 1000),
+  image: optionalString('Image', 2048),
+  parentId
+});
+
+export const updateCategorySchema = checkSchema({
+  name: optionalString('Name', 100),
+  description: optionalString('Description', 1000),
+  image: optionalString('Image', 2048),
+  parentId
+});
+
+// parentId null (or omitted) moves the category to the top level
+export const moveCategorySchema = checkSchema({
+  parentId
+});
+
+export const deleteCategorySchema = checkSchema({
+  moveProductsTo: {
+    in: ['body'],
+    optional: true,
+    isString: { errorMessage: 'Move products to must be a category id', bail: true },
+    custom: {
+      options: (value, { req }) => {
+        categoryExists('Target category')(value);
+        if (value === req.params.id) {
+          throw new Error('Products cannot be moved to the category being deleted');
+        }
+        return true;
+      }
+    }
+  },
+  reparentChildrenTo: {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isString: { errorMessage: 'Reparent children to must be a category id or null', bail: true },
+    custom: {
+      options: (value, { req }) => {
+        categoryExists('Target category')(value);
+        if (wouldCreateCycle(req.params.id, value)) {
+          throw new Error('Subcategories cannot be moved under the category being deleted or its subcategories');
+        }
+        return true;
+      }
+    }
+  }
+});
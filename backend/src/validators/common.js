@@ -0,0 +1,70 @@
+// Shared schema fragments used by the route validators
+
+export const paginationQuery = {
+  page: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1 }, errorMessage: 'Page must be a positive integer' },
+    toInt: true
+  },
+  limit: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1, max: 100 }, errorMessage: 'Limit must be between 1 and 100' },
+    toInt: true
+  }
+};
+
+export const requiredString = (label, location = 'body') => ({
+  in: [location],
+  exists: { options: { values: 'falsy' }, errorMessage: `${label} is required`, bail: true },
+  isString: { errorMessage: `${label} must be a string`, bail: true },
+  trim: true,
+  notEmpty: { errorMessage: `${label} is required` }
+});
+
+// Passwords are compared exactly as typed, so unlike requiredString this
+// doesn't trim
+export const requiredPassword = (label = 'Password') => ({
+  in: ['body'],
+  exists: { options: { values: 'falsy' }, errorMessage: `${label} is required`, bail: true },
+  isString: { errorMessage: `${label} must be a string` }
+});
+
+export const optionalString = (label, max) => ({
+  in: ['body'],
+  optional: { options: { values: 'null' } },
+  isString: { errorMessage: `${label} must be a string`, bail: true },
+  trim: true,
+  ...(max && {
+    isLength: { options: { max }, errorMessage: `${label} must be at most ${max} characters` }
+  })
+});
+
+export const optionalObject = (label) => ({
+  in: ['body'],
+  optional: { options: { values: 'null' } },
+  isObject: { errorMessage: `${label} must be an object` }
+});
+
+export const optionalArray = (label) => ({
+  in: ['body'],
+  optional: { options: { values: 'null' } },
+  isArray: { errorMessage: `${label} must be an array` }
+});
+
+export const price = (label, { optional = false } = {}) => ({
+  in: ['body'],
+  ...(optional && { optional: { options: { values: 'null' } } }),
+  ...(!optional && { exists: { errorMessage: `${label} is required`, bail: true } }),
+  isFloat: { options: { min: 0 }, errorMessage: `${label} must be a non-negative number` },
+  toFloat: true
+});
+
+export const quantity = (label, { optional = false } = {}) => ({
+  in: ['body'],
+  ...(optional && { optional: true }),
+  ...(!optional && { exists: { errorMessage: `${label} is required`, bail: true } }),
+  isInt: { options: { min: 1 }, errorMessage: `${label} must be a positive integer` },
+  toInt: true
+});
@@ -0,0 +1,124 @@
+import { checkSchema } from 'express-validator';
+import db from '../config/database.js';
+import { COUPON_TYPES } from '../services/couponService.js';
+import { requiredString, optionalArray } from './common.js';
+
+// The coupon type comes from the body on create and the stored coupon on update
+const getCouponType = (req) => req.body.type || db.getCouponById(req.params.id)?.type;
+
+const couponValue = (optional) => ({
+  in: ['body'],
+  custom: {
+    options: (value, { req }) => {
+      const type = getCouponType(req);
+      if (type !== 'percentage' && type !== 'fixed') {
+        return true;
+      }
+      if (value === undefined && optional) {
+        return true;
+      }
+      const amount = Number(value);
+      if (value === undefined || value === null || Number.isNaN(amount) || amount <= 0) {
+        throw new Error('Value must be a positive number');
+      }
+      if (type === 'percentage' && amount > 100) {
+        throw new Error('Percentage value cannot exceed 100');
+      }
+      return true;
+    }
+  },
+  customSanitizer: {
+    options: (value) => (value === undefined || value === null ? value : Number(value))
+  }
+});
+
+const bundleQuantity = (label, optional) => ({
+  in: ['body'],
+  custom: {
+    options: (value, { req }) => {
+      if (getCouponType(req) !== 'buy_x_get_y' || (value === undefined && optional)) {
+        return true;
+      }
+      if (!Number.isInteger(Number(value)) || Number(value) < 1) {
+        throw new Error(`${label} must be a positive integer`);
+      }
+      return true;
+    }
+  },
+  customSanitizer: {
+    options: (value) => (value === undefined || value === null ? value : Number(value))
+  }
+});
+
+const optionalDate = (label) => ({
+  in: ['body'],
+  optional: { options: { values: 'null' } },
+  isISO8601: { errorMessage: `${label} must be an ISO 8601 date` }
+});
+
+const optionalLimit = (label) => ({
+  in: ['body'],
+  optional: { options: { values: 'null' } },
+  isInt: { options: { min: 1 }, errorMessage: `${label} must be a positive integer` },
+  toInt: true
+});
+
+const sharedFields = (optional) => ({
+  value: couponValue(optional),
+  buyQuantity: bundleQuantity('Buy quantity', optional),
+  getQuantity: bundleQuantity('Get quantity', optional),
+  startsAt: optionalDate('Start date'),
+  expiresAt: {
+    ...optionalDate('Expiry date'),
+    custom: {
+      options: (value, { req }) => {
+        if (req.body.startsAt && new Date(value) <= new Date(req.body.startsAt)) {
+          throw new Error('Expiry date must be after the start date');
+        }
+        return true;
+      }
+    }
+  },
+  usageLimit: optionalLimit('Usage limit'),
+  perUserLimit: optionalLimit('Per-user limit'),
+  minSubtotal: {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isFloat: { options: { min: 0 }, errorMessage: 'Minimum subtotal must be a non-negative number' },
+    toFloat: true
+  },
+  categoryIds: {
+    ...optionalArray('Category scope'),
+    custom: {
+      options: (value) => {
+        const missing = value.filter(id => !db.getCategoryById(id));
+        if (missing.length > 0) {
+          throw new Error(`Unknown categories: ${missing.join(', ')}`);
+        }
+        return true;
+      }
+    }
+  },
+  sellerIds: optionalArray('Seller scope'),
+  active: {
+    in: ['body'],
+    optional: true,
+    isBoolean: { options: { strict: true }, errorMessage: 'Active must be true or false' }
+  }
+});
+
+export const createCouponSchema = checkSchema({
+  code: {
+    ...requiredString('Code'),
+    matches: { options: /^[A-Za-z0-9_-]{3,50}$/, errorMessage: 'Code must be 3-50 letters, numbers, dashes or underscores' }
+  },
+  type: {
+    in: ['body'],
+    isIn: { options: [COUPON_TYPES], errorMessage: `Type must be one of ${COUPON_TYPES.join(', ')}` }
+  },
+  ...sharedFields(false)
+});
+
+export const updateCouponSchema = checkSchema({
+  ...sharedFields(true)
+});
@@ -0,0 +1,57 @@
+import { checkSchema } from 'express-validator';
+import { MOVEMENT_TYPES, MANUAL_MOVEMENT_TYPES } from '../services/inventoryService.js';
+import { paginationQuery, requiredString, optionalString } from './common.js';
+
+const queryString = (label) => ({
+  ...optionalString(label, 64),
+  in: ['query']
+});
+
+export const listMovementsSchema = checkSchema({
+  ...paginationQuery,
+  productId: queryString('Product'),
+  variantId: queryString('Variant'),
+  type: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [MOVEMENT_TYPES], errorMessage: `Type must be one of ${MOVEMENT_TYPES.join(', ')}` }
+  }
+});
+
+export const recordMovementSchema = checkSchema({
+  productId: requiredString('Product'),
+  variantId: optionalString('Variant', 64),
+  type: {
+    in: ['body'],
+    isIn: {
+      options: [MANUAL_MOVEMENT_TYPES],
+      errorMessage: `Type must be one of ${MANUAL_MOVEMENT_TYPES.join(', ')}`
+    }
+  },
+  // Restocks add units; adjustments may go either way
+  quantity: {
+    in: ['body'],
+    exists: { errorMessage: 'Quantity is required', bail: true },
+    isInt: { errorMessage: 'Quantity must be an integer', bail: true },
+    toInt: true,
+    custom: {
+      options: (value, { req }) => {
+        if (value === 0) {
+          throw new Error('Quantity cannot be zero');
+        }
+        if (req.body.type === 'restock' && value < 0) {
+          throw new Error('A restock must add stock; use an adjustment to remove it');
+        }
+        return true;
+      }
+    }
+  },
+  reason: {
+    ...requiredString('Reason'),
+    isLength: { options: { max: 500 }, errorMessage: 'Reason must be at most 500 characters' }
+  }
+});
+
+export const lowStockAlertsSchema = checkSchema({
+  sellerId: queryString('Seller')
+});
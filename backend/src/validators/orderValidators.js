@@ -0,0 +1,58 @@
+import { checkSchema } from 'express-validator';
+import { ORDER_STATUSES } from '../services/orderService.js';
+import { requiredString, optionalString, optionalObject } from './common.js';
+
+export const PAYMENT_METHODS = ['credit_card', 'debit_card', 'paypal'];
+
+export const createOrderSchema = checkSchema({
+  items: {
+    in: ['body'],
+    isArray: { options: { min: 1 }, errorMessage: 'Order must contain at least one item' }
+  },
+  'items.*.productId': requiredString('Product'),
+  'items.*.variantId': optionalString('Variant', 64),
+  'items.*.quantity': {
+    in: ['body'],
+    isInt: { options: { min: 1 }, errorMessage: 'Quantity must be a positive integer' },
+    toInt: true
+  },
+  shippingAddress: optionalObject('Shipping address'),
+  paymentMethod: {
+    in: ['body'],
+    optional: true,
+    isIn: { options: [PAYMENT_METHODS], errorMessage: `Payment method must be one of ${PAYMENT_METHODS.join(', ')}` }
+  },
+  couponCode: optionalString('Coupon code', 50)
+});
+
+export const checkoutSchema = checkSchema({
+  shippingAddress: optionalObject('Shipping address'),
+  paymentMethod: {
+    in: ['body'],
+    optional: true,
+    isIn: { options: [PAYMENT_METHODS], errorMessage: `Payment method must be one of ${PAYMENT_METHODS.join(', ')}` }
+  },
+  expectedTotal: {
+    in: ['body'],
+    optional: true,
+    isFloat: { options: { min: 0 }, errorMessage: 'Expected total must be a non-negative number' },
+    toFloat: true
+  }
+});
+
+export const updateOrderStatusSchema = checkSchema({
+  status: {
+    in: ['body'],
+    isIn: { options: [ORDER_STATUSES], errorMessage: 'Invalid order status' }
+  },
+  note: optionalString('Note', 500),
+  sellerId: optionalString('Seller')
+});
+
+export const payOrderSchema = checkSchema({
+  paymentToken: requiredString('Payment token')
+});
+
+export const cancelOrderSchema = checkSchema({
+  reason: optionalString('Reason', 500)
+});
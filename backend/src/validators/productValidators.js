@@ -0,0 +1,216 @@
+import { checkSchema } from 'express-validator';
+import db from '../config/database.js';
+import { getVariantErrors } from '../services/variantService.js';
+import {
+  paginationQuery,
+  requiredString,
+  optionalString,
+  optionalObject,
+  optionalArray,
+  price
+} from './common.js';
+
+const categoryExists = {
+  custom: {
+    options: (value) => {
+      if (!db.getCategoryById(value)) {
+        throw new Error('Category does not exist');
+      }
+      return true;
+    }
+  }
+};
+
+// null falls back to the default threshold in config/inventory.js
+const lowStockThreshold = {
+  in: ['body'],
+  optional: { options: { values: 'null' } },
+  isInt: { options: { min: 0 }, errorMessage: 'Low stock threshold must be a non-negative integer' },
+  toInt: true
+};
+
+// Options and variants as they will be after this request: from the body,
+// falling back to the product being updated
+const effectiveVariantConfig = (req) => {
+  const product = req.params.id ? db.getProductById(req.params.id) : null;
+  return {
+    options: req.body.options ?? product?.options ?? [],
+    variants: req.body.variants ?? product?.variants ?? []
+  };
+};
+
+const isObjectList = (value) => Array.isArray(value) && value.every(item => item && typeof item === 'object');
+
+const stockLevel = {
+  in: ['body'],
+  optional: true,
+  isInt: { options: { min: 0 }, errorMessage: 'Stock must be a non-negative integer', bail: true },
+  toInt: true
+};
+
+const stock = {
+  ...stockLevel,
+  custom: {
+    options: (value, { req }) => {
+      if (effectiveVariantConfig(req).variants.length > 0) {
+        throw new Error('Stock is set per variant for products with variants');
+      }
+      return true;
+    }
+  }
+};
+
+// How options and variants fit together, checked once per request on
+// `variants` if sent, else on `options`
+const variantConfig = (field) => ({
+  custom: {
+    options: (value, { req }) => {
+      if (field === 'options' && req.body.variants !== undefined) {
+        return true;
+      }
+      const { options, variants } = effectiveVariantConfig(req);
+      // Malformed entries are reported by the field rules below
+      if (!isObjectList(options) || !isObjectList(variants) || !options.every(o => Array.isArray(o.values))) {
+        return true;
+      }
+      const errors = getVariantErrors(options, variants);
+      if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+      }
+      return true;
+    }
+  }
+});
+
+// Structure of each option and variant
+const variantFields = {
+  options: {
+    ...optionalArray('Options'),
+    ...variantConfig('options')
+  },
+  'options.*.name': requiredString('Option name'),
+  'options.*.values': {
+    in: ['body'],
+    isArray: { options: { min: 1 }, errorMessage: 'Option values must be a non-empty array' }
+  },
+  'options.*.values.*': requiredString('Option value'),
+  variants: {
+    ...optionalArray('Variants'),
+    ...variantConfig('variants')
+  },
+  'variants.*.id': optionalString('Variant id', 64),
+  'variants.*.options': {
+    in: ['body'],
+    isObject: { errorMessage: 'Variant options must be an object' }
+  },
+  'variants.*.sku': optionalString('Variant SKU', 64),
+  'variants.*.price': price('Variant price', { optional: true }),
+  'variants.*.stock': stockLevel,
+  'variants.*.images': optionalArray('Variant images')
+};
+
+export const PRODUCT_STATUSES = ['active', 'inactive'];
+
+// Admin-only fields; writableFields rejects them for sellers before validation
+const adminFields = {
+  featured: {
+    in: ['body'],
+    optional: true,
+    isBoolean: { options: { strict: true }, errorMessage: 'Featured must be true or false' }
+  },
+  status: {
+    in: ['body'],
+    optional: true,
+    isIn: { options: [PRODUCT_STATUSES], errorMessage: `Status must be one of: ${PRODUCT_STATUSES.join(', ')}` }
+  }
+};
+
+export const listProductsSchema = checkSchema({
+  ...paginationQuery,
+  minPrice: {
+    in: ['query'],
+    optional: true,
+    isFloat: { options: { min: 0 }, errorMessage: 'Minimum price must be a non-negative number' }
+  },
+  maxPrice: {
+    in: ['query'],
+    optional: true,
+    isFloat: { options: { min: 0 }, errorMessage: 'Maximum price must be a non-negative number' }
+  },
+  featured: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [['true', 'false']], errorMessage: 'Featured must be true or false' }
+  },
+  minRating: {
+    in: ['query'],
+    optional: true,
+    isFloat: { options: { min: 0, max: 5 }, errorMessage: 'Minimum rating must be between 0 and 5' }
+  },
+  tags: {
+    in: ['query'],
+    optional: true,
+    custom: {
+      options: (value) => [].concat(value).every(tag => typeof tag === 'string'),
+      errorMessage: 'Tags must be a comma-separated list'
+    }
+  },
+  // spec[key]=value, repeated for several values of one key
+  spec: {
+    in: ['query'],
+    optional: true,
+    isObject: { errorMessage: 'Specification filters must be given as spec[key]=value', bail: true },
+    custom: {
+      options: (value) => Object.entries(value).every(([key, values]) =>
+        /^[\w-]+$/.test(key) && [].concat(values).every(v => typeof v === 'string')
+      ),
+      errorMessage: 'Specification filters must be given as spec[key]=value'
+    }
+  },
+  sort: {
+    in: ['query'],
+    optional: true,
+    isIn: {
+      options: [['relevance', 'price_asc', 'price_desc', 'rating', 'newest']],
+      errorMessage: 'Sort must be one of relevance, price_asc, price_desc, rating, newest'
+    }
+  }
+});
+
+export const createProductSchema = checkSchema({
+  name: requiredString('Name'),
+  description: optionalString('Description', 5000),
+  price: price('Price'),
+  compareAtPrice: price('Compare at price', { optional: true }),
+  categoryId: {
+    ...requiredString('Category'),
+    ...categoryExists
+  },
+  images: optionalArray('Images'),
+  stock,
+  sku: optionalString('SKU', 64),
+  tags: optionalArray('Tags'),
+  specifications: optionalObject('Specifications'),
+  lowStockThreshold,
+  ...variantFields,
+  ...adminFields
+});
+
+export const updateProductSchema = checkSchema({
+  name: optionalString('Name', 200),
+  description: optionalString('Description', 5000),
+  price: price('Price', { optional: true }),
+  compareAtPrice: price('Compare at price', { optional: true }),
+  categoryId: {
+    ...optionalString('Category'),
+    ...categoryExists
+  },
+  images: optionalArray('Images'),
+  stock,
+  sku: optionalString('SKU', 64),
+  tags: optionalArray('Tags'),
+  specifications: optionalObject('Specifications'),
+  lowStockThreshold,
+  ...variantFields,
+  ...adminFields
+});
@@ -0,0 +1,27 @@
+import { checkSchema } from 'express-validator';
+import { paginationQuery, requiredString, optionalString } from './common.js';
+
+const rating = (optional) => ({
+  in: ['body'],
+  ...(optional && { optional: true }),
+  ...(!optional && { exists: { errorMessage: 'Rating is required', bail: true } }),
+  isInt: { options: { min: 1, max: 5 }, errorMessage: 'Rating must be a whole number between 1 and 5' },
+  toInt: true
+});
+
+export const listReviewsSchema = checkSchema({
+  ...paginationQuery
+});
+
+export const createReviewSchema = checkSchema({
+  productId: requiredString('Product'),
+  rating: rating(false),
+  title: optionalString('Title', 120),
+  comment: optionalString('Comment', 2000)
+});
+
+export const updateReviewSchema = checkSchema({
+  rating: rating(true),
+  title: optionalString('Title', 120),
+  comment: optionalString('Comment', 2000)
+});
@@ -0,0 +1,87 @@
+import { checkSchema } from 'express-validator';
+import { paginationQuery, requiredString, optionalString } from './common.js';
+
+export const PAYOUT_METHODS = ['bank_transfer', 'paypal'];
+export const SELLER_APPLICATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Payout fields are only required for the payout method they belong to
+const payoutField = (label, method, validator, message) => ({
+  in: ['body'],
+  custom: {
+    options: (value, { req }) => {
+      if (req.body.payout?.method !== method) {
+        return true;
+      }
+      if (typeof value !== 'string' || !value.trim()) {
+        throw new Error(`${label} is required for ${method} payouts`);
+      }
+      if (validator && !validator(value.trim())) {
+        throw new Error(message);
+      }
+      return true;
+    }
+  },
+  customSanitizer: {
+    options: (value) => (typeof value === 'string' ? value.trim() : value)
+  }
+});
+
+export const createSellerApplicationSchema = checkSchema({
+  storeName: {
+    ...requiredString('Store name'),
+    isLength: { options: { max: 100 }, errorMessage: 'Store name must be at most 100 characters' }
+  },
+  description: optionalString('Description', 2000),
+  contactEmail: {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isString: { errorMessage: 'Contact email must be a string', bail: true },
+    trim: true,
+    isEmail: { errorMessage: 'Contact email must be a valid email address' }
+  },
+  contactPhone: requiredString('Contact phone'),
+  payout: {
+    in: ['body'],
+    exists: { errorMessage: 'Payout details are required', bail: true },
+    isObject: { errorMessage: 'Payout details must be an object' }
+  },
+  'payout.method': {
+    in: ['body'],
+    isIn: { options: [PAYOUT_METHODS], errorMessage: `Payout method must be one of: ${PAYOUT_METHODS.join(', ')}` }
+  },
+  'payout.accountHolder': payoutField('Account holder', 'bank_transfer'),
+  'payout.accountNumber': payoutField(
+    'Account number',
+    'bank_transfer',
+    (value) => /^[0-9]{4,34}$/.test(value),
+    'Account number must be 4-34 digits'
+  ),
+  'payout.routingNumber': payoutField(
+    'Routing number',
+    'bank_transfer',
+    (value) => /^[0-9]{9}$/.test(value),
+    'Routing number must be 9 digits'
+  ),
+  'payout.paypalEmail': payoutField(
+    'PayPal email',
+    'paypal',
+    (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    'PayPal email must be a valid email address'
+  )
+});
+
+export const listSellerApplicationsSchema = checkSchema({
+  ...paginationQuery,
+  status: {
+    in: ['query'],
+    optional: true,
+    isIn: {
+      options: [SELLER_APPLICATION_STATUSES],
+      errorMessage: `Status must be one of: ${SELLER_APPLICATION_STATUSES.join(', ')}`
+    }
+  }
+});
+
+export const rejectSellerApplicationSchema = checkSchema({
+  reason: optionalString('Reason', 500)
+});
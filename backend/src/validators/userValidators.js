@@ -0,0 +1,62 @@
+import { checkSchema } from 'express-validator';
+import { paginationQuery, optionalString } from './common.js';
+import { ACCOUNT_STATUSES } from '../services/accountService.js';
+
+export const USER_ROLES = ['buyer', 'seller', 'admin'];
+
+export const listUsersSchema = checkSchema({
+  ...paginationQuery,
+  search: {
+    in: ['query'],
+    optional: true,
+    isString: { errorMessage: 'Search must be a string' },
+    trim: true
+  },
+  role: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [USER_ROLES], errorMessage: `Role must be one of: ${USER_ROLES.join(', ')}` }
+  },
+  status: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [ACCOUNT_STATUSES], errorMessage: `Status must be one of: ${ACCOUNT_STATUSES.join(', ')}` }
+  }
+});
+
+export const updateUserRoleSchema = checkSchema({
+  role: {
+    in: ['body'],
+    exists: { errorMessage: 'Role is required', bail: true },
+    isIn: { options: [USER_ROLES], errorMessage: `Role must be one of: ${USER_ROLES.join(', ')}` }
+  }
+});
+
+export const suspendUserSchema = checkSchema({
+  reason: optionalString('Reason', 500),
+  until: {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isISO8601: { errorMessage: 'Until must be an ISO 8601 date', bail: true },
+    custom: {
+      options: (value) => {
+        if (new Date(value) <= new Date()) {
+          throw new Error('Until must be in the future');
+        }
+        return true;
+      }
+    }
+  }
+});
+
+export const banUserSchema = checkSchema({
+  reason: optionalString('Reason', 500)
+});
+
+export const twoFactorRequirementSchema = checkSchema({
+  required: {
+    in: ['body'],
+    exists: { errorMessage: 'Required is required', bail: true },
+    isBoolean: { options: { strict: true }, errorMessage: 'Required must be a boolean' }
+  }
+});
@@ -0,0 +1,104 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/database.js';
+import { startServer, resetDatabase, readOutbox, readMailToken, USERS, PASSWORD } from './helpers.js';
+
+describe('account data', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => resetDatabase());
+
+  const deleteAccount = (token, body = { password: PASSWORD }) => api.request('DELETE', '/api/account', { token, body });
+
+  // A verified buyer with one cancelled order shipped to their address
+  const createBuyer = async () => {
+    const email = `leaving-${Date.now()}@example.com`;
+    const address = { street: '1 Elm St', city: 'Austin', state: 'TX', zipCode: '73301', country: 'USA' };
+    const registered = await api.post('/api/auth/register', {
+      email,
+      password: PASSWORD,
+      firstName: 'Leaving',
+      lastName: 'Soon',
+      address
+    });
+    await api.post('/api/auth/verify-email', { token: await readMailToken(email) });
+
+    const { token } = registered.body.data;
+    const order = await api.post('/api/orders', { items: [{ productId: 'prod-5', quantity: 1 }] }, { token });
+    await api.post(`/api/orders/${order.body.data.id}/cancel`, {}, { token });
+
+    return { email, token, userId: registered.body.data.user.id, orderId: order.body.data.id };
+  };
+
+  it('exports the user\'s data without secrets', async () => {
+    const token = await api.tokenFor(USERS.buyer);
+
+    const res = await api.get('/api/account/export', { token });
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-disposition'), /attachment/);
+    assert.equal(res.body.profile.email, USERS.buyer);
+    assert.equal(res.body.profile.password, undefined);
+    assert.deepEqual(res.body.orders.map(o => o.id).sort(), ['order-1', 'order-2']);
+    assert.ok(res.body.reviews.length > 0);
+    assert.ok(res.body.sessions.length > 0);
+  });
+
+  it('needs the password to delete the account', async () => {
+    const { token, userId } = await createBuyer();
+
+    const res = await deleteAccount(token, { password: 'not-my-password' });
+
+    assert.equal(res.status, 400);
+    assert.ok(db.getUserById(userId));
+  });
+
+  it('refuses while orders are still on their way', async () => {
+    const token = await api.tokenFor(USERS.buyer);
+
+    const res = await deleteAccount(token);
+
+    assert.equal(res.status, 409);
+    assert.deepEqual(res.body.data.blockers.map(b => b.type), ['open_orders']);
+    assert.deepEqual(res.body.data.blockers[0].orderIds, ['order-2']);
+  });
+
+  it('deletes sellers\' listings only when asked to', async () => {
+    const token = await api.tokenFor(USERS.seller);
+    const productIds = db.getProductsBySeller('user-2').map(p => p.id);
+    // order-3 still waits on this seller
+    await api.post('/api/orders/order-3/cancel', {}, { token: await api.tokenFor(USERS.admin) });
+
+    const refused = await deleteAccount(token);
+    const deleted = await deleteAccount(token, { password: PASSWORD, removeProducts: true });
+
+    assert.equal(refused.status, 409);
+    assert.deepEqual(refused.body.data.blockers.map(b => b.type), ['active_products']);
+    assert.deepEqual(refused.body.data.blockers[0].productIds, productIds);
+    assert.equal(deleted.status, 200);
+    assert.deepEqual(productIds.filter(id => db.getProductById(id)), []);
+  });
+
+  it('removes the user, detaches their orders and purges their mail', async () => {
+    const { email, token, userId, orderId } = await createBuyer();
+    assert.ok((await readOutbox(email)).length > 0);
+
+    const res = await deleteAccount(token);
+
+    assert.equal(res.status, 200);
+    assert.equal(db.getUserById(userId), undefined);
+    assert.equal((await api.post('/api/auth/login', { email, password: PASSWORD })).status, 401);
+
+    const order = db.getOrderById(orderId);
+    assert.equal(order.userId, null);
+    assert.deepEqual(order.shippingAddress, { state: 'TX', country: 'USA' });
+
+    assert.deepEqual(await readOutbox(email), []);
+  });
+});
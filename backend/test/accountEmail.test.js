@@ -0,0 +1,95 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/database.js';
+import { startServer, resetDatabase, readOutbox, readMailToken, USERS, PASSWORD } from './helpers.js';
+
+describe('email verification and passwords', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => resetDatabase());
+
+  const register = (email) => api.post('/api/auth/register', {
+    email,
+    password: PASSWORD,
+    firstName: 'Test',
+    lastName: 'Buyer'
+  });
+
+  const login = (email, password) => api.post('/api/auth/login', { email, password });
+
+  it('verifies the email address with the mailed token, once', async () => {
+    const email = `verify-${Date.now()}@example.com`;
+    const registered = await register(email);
+    assert.equal(registered.body.data.user.isVerified, false);
+    const token = await readMailToken(email);
+
+    const verified = await api.post('/api/auth/verify-email', { token });
+    const reused = await api.post('/api/auth/verify-email', { token });
+
+    assert.equal(verified.status, 200);
+    assert.equal(db.getUserByEmail(email).isVerified, true);
+    assert.equal(reused.status, 400);
+  });
+
+  it('only resends verification to unverified accounts', async () => {
+    const email = `resend-${Date.now()}@example.com`;
+    const { body } = await register(email);
+
+    const resent = await api.post('/api/auth/resend-verification', undefined, { token: body.data.token });
+    const verified = await api.post('/api/auth/resend-verification', undefined, { token: await api.tokenFor(USERS.buyer) });
+
+    assert.equal(resent.status, 200);
+    assert.equal((await readOutbox(email)).length, 2);
+    assert.equal(verified.status, 400);
+  });
+
+  it('answers password reset requests the same way for unknown addresses', async () => {
+    const email = `nobody-${Date.now()}@example.com`;
+
+    const res = await api.post('/api/auth/forgot-password', { email });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(await readOutbox(email), []);
+  });
+
+  it('resets the password with the mailed token and signs out everywhere', async () => {
+    const session = await api.login(USERS.buyer);
+    await api.post('/api/auth/forgot-password', { email: USERS.buyer });
+    const token = await readMailToken(USERS.buyer);
+
+    const reset = await api.post('/api/auth/reset-password', { token, password: 'new-password-1' });
+    const reused = await api.post('/api/auth/reset-password', { token, password: 'new-password-2' });
+
+    assert.equal(reset.status, 200);
+    assert.equal(reused.status, 400);
+    assert.equal((await api.get('/api/auth/profile', { token: session.token })).status, 401);
+    assert.equal((await login(USERS.buyer, PASSWORD)).status, 401);
+    assert.equal((await login(USERS.buyer, 'new-password-1')).status, 200);
+  });
+
+  it('changes the password, keeping only the current login', async () => {
+    const current = await api.login(USERS.buyer);
+    const other = await api.login(USERS.buyer);
+
+    const wrong = await api.put('/api/auth/change-password', {
+      currentPassword: 'not-my-password',
+      newPassword: 'new-password-1'
+    }, { token: current.token });
+    const changed = await api.put('/api/auth/change-password', {
+      currentPassword: PASSWORD,
+      newPassword: 'new-password-1'
+    }, { token: current.token });
+
+    assert.equal(wrong.status, 400);
+    assert.equal(changed.status, 200);
+    assert.equal((await api.get('/api/auth/profile', { token: current.token })).status, 200);
+    assert.equal((await api.get('/api/auth/profile', { token: other.token })).status, 401);
+    assert.equal((await login(USERS.buyer, 'new-password-1')).status, 200);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/database.js';
+import { getAccountRestriction } from '../src/services/accountService.js';
+import { startServer, resetDatabase, readMailToken, USERS, PASSWORD } from './helpers.js';
+
+describe('account restrictions', () => {
+  it('lifts a suspension once its end date passes', () => {
+    const past = new Date(Date.now() - 1000).toISOString();
+    const future = new Date(Date.now() + 60 * 1000).toISOString();
+
+    assert.equal(getAccountRestriction({ status: 'suspended', suspendedUntil: past }), null);
+    assert.match(getAccountRestriction({ status: 'suspended', suspendedUntil: future }), /suspended until/);
+    assert.match(getAccountRestriction({ status: 'suspended' }), /suspended/);
+    assert.match(getAccountRestriction({ status: 'banned' }), /banned/);
+    assert.equal(getAccountRestriction({ status: 'active' }), null);
+  });
+});
+
+describe('admin user management', () => {
+  let api;
+  let admin;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetDatabase();
+    admin = await api.tokenFor(USERS.admin);
+  });
+
+  // bob.wilson, a seller
+  const targetId = 'user-3';
+
+  const login = (email = USERS.otherSeller, password = PASSWORD) => api.post('/api/auth/login', { email, password });
+
+  const auditActions = async (query = '') => {
+    const res = await api.get(`/api/audit-logs${query}`, { token: admin });
+    return res.body.data.entries.map(e => e.action);
+  };
+
+  it('is limited to admins', async () => {
+    const seller = await api.tokenFor(USERS.seller);
+
+    assert.equal((await api.get('/api/users', { token: seller })).status, 403);
+    assert.equal((await api.get('/api/audit-logs', { token: seller })).status, 403);
+  });
+
+  it('suspends a user, signing them out, until reinstated', async () => {
+    const session = await api.login(USERS.otherSeller);
+
+    const suspended = await api.post(`/api/users/${targetId}/suspend`, { reason: 'Chargebacks' }, { token: admin });
+
+    assert.equal(suspended.status, 200);
+    assert.equal(suspended.body.data.status, 'suspended');
+    assert.equal((await api.get('/api/auth/profile', { token: session.token })).status, 401);
+    assert.equal((await login()).status, 403);
+
+    await api.post(`/api/users/${targetId}/reinstate`, undefined, { token: admin });
+    assert.equal((await login()).status, 200);
+    assert.deepEqual(await auditActions(`?targetId=${targetId}`), ['user.reinstated', 'user.suspended']);
+  });
+
+  it('bans a user', async () => {
+    const res = await api.post(`/api/users/${targetId}/ban`, { reason: 'Fraud' }, { token: admin });
+
+    const refused = await login();
+    assert.equal(res.status, 200);
+    assert.equal(refused.status, 403);
+    assert.match(refused.body.message, /banned/);
+  });
+
+  it('does not let admins restrict or demote themselves', async () => {
+    const banned = await api.post('/api/users/user-5/ban', {}, { token: admin });
+    const demoted = await api.put('/api/users/user-5/role', { role: 'buyer' }, { token: admin });
+
+    assert.equal(banned.status, 400);
+    assert.equal(demoted.status, 400);
+    assert.equal(db.getUserById('user-5').role, 'admin');
+  });
+
+  it('changes roles, approving new sellers directly', async () => {
+    const res = await api.put('/api/users/user-4/role', { role: 'seller' }, { token: admin });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.role, 'seller');
+    assert.equal(res.body.data.sellerStatus, 'approved');
+    assert.equal(res.body.data.password, undefined);
+
+    const [entry] = (await api.get('/api/audit-logs?action=user.role_changed', { token: admin })).body.data.entries;
+    assert.deepEqual(entry.details, { from: 'buyer', to: 'seller' });
+    assert.equal(entry.adminId, 'user-5');
+  });
+
+  it('forces a password reset before the next login', async () => {
+    await api.post(`/api/users/${targetId}/force-password-reset`, undefined, { token: admin });
+
+    const refused = await login();
+    const token = await readMailToken(USERS.otherSeller);
+    await api.post('/api/auth/reset-password', { token, password: 'new-password-1' });
+
+    assert.equal(refused.status, 403);
+    assert.equal((await login(USERS.otherSeller, 'new-password-1')).status, 200);
+  });
+
+  it('asks users required to use two-factor authentication to set it up', async () => {
+    await api.put(`/api/users/${targetId}/two-factor`, { required: true }, { token: admin });
+
+    const res = await login();
+
+    assert.equal(res.body.data.twoFactorSetupRequired, true);
+  });
+});
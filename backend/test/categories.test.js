@@ -0,0 +1,85 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/database.js';
+import { startServer, resetDatabase, USERS } from './helpers.js';
+
+describe('category tree', () => {
+  let api;
+  let admin;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetDatabase();
+    admin = await api.tokenFor(USERS.admin);
+  });
+
+  const move = (id, parentId) => api.put(`/api/categories/${id}/parent`, { parentId }, { token: admin });
+  const remove = (id, body) => api.request('DELETE', `/api/categories/${id}`, { token: admin, body });
+
+  it('nests subcategories and counts their products', async () => {
+    const res = await api.get('/api/categories/tree');
+
+    const electronics = res.body.data.find(c => c.id === 'cat-1');
+    assert.equal(res.body.data.length, 5);
+    assert.deepEqual(electronics.children.map(c => c.id), ['cat-6', 'cat-7']);
+    assert.equal(electronics.productCount, 4);
+  });
+
+  it('looks categories up by slug with breadcrumbs and subcategory products', async () => {
+    const bySlug = await api.get('/api/categories/slug/smartphones');
+    const parent = await api.get('/api/categories/cat-1');
+
+    assert.equal(bySlug.body.data.id, 'cat-6');
+    assert.deepEqual(bySlug.body.data.breadcrumbs.map(c => c.slug), ['electronics', 'smartphones']);
+    assert.deepEqual(parent.body.data.products.map(p => p.id).sort(), ['prod-1', 'prod-2', 'prod-4', 'prod-8']);
+    assert.equal((await api.get('/api/categories/slug/nothing-here')).status, 404);
+  });
+
+  it('reparents a category, refusing loops', async () => {
+    const intoChild = await move('cat-1', 'cat-6');
+    const intoItself = await move('cat-1', 'cat-1');
+    const moved = await move('cat-7', 'cat-4');
+
+    assert.equal(intoChild.status, 400);
+    assert.equal(intoItself.status, 400);
+    assert.equal(moved.status, 200);
+    assert.deepEqual(moved.body.data.breadcrumbs.map(c => c.id), ['cat-4', 'cat-7']);
+  });
+
+  it('makes slugs unique', async () => {
+    const res = await api.post('/api/categories', { name: 'Books', parentId: 'cat-1' }, { token: admin });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.slug, 'books-2');
+  });
+
+  it('asks where products and subcategories go before deleting', async () => {
+    const res = await remove('cat-1');
+
+    assert.equal(res.status, 409);
+    assert.deepEqual(res.body.data.blockers.map(b => b.type), ['products', 'subcategories']);
+    assert.ok(db.getCategoryById('cat-1'));
+  });
+
+  it('moves products and subcategories when deleting', async () => {
+    const res = await remove('cat-1', { moveProductsTo: 'cat-3', reparentChildrenTo: null });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.movedProductIds, ['prod-8']);
+    assert.deepEqual(res.body.data.reparentedCategoryIds, ['cat-6', 'cat-7']);
+    assert.equal(db.getCategoryById('cat-1'), undefined);
+    assert.equal(db.getProductById('prod-8').categoryId, 'cat-3');
+    assert.equal(db.getCategoryById('cat-6').parentId, null);
+  });
+
+  it('does not move subcategories under the category being deleted', async () => {
+    const res = await remove('cat-1', { moveProductsTo: 'cat-3', reparentChildrenTo: 'cat-6' });
+
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/database.js';
+import { startServer, resetDatabase, USERS } from './helpers.js';
+
+describe('checkout', () => {
+  let api;
+  let buyer;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetDatabase();
+    buyer = await api.tokenFor(USERS.buyer);
+    db.clearCart('user-1');
+  });
+
+  const addToCart = (productId, quantity, variantId) => {
+    return api.post('/api/cart', { productId, quantity, ...(variantId && { variantId }) }, { token: buyer });
+  };
+
+  const preview = async () => {
+    const res = await api.post('/api/orders/checkout?preview=true', {}, { token: buyer });
+    assert.equal(res.status, 200);
+    return res.body.data;
+  };
+
+  it('refuses to check out an empty cart', async () => {
+    const res = await api.post('/api/orders/checkout', { expectedTotal: 0 }, { token: buyer });
+
+    assert.equal(res.status, 400);
+  });
+
+  it('previews the cart without placing an order', async () => {
+    await addToCart('prod-1', 2);
+    const orderCount = db.getOrders().length;
+
+    const quote = await preview();
+
+    assert.equal(quote.subtotal, 1999.98);
+    assert.deepEqual(quote.items.map(i => [i.productId, i.quantity]), [['prod-1', 2]]);
+    assert.equal(db.getOrders().length, orderCount);
+    assert.equal(db.getProductById('prod-1').stock, 50);
+  });
+
+  it('asks for the previewed total before placing the order', async () => {
+    await addToCart('prod-1', 1);
+
+    const res = await api.post('/api/orders/checkout', {}, { token: buyer });
+
+    assert.equal(res.status, 400);
+    assert.match(res.body.message, /expectedTotal/);
+  });
+
+  it('places the previewed order and empties the cart', async () => {
+    await addToCart('prod-1', 1);
+    await addToCart('prod-3', 2, 'var-3-9-tb');
+    const quote = await preview();
+
+    const res = await api.post('/api/orders/checkout', { expectedTotal: quote.total }, { token: buyer });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.total, quote.total);
+    assert.equal(res.body.data.items.find(i => i.productId === 'prod-3').price, 124.99);
+    assert.deepEqual(db.getCartByUser('user-1'), []);
+  });
+
+  it('returns the new quote when prices changed since the preview', async () => {
+    await addToCart('prod-1', 1);
+    const quote = await preview();
+    db.updateProduct('prod-1', { price: 1099.99 });
+
+    const res = await api.post('/api/orders/checkout', { expectedTotal: quote.total }, { token: buyer });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.data.subtotal, 1099.99);
+    assert.equal(db.getCartByUser('user-1').length, 1);
+    assert.equal(db.getProductById('prod-1').stock, 50);
+  });
+});
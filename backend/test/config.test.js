@@ -0,0 +1,109 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The test profile allows no browser origins; set one before the app and its
+// config are loaded
+process.env.CORS_ORIGINS = 'http://shop.example.com';
+
+const { loadConfig, ConfigError } = await import('../src/config/env.js');
+const { startServer } = await import('./helpers.js');
+
+// The problems loadConfig reports for an environment, or [] if it loads
+const configErrors = (env) => {
+  try {
+    loadConfig(env);
+    return [];
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.errors;
+  }
+};
+
+const PRODUCTION = {
+  NODE_ENV: 'production',
+  JWT_SECRET: 'k7Qz2vN9xR4mT8wY1pL6sD3fH5jB0cGa',
+  PAYMENT_WEBHOOK_SECRET: 'whsec',
+  APP_URL: 'https://shop.example.com',
+  CORS_ORIGINS: 'https://shop.example.com'
+};
+
+describe('configuration', () => {
+  it('applies the profile defaults and parses typed values', () => {
+    const config = loadConfig({ NODE_ENV: 'test', PORT: '4000', CORS_ORIGINS: 'http://a.example, http://b.example' });
+
+    assert.equal(config.port, 4000);
+    assert.equal(config.jwt.secret, 'test-secret');
+    assert.equal(config.rateLimit.enabled, false);
+    assert.deepEqual(config.cors.origins, ['http://a.example', 'http://b.example']);
+    assert.ok(Object.isFrozen(config));
+  });
+
+  it('rejects unknown environments', () => {
+    assert.deepEqual(configErrors({ NODE_ENV: 'staging' }), ['NODE_ENV must be one of: development, test, production']);
+  });
+
+  it('reports every invalid setting at once', () => {
+    const errors = configErrors({
+      NODE_ENV: 'development',
+      PORT: 'eighty',
+      RATE_LIMIT_ENABLED: 'yes',
+      JWT_ACCESS_EXPIRES_IN: 'soon',
+      CORS_ORIGINS: 'shop.example.com'
+    });
+
+    assert.equal(errors.length, 5);
+    assert.ok(errors.includes('JWT_SECRET is required'));
+    assert.ok(errors.includes('PORT must be an integer of at least 1, got "eighty"'));
+    assert.ok(errors.includes('RATE_LIMIT_ENABLED must be "true" or "false", got "yes"'));
+    assert.ok(errors.some(e => e.startsWith('JWT_ACCESS_EXPIRES_IN must be a duration')));
+    assert.ok(errors.includes('CORS_ORIGINS entries must be http(s) origins, got "shop.example.com"'));
+  });
+
+  it('rejects implementations that do not exist', () => {
+    const errors = configErrors({
+      NODE_ENV: 'test',
+      DB_DRIVER: 'postgres',
+      MAIL_TRANSPORT: 'smtp',
+      PAYMENT_PROVIDER: 'stripe',
+      RATE_LIMIT_STORE: 'redis',
+      SHIPPING_TYPE: 'free'
+    });
+
+    assert.deepEqual(errors, [
+      'DB_DRIVER must be one of: memory, file, got "postgres"',
+      'MAIL_TRANSPORT must be one of: outbox, got "smtp"',
+      'PAYMENT_PROVIDER must be one of: mock, got "stripe"',
+      'RATE_LIMIT_STORE must be one of: memory, got "redis"',
+      'SHIPPING_TYPE must be one of: flat, weight, got "free"'
+    ]);
+  });
+
+  it('is strict in production', () => {
+    assert.deepEqual(configErrors(PRODUCTION), []);
+    assert.deepEqual(configErrors({ NODE_ENV: 'production', JWT_SECRET: 'change-me' }), [
+      'JWT_SECRET must be a random value of at least 32 characters',
+      'PAYMENT_WEBHOOK_SECRET is required',
+      'APP_URL is required',
+      'CORS_ORIGINS is required'
+    ]);
+    assert.deepEqual(configErrors({ ...PRODUCTION, CORS_ORIGINS: '*' }), ['CORS_ORIGINS cannot be "*"']);
+  });
+});
+
+describe('CORS', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  it('allows only the configured origins', async () => {
+    const allowed = await api.get('/health', { headers: { Origin: 'http://shop.example.com' } });
+    const other = await api.get('/health', { headers: { Origin: 'http://evil.example.com' } });
+
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'http://shop.example.com');
+    assert.equal(other.headers.get('access-control-allow-origin'), null);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/database.js';
+import { validateCoupon, calculateDiscounts, CouponError } from '../src/services/couponService.js';
+import { startServer, resetDatabase, USERS } from './helpers.js';
+
+const line = (productId, price, quantity = 1) => {
+  const product = db.getProductById(productId);
+  return { productId, sellerId: product.sellerId, name: product.name, price, quantity };
+};
+
+const couponId = (code) => db.getCouponByCode(code).id;
+
+describe('coupon rules', () => {
+  beforeEach(() => resetDatabase());
+
+  it('scopes a coupon to its categories and their subcategories', () => {
+    // prod-1 is a smartphone, a subcategory of electronics
+    const coupon = validateCoupon('tech50', { lines: [line('prod-1', 999.99)] });
+
+    assert.equal(coupon.code, 'TECH50');
+    assert.throws(
+      () => validateCoupon('TECH50', { lines: [line('prod-5', 600)] }),
+      /does not apply/
+    );
+  });
+
+  it('enforces the minimum subtotal', () => {
+    assert.throws(
+      () => validateCoupon('TECH50', { lines: [line('prod-8', 199.99)] }),
+      /at least \$500\.00/
+    );
+  });
+
+  it('rejects expired, unknown and used-up coupons', () => {
+    db.updateCoupon(couponId('SHIPFREE'), { expiresAt: new Date(Date.now() - 1000).toISOString() });
+    db.updateCoupon(couponId('TECH50'), { usageCount: 100 });
+    const lines = [line('prod-1', 999.99)];
+
+    assert.throws(() => validateCoupon('SHIPFREE', { lines }), /expired/);
+    assert.throws(() => validateCoupon('TECH50', { lines }), /usage limit/);
+    assert.throws(() => validateCoupon('NOPE', { lines }), (error) => error instanceof CouponError && error.status === 404);
+  });
+
+  it('discounts each coupon type', () => {
+    const get = (code) => db.getCouponByCode(code);
+    const books = [line('prod-5', 12.99, 7)];
+
+    assert.deepEqual(calculateDiscounts(get('WELCOME10'), [line('prod-1', 200)], { shipping: 0 }).map(d => d.amount), [20]);
+    assert.deepEqual(calculateDiscounts(get('TECH50'), [line('prod-1', 30)], { shipping: 0 }).map(d => d.amount), [30]);
+    assert.deepEqual(calculateDiscounts(get('SHIPFREE'), books, { shipping: 7.5 }).map(d => d.appliesTo), ['shipping']);
+    assert.deepEqual(calculateDiscounts(get('SHIPFREE'), books, { shipping: 0 }), []);
+    // Two full groups of three books, one free each
+    assert.deepEqual(calculateDiscounts(get('BOOKS3FOR2'), books, { shipping: 0 }).map(d => d.amount), [25.98]);
+  });
+});
+
+describe('coupon redemption', () => {
+  let api;
+  let buyer;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetDatabase();
+    buyer = await api.tokenFor(USERS.buyer);
+    db.clearCart('user-1');
+  });
+
+  const order = (couponCode) => {
+    return api.post('/api/orders', { items: [{ productId: 'prod-1', quantity: 1 }], couponCode }, { token: buyer });
+  };
+
+  it('applies a coupon to the cart quote', async () => {
+    await api.post('/api/cart', { productId: 'prod-1', quantity: 1 }, { token: buyer });
+
+    const applied = await api.post('/api/cart/coupon', { code: 'welcome10' }, { token: buyer });
+    const quote = await api.get('/api/cart/quote', { token: buyer });
+
+    assert.equal(applied.status, 200);
+    assert.equal(quote.body.data.couponCode, 'WELCOME10');
+    assert.equal(quote.body.data.discount, 100);
+  });
+
+  it('counts redemptions and enforces the per-user limit', async () => {
+    const first = await order('WELCOME10');
+    const second = await order('WELCOME10');
+
+    assert.equal(first.status, 201);
+    assert.equal(first.body.data.discount, 100);
+    assert.equal(second.status, 400);
+    assert.equal(db.getCouponByCode('WELCOME10').usageCount, 1);
+  });
+
+  it('gives the redemption back when the order is cancelled', async () => {
+    db.updateCoupon(couponId('TECH50'), { usageLimit: 1 });
+    const placed = await order('TECH50');
+    assert.equal(db.getCouponByCode('TECH50').usageCount, 1);
+
+    const cancelled = await api.post(`/api/orders/${placed.body.data.id}/cancel`, {}, { token: buyer });
+
+    assert.equal(cancelled.status, 200);
+    assert.equal(db.getCouponByCode('TECH50').usageCount, 0);
+    assert.equal((await order('TECH50')).status, 201);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/database.js';
+import { startServer, resetDatabase } from './helpers.js';
+
+describe('product facets', () => {
+  let api;
+
+  before(async () => {
+    resetDatabase();
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  const list = async (query = '') => {
+    const res = await api.get(`/api/products${query}`);
+    assert.equal(res.status, 200);
+    return res.body.data;
+  };
+
+  const ids = (data) => data.products.map(p => p.id).sort();
+
+  const count = (entries, key, value) => entries.find(e => e[key] === value)?.count;
+
+  it('counts every facet for the whole catalogue', async () => {
+    const { facets, pagination } = await list();
+
+    assert.equal(pagination.total, 8);
+    assert.deepEqual(facets.sellers.map(s => [s.id, s.count]).sort(), [['user-2', 4], ['user-3', 4]]);
+    assert.equal(count(facets.tags, 'value', 'apple'), 2);
+    assert.deepEqual(facets.priceRanges.map(r => [r.min, r.count]), [
+      [0, 1], [25, 1], [50, 1], [100, 2], [500, 1], [1000, 2]
+    ]);
+    assert.deepEqual(facets.ratings.map(r => r.count), [8, 8, 8, 8]);
+  });
+
+  it('rolls category counts up to parent categories', async () => {
+    const { facets } = await list();
+
+    assert.equal(count(facets.categories, 'id', 'cat-6'), 2);
+    assert.equal(count(facets.categories, 'id', 'cat-7'), 1);
+    assert.equal(count(facets.categories, 'id', 'cat-1'), 4);
+  });
+
+  it('filters a category with its subcategories', async () => {
+    assert.deepEqual(ids(await list('?category=cat-1')), ['prod-1', 'prod-2', 'prod-4', 'prod-8']);
+  });
+
+  it('counts each facet with the other filters applied', async () => {
+    const data = await list('?category=cat-1&tags=apple');
+
+    assert.deepEqual(ids(data), ['prod-1', 'prod-2']);
+    // Other tags within Electronics stay visible
+    assert.equal(count(data.facets.tags, 'value', 'samsung'), 1);
+    // Category counts ignore the category filter but not the tag filter
+    assert.equal(count(data.facets.categories, 'id', 'cat-1'), 2);
+    assert.deepEqual(data.facets.sellers.map(s => [s.id, s.count]), [['user-2', 2]]);
+  });
+
+  it('filters on ratings, tags and specifications', async () => {
+    assert.deepEqual(ids(await list('?minRating=4.8')), ['prod-1', 'prod-2']);
+    assert.deepEqual(ids(await list('?tags=yoga,book')), ['prod-5', 'prod-6']);
+    assert.deepEqual(ids(await list('?spec[storage]=256gb&spec[storage]=512GB')), ['prod-1', 'prod-4']);
+  });
+
+  it('lists specification values to choose from', async () => {
+    const { facets } = await list('?spec[storage]=256GB');
+
+    assert.deepEqual(facets.specifications.storage.map(v => v.value).sort(), ['1TB SSD', '256GB', '512GB']);
+    assert.equal(count(facets.specifications.processor, 'value', 'A17 Pro'), 1);
+    assert.equal(facets.specifications.dimensions, undefined);
+  });
+
+  it('puts a price on a bucket boundary in the same bucket as its count', async () => {
+    db.updateProduct('prod-7', { price: 100 });
+
+    try {
+      const below = await list('?minPrice=50&maxPrice=100');
+      const above = await list('?minPrice=100&maxPrice=250');
+
+      assert.deepEqual(ids(below), []);
+      assert.deepEqual(ids(above), ['prod-3', 'prod-7', 'prod-8']);
+      assert.equal(count(above.facets.priceRanges, 'min', 100), above.pagination.total);
+      assert.equal(count(above.facets.priceRanges, 'min', 50), undefined);
+    } finally {
+      resetDatabase();
+    }
+  });
+
+  it('rejects malformed specification filters', async () => {
+    const res = await api.get('/api/products?spec=storage');
+
+    assert.equal(res.status, 400);
+  });
+});
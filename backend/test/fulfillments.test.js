@@ -0,0 +1,105 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/database.js';
+import { aggregateStatus } from '../src/services/orderService.js';
+import { startServer, resetDatabase, USERS } from './helpers.js';
+
+describe('aggregate order status', () => {
+  it('shows the least advanced active group', () => {
+    assert.equal(aggregateStatus([{ status: 'shipped' }, { status: 'processing' }]), 'processing');
+    assert.equal(aggregateStatus([{ status: 'delivered' }, { status: 'shipped' }]), 'shipped');
+  });
+
+  it('ignores cancelled groups unless every group is cancelled', () => {
+    assert.equal(aggregateStatus([{ status: 'cancelled' }, { status: 'shipped' }]), 'shipped');
+    assert.equal(aggregateStatus([{ status: 'cancelled' }, { status: 'cancelled' }]), 'cancelled');
+  });
+});
+
+describe('fulfilment groups', () => {
+  let api;
+  let buyer;
+  let seller;
+  let otherSeller;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetDatabase();
+    [buyer, seller, otherSeller] = await Promise.all([
+      api.tokenFor(USERS.buyer),
+      api.tokenFor(USERS.seller),
+      api.tokenFor(USERS.otherSeller)
+    ]);
+  });
+
+  // prod-1 is sold by user-2, prod-8 by user-3
+  const placeMixedOrder = async () => {
+    const items = [{ productId: 'prod-1', quantity: 1 }, { productId: 'prod-8', quantity: 2 }];
+    const created = await api.post('/api/orders', { items }, { token: buyer });
+    assert.equal(created.status, 201);
+    await api.post(`/api/orders/${created.body.data.id}/pay`, { paymentToken: 'tok_visa' }, { token: buyer });
+    return created.body.data;
+  };
+
+  it('creates one pending group per seller', async () => {
+    const order = await placeMixedOrder();
+
+    assert.deepEqual(
+      order.fulfillments.map(f => [f.sellerId, f.status]).sort(),
+      [['user-2', 'pending'], ['user-3', 'pending']]
+    );
+  });
+
+  it('shows each seller only their own items', async () => {
+    const order = await placeMixedOrder();
+
+    const res = await api.get('/api/orders/seller', { token: seller });
+    const own = res.body.data.find(o => o.orderId === order.id);
+
+    assert.deepEqual(own.items.map(i => i.productId), ['prod-1']);
+    assert.equal(own.subtotal, 999.99);
+
+    const single = await api.get(`/api/orders/${order.id}`, { token: otherSeller });
+    assert.deepEqual(single.body.data.items.map(i => i.productId), ['prod-8']);
+  });
+
+  it('moves only the seller\'s own group', async () => {
+    const order = await placeMixedOrder();
+
+    await api.put(`/api/orders/${order.id}/status`, { status: 'processing' }, { token: seller });
+    const res = await api.put(`/api/orders/${order.id}/status`, { status: 'shipped' }, { token: seller });
+
+    assert.equal(res.status, 200);
+    const stored = db.getOrderById(order.id);
+    assert.deepEqual(
+      stored.fulfillments.map(f => [f.sellerId, f.status]).sort(),
+      [['user-2', 'shipped'], ['user-3', 'pending']]
+    );
+    assert.equal(stored.status, 'pending');
+  });
+
+  it('restocks only the cancelled group\'s items', async () => {
+    const startingStock = db.getProductById('prod-8').stock;
+    const order = await placeMixedOrder();
+
+    const res = await api.put(`/api/orders/${order.id}/status`, { status: 'cancelled' }, { token: otherSeller });
+
+    assert.equal(res.status, 200);
+    assert.equal(db.getProductById('prod-8').stock, startingStock);
+    assert.equal(db.getProductById('prod-1').stock, 49);
+    assert.equal(db.getOrderById(order.id).status, 'pending');
+  });
+
+  it('does not let a seller move an order without their items', async () => {
+    const created = await api.post('/api/orders', { items: [{ productId: 'prod-1', quantity: 1 }] }, { token: buyer });
+
+    const res = await api.put(`/api/orders/${created.body.data.id}/status`, { status: 'cancelled' }, { token: otherSeller });
+
+    assert.equal(res.status, 404);
+  });
+});
@@ -0,0 +1,91 @@
+import { once } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import app from '../src/app.js';
+import config from '../src/config/env.js';
+import db from '../src/config/database.js';
+import { seedDatabase } from '../src/data/seed.js';
+
+// Shared setup for the API tests
+// Each test file runs in its own process with NODE_ENV=test, so the in-memory
+// database and config are private to the file. Call resetDatabase() before
+// each test to start from the mock data set.
+
+export const PASSWORD = 'password123';
+
+export const USERS = {
+  buyer: 'john.doe@example.com',
+  otherBuyer: 'alice.brown@example.com',
+  seller: 'jane.smith@example.com',
+  otherSeller: 'bob.wilson@example.com',
+  admin: 'admin@marketplace.com'
+};
+
+export const resetDatabase = () => seedDatabase(db);
+
+// Messages the outbox mail transport wrote for an address, oldest first.
+// Test files share the outbox, so use addresses no other file mails.
+export const readOutbox = async (to) => {
+  const outboxDir = path.resolve(config.mail.outboxDir);
+  const files = await fs.readdir(outboxDir).catch(() => []);
+  const messages = await Promise.all(
+    files.map(async file => JSON.parse(await fs.readFile(path.join(outboxDir, file), 'utf8')))
+  );
+  return messages
+    .filter(message => message.to === to)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+// The token in the link of the newest message to an address
+export const readMailToken = async (to) => {
+  const messages = await readOutbox(to);
+  const match = /token=([^\s]+)/.exec(messages.at(-1)?.text || '');
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+// Start the app on a free port. Returns a small client for its API.
+export const startServer = async () => {
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { token, body, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null, headers: response.headers };
+  };
+
+  const api = {
+    get: (path, options) => request('GET', path, options),
+    post: (path, body, options) => request('POST', path, { ...options, body }),
+    put: (path, body, options) => request('PUT', path, { ...options, body }),
+    delete: (path, options) => request('DELETE', path, options),
+    request
+  };
+
+  // Log in and return the response data (token, refreshToken, user)
+  api.login = async (email, password = PASSWORD) => {
+    const res = await api.post('/api/auth/login', { email, password });
+    if (res.status !== 200) {
+      throw new Error(`Login as ${email} failed with ${res.status}: ${res.body?.message}`);
+    }
+    return res.body.data;
+  };
+
+  api.tokenFor = async (email) => (await api.login(email)).token;
+
+  api.close = () => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  };
+
+  return api;
+};
@@ -0,0 +1,81 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/database.js';
+import { reserveStock, checkStock, setStockLevels, StockError } from '../src/services/inventoryService.js';
+import { startServer, resetDatabase, USERS } from './helpers.js';
+
+const stockOf = (productId) => db.getProductById(productId).stock;
+
+describe('stock reservation', () => {
+  beforeEach(() => resetDatabase());
+
+  it('takes stock for every line', () => {
+    reserveStock([{ productId: 'prod-1', quantity: 2 }, { productId: 'prod-2', quantity: 1 }]);
+
+    assert.equal(stockOf('prod-1'), 48);
+    assert.equal(stockOf('prod-2'), 24);
+  });
+
+  it('leaves all stock untouched when one line cannot be filled', () => {
+    assert.throws(
+      () => reserveStock([{ productId: 'prod-1', quantity: 2 }, { productId: 'prod-2', quantity: 26 }]),
+      StockError
+    );
+
+    assert.equal(stockOf('prod-1'), 50);
+    assert.equal(stockOf('prod-2'), 25);
+  });
+
+  it('adds up split lines for the same product before checking', () => {
+    const items = [{ productId: 'prod-2', quantity: 20 }, { productId: 'prod-2', quantity: 10 }];
+
+    assert.throws(() => checkStock(items), /Insufficient stock for MacBook/);
+  });
+
+  it('reports unknown products as 404', () => {
+    assert.throws(() => checkStock([{ productId: 'nope', quantity: 1 }]), { status: 404 });
+  });
+
+  it('returns the stock when the reservation is released', () => {
+    const reservation = reserveStock([{ productId: 'prod-1', quantity: 5 }]);
+
+    reservation.release();
+
+    assert.equal(stockOf('prod-1'), 50);
+  });
+});
+
+describe('placing orders', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => resetDatabase());
+
+  it('sells the last unit only once when orders race', async () => {
+    setStockLevels('prod-2', [{ stock: 1 }]);
+    const token = await api.tokenFor(USERS.buyer);
+    const order = { items: [{ productId: 'prod-2', quantity: 1 }] };
+
+    const results = await Promise.all([
+      api.post('/api/orders', order, { token }),
+      api.post('/api/orders', order, { token })
+    ]);
+
+    assert.deepEqual(results.map(r => r.status).sort(), [201, 400]);
+    assert.equal(stockOf('prod-2'), 0);
+  });
+
+  it('rejects an order larger than the stock without changing it', async () => {
+    const token = await api.tokenFor(USERS.buyer);
+
+    const res = await api.post('/api/orders', { items: [{ productId: 'prod-2', quantity: 26 }] }, { token });
+
+    assert.equal(res.status, 400);
+    assert.equal(stockOf('prod-2'), 25);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/database.js';
+import { getLedgerStock } from '../src/services/inventoryService.js';
+import { startServer, resetDatabase, USERS } from './helpers.js';
+
+describe('inventory ledger', () => {
+  let api;
+  let seller;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetDatabase();
+    seller = await api.tokenFor(USERS.seller);
+  });
+
+  const record = (body, token = seller) => api.post('/api/inventory/movements', body, { token });
+
+  const movements = async (query = '', token = seller) => {
+    const res = await api.get(`/api/inventory/movements${query}`, { token });
+    assert.equal(res.status, 200);
+    return res.body.data.movements;
+  };
+
+  const alerts = async (query = '', token = seller) => {
+    return (await api.get(`/api/inventory/alerts${query}`, { token })).body.data.alerts;
+  };
+
+  it('records restocks with their reason and actor', async () => {
+    const res = await record({ productId: 'prod-1', type: 'restock', quantity: 10, reason: 'Delivery #42' });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.balance, 60);
+    assert.equal(res.body.data.actorId, 'user-2');
+    assert.equal(db.getProductById('prod-1').stock, 60);
+    assert.equal(getLedgerStock('prod-1'), 60);
+  });
+
+  it('rejects movements that would take stock below zero', async () => {
+    const belowZero = await record({ productId: 'prod-1', type: 'adjustment', quantity: -51, reason: 'Recount' });
+    const negativeRestock = await record({ productId: 'prod-1', type: 'restock', quantity: -1, reason: 'Oops' });
+    const sale = await record({ productId: 'prod-1', type: 'sale', quantity: -1, reason: 'By hand' });
+
+    assert.equal(belowZero.status, 400);
+    assert.equal(negativeRestock.status, 400);
+    assert.equal(sale.status, 400);
+    assert.equal(db.getProductById('prod-1').stock, 50);
+  });
+
+  it('keeps sellers to their own products', async () => {
+    const res = await record({ productId: 'prod-3', variantId: 'var-3-8-wb', type: 'restock', quantity: 1, reason: 'Not mine' });
+
+    assert.equal(res.status, 403);
+    assert.deepEqual(await movements('?productId=prod-3'), []);
+  });
+
+  it('records sales and cancellation returns against the order', async () => {
+    const buyer = await api.tokenFor(USERS.buyer);
+    const order = await api.post('/api/orders', { items: [{ productId: 'prod-7', quantity: 3 }] }, { token: buyer });
+    const orderId = order.body.data.id;
+    await api.post(`/api/orders/${orderId}/cancel`, {}, { token: buyer });
+
+    const history = await movements('?productId=prod-7');
+
+    assert.deepEqual(history.map(m => [m.type, m.quantity, m.balance]), [
+      ['cancellation', 3, 30],
+      ['sale', -3, 27],
+      ['initial', 30, 30]
+    ]);
+    assert.deepEqual(history.slice(0, 2).map(m => m.orderId), [orderId, orderId]);
+  });
+
+  it('records stock set by editing the product as an adjustment', async () => {
+    await api.put('/api/products/prod-5', { stock: 180 }, { token: seller });
+
+    const [latest] = await movements('?productId=prod-5');
+
+    assert.equal(latest.type, 'adjustment');
+    assert.equal(latest.quantity, -20);
+    assert.equal(getLedgerStock('prod-5'), 180);
+  });
+
+  it('alerts at or below each product\'s threshold', async () => {
+    // prod-2 has 25 in stock and a threshold of 30
+    assert.deepEqual((await alerts()).map(a => [a.productId, a.status]), [['prod-2', 'low_stock']]);
+
+    await record({ productId: 'prod-2', type: 'restock', quantity: 10, reason: 'Delivery' });
+    await record({ productId: 'prod-7', type: 'adjustment', quantity: -30, reason: 'Water damage' });
+
+    assert.deepEqual((await alerts()).map(a => [a.productId, a.status]), [['prod-7', 'out_of_stock']]);
+  });
+
+  it('lets admins look at one seller\'s alerts', async () => {
+    const admin = await api.tokenFor(USERS.admin);
+
+    assert.deepEqual((await alerts('?sellerId=user-2', admin)).map(a => a.productId), ['prod-2']);
+    assert.deepEqual(await alerts('?sellerId=user-3', admin), []);
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/database.js';
+import { canTransition } from '../src/services/orderService.js';
+import { startServer, resetDatabase, USERS } from './helpers.js';
+
+describe('order status transitions', () => {
+  it('follows the allowed transitions only', () => {
+    assert.equal(canTransition('pending', 'processing'), true);
+    assert.equal(canTransition('processing', 'shipped'), true);
+    assert.equal(canTransition('shipped', 'delivered'), true);
+    assert.equal(canTransition('pending', 'delivered'), false);
+    assert.equal(canTransition('shipped', 'cancelled'), false);
+    assert.equal(canTransition('delivered', 'pending'), false);
+    assert.equal(canTransition('cancelled', 'pending'), false);
+  });
+});
+
+describe('order status API', () => {
+  let api;
+  let buyer;
+  let seller;
+  let admin;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetDatabase();
+    [buyer, seller, admin] = await Promise.all([
+      api.tokenFor(USERS.buyer),
+      api.tokenFor(USERS.seller),
+      api.tokenFor(USERS.admin)
+    ]);
+  });
+
+  const placePaidOrder = async (items = [{ productId: 'prod-1', quantity: 2 }]) => {
+    const created = await api.post('/api/orders', { items }, { token: buyer });
+    assert.equal(created.status, 201);
+    const paid = await api.post(`/api/orders/${created.body.data.id}/pay`, { paymentToken: 'tok_visa' }, { token: buyer });
+    assert.equal(paid.status, 200);
+    return paid.body.data;
+  };
+
+  const setStatus = (orderId, status, token, extra = {}) => {
+    return api.put(`/api/orders/${orderId}/status`, { status, ...extra }, { token });
+  };
+
+  it('moves an order through to delivered and records each change', async () => {
+    const order = await placePaidOrder();
+
+    for (const status of ['processing', 'shipped', 'delivered']) {
+      const res = await setStatus(order.id, status, admin, { note: `now ${status}` });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.status, status);
+    }
+
+    const stored = db.getOrderById(order.id);
+    assert.deepEqual(stored.statusHistory.map(e => e.status), ['pending', 'processing', 'shipped', 'delivered']);
+    assert.equal(stored.statusHistory[3].note, 'now delivered');
+    assert.equal(stored.statusHistory[3].changedBy, 'user-5');
+    assert.ok(stored.shippedAt);
+    assert.ok(stored.deliveredAt);
+  });
+
+  it('rejects skipping a step', async () => {
+    const order = await placePaidOrder();
+
+    const res = await setStatus(order.id, 'delivered', admin);
+
+    assert.equal(res.status, 400);
+    assert.match(res.body.message, /from pending to delivered/);
+    assert.equal(db.getOrderById(order.id).status, 'pending');
+  });
+
+  it('rejects unknown statuses', async () => {
+    const order = await placePaidOrder();
+
+    const res = await setStatus(order.id, 'lost', admin);
+
+    assert.equal(res.status, 400);
+  });
+
+  it('does not let buyers change the status', async () => {
+    const order = await placePaidOrder();
+
+    const res = await setStatus(order.id, 'processing', buyer);
+
+    assert.equal(res.status, 403);
+  });
+
+  it('returns stock when the buyer cancels a pending order', async () => {
+    const order = await placePaidOrder();
+    assert.equal(db.getProductById('prod-1').stock, 48);
+
+    const res = await api.post(`/api/orders/${order.id}/cancel`, { reason: 'Changed my mind' }, { token: buyer });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.status, 'cancelled');
+    assert.ok(res.body.data.cancelledAt);
+    assert.equal(db.getProductById('prod-1').stock, 50);
+  });
+
+  it('does not let the buyer cancel once the order has shipped', async () => {
+    const res = await api.post('/api/orders/order-2/cancel', {}, { token: buyer });
+
+    assert.equal(res.status, 400);
+    assert.equal(db.getOrderById('order-2').status, 'shipped');
+  });
+
+  it('does not cancel an order twice', async () => {
+    const order = await placePaidOrder();
+    await api.post(`/api/orders/${order.id}/cancel`, {}, { token: buyer });
+
+    const res = await setStatus(order.id, 'cancelled', admin);
+
+    assert.equal(res.status, 400);
+    assert.equal(db.getProductById('prod-1').stock, 50);
+  });
+
+  it('lets a seller move an order with their items', async () => {
+    const order = await placePaidOrder();
+
+    const res = await setStatus(order.id, 'processing', seller);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.status, 'processing');
+  });
+});
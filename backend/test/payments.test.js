@@ -0,0 +1,216 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../src/config/env.js';
+import db from '../src/config/database.js';
+import { gateway, PaymentError } from '../src/services/paymentService.js';
+import { transitionOrder } from '../src/services/orderService.js';
+import { signPayload, DECLINED_TOKEN } from '../src/services/payments/mockGateway.js';
+import { startServer, resetDatabase, USERS } from './helpers.js';
+
+describe('payments', () => {
+  let api;
+  let buyer;
+  let admin;
+  let otherSeller;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetDatabase();
+    [buyer, admin, otherSeller] = await Promise.all([
+      api.tokenFor(USERS.buyer),
+      api.tokenFor(USERS.admin),
+      api.tokenFor(USERS.otherSeller)
+    ]);
+  });
+
+  // prod-1 is sold by user-2, prod-8 by user-3
+  const placeOrder = async (items = [{ productId: 'prod-1', quantity: 1 }, { productId: 'prod-8', quantity: 1 }]) => {
+    const res = await api.post('/api/orders', { items }, { token: buyer });
+    assert.equal(res.status, 201);
+    return res.body.data;
+  };
+
+  const pay = (orderId, paymentToken = 'tok_visa') => {
+    return api.post(`/api/orders/${orderId}/pay`, { paymentToken }, { token: buyer });
+  };
+
+  const setStatus = (orderId, status, token = admin) => {
+    return api.put(`/api/orders/${orderId}/status`, { status }, { token });
+  };
+
+  const sendWebhook = (event, signature) => {
+    const body = JSON.stringify(event);
+    return api.post('/api/payments/webhook', body, {
+      headers: { 'X-Payment-Signature': signature ?? signPayload(body, config.payments.webhookSecret) }
+    });
+  };
+
+  it('records a declined payment and lets the buyer retry', async () => {
+    const order = await placeOrder();
+
+    const declined = await pay(order.id, DECLINED_TOKEN);
+    const retried = await pay(order.id);
+
+    assert.equal(declined.status, 402);
+    assert.equal(declined.body.data.paymentStatus, 'failed');
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.data.paymentStatus, 'authorized');
+  });
+
+  it('captures the payment when the order moves to processing', async () => {
+    const order = await placeOrder();
+
+    const unpaid = await setStatus(order.id, 'processing');
+    await pay(order.id);
+    const processed = await setStatus(order.id, 'processing');
+
+    assert.equal(unpaid.status, 409);
+    assert.equal(processed.status, 200);
+    assert.equal(processed.body.data.paymentStatus, 'paid');
+    assert.equal(db.getPaymentById(processed.body.data.paymentId).capturedAmount, order.total);
+  });
+
+  it('refunds the whole payment when the order is cancelled', async () => {
+    const order = await placeOrder();
+    await pay(order.id);
+    await setStatus(order.id, 'processing');
+
+    const res = await setStatus(order.id, 'cancelled');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.paymentStatus, 'refunded');
+    assert.deepEqual(res.body.data.refunds.map(r => r.amount), [order.total]);
+  });
+
+  it('refunds a cancelled group\'s share of the total', async () => {
+    const order = await placeOrder();
+    await pay(order.id);
+    await setStatus(order.id, 'processing');
+
+    const res = await setStatus(order.id, 'cancelled', otherSeller);
+
+    const stored = db.getOrderById(order.id);
+    const share = parseFloat((order.total * 199.99 / order.subtotal).toFixed(2));
+    assert.equal(res.status, 200);
+    assert.equal(stored.paymentStatus, 'paid');
+    assert.deepEqual(stored.refunds.map(r => r.amount), [share]);
+  });
+
+  it('captures only what is left after a group was cancelled', async () => {
+    const order = await placeOrder();
+    await pay(order.id);
+    await setStatus(order.id, 'cancelled', await api.tokenFor(USERS.seller));
+
+    const res = await setStatus(order.id, 'processing', otherSeller);
+
+    const stored = db.getOrderById(order.id);
+    const [refund] = stored.refunds;
+    const payment = db.getPaymentById(stored.paymentId);
+    assert.equal(res.status, 200);
+    assert.equal(stored.paymentStatus, 'paid');
+    assert.equal(payment.capturedAmount, parseFloat((order.total - refund.amount).toFixed(2)));
+    assert.equal(payment.releasedAmount, refund.amount);
+  });
+
+  it('leaves the order and stock alone when the refund fails', async () => {
+    const order = await placeOrder();
+    await pay(order.id);
+    db.updateOrder(order.id, { paymentId: 'pay_gone' });
+    const stock = db.getProductById('prod-1').stock;
+
+    const res = await setStatus(order.id, 'cancelled');
+
+    assert.equal(res.status, 409);
+    assert.equal(db.getOrderById(order.id).status, 'pending');
+    assert.equal(db.getProductById('prod-1').stock, stock);
+  });
+
+  it('does not refund a share of an order without a subtotal', async () => {
+    const authorized = await gateway.authorize({ amount: 5, orderId: 'order-free' });
+    db.createOrder({
+      id: 'order-free',
+      userId: 'user-1',
+      items: [
+        { productId: 'prod-1', sellerId: 'user-2', quantity: 1, price: 0 },
+        { productId: 'prod-8', sellerId: 'user-3', quantity: 1, price: 0 }
+      ],
+      subtotal: 0,
+      total: 5,
+      status: 'pending',
+      paymentStatus: 'authorized',
+      paymentId: authorized.paymentId,
+      fulfillments: [{ sellerId: 'user-2', status: 'pending' }, { sellerId: 'user-3', status: 'pending' }],
+      statusHistory: []
+    });
+
+    const order = await transitionOrder('order-free', 'cancelled', { changedBy: 'user-3', sellerId: 'user-3' });
+
+    assert.equal(order.refunds, undefined);
+    assert.equal(db.getPaymentById(authorized.paymentId).refundedAmount, 0);
+  });
+
+  it('reports unknown payments as a PaymentError', async () => {
+    await assert.rejects(() => gateway.capture('pay_missing', 10), (error) => {
+      return error instanceof PaymentError && error.status === 409;
+    });
+  });
+
+  describe('webhooks', () => {
+    it('rejects unsigned events', async () => {
+      const res = await sendWebhook({ type: 'payment.captured', data: {} }, 'bad');
+
+      assert.equal(res.status, 401);
+    });
+
+    it('applies a captured event once', async () => {
+      const order = await placeOrder();
+      const { body } = await pay(order.id);
+      const event = { type: 'payment.captured', data: { orderId: order.id, paymentId: body.data.paymentId } };
+
+      const first = await sendWebhook(event);
+      const replay = await sendWebhook(event);
+
+      assert.equal(first.status, 200);
+      assert.equal(first.body.data.paymentStatus, 'paid');
+      assert.equal(replay.status, 200);
+      assert.equal(db.getOrderById(order.id).paymentStatus, 'paid');
+    });
+
+    it('does not move payment status backwards', async () => {
+      const order = await placeOrder();
+      const { body } = await pay(order.id);
+      const data = { orderId: order.id, paymentId: body.data.paymentId };
+      await sendWebhook({ type: 'payment.refunded', data });
+
+      const res = await sendWebhook({ type: 'payment.authorized', data });
+
+      assert.equal(res.status, 409);
+      assert.equal(db.getOrderById(order.id).paymentStatus, 'refunded');
+    });
+
+    it('ignores payments the gateway does not know', async () => {
+      const order = await placeOrder();
+
+      const res = await sendWebhook({ type: 'payment.authorized', data: { orderId: order.id, paymentId: 'pay_forged' } });
+
+      assert.equal(res.status, 404);
+      assert.equal(db.getOrderById(order.id).paymentStatus, 'pending');
+      assert.equal(db.getOrderById(order.id).paymentId, undefined);
+    });
+
+    it('ignores payments made for another order', async () => {
+      const order = await placeOrder();
+      const { body } = await pay(order.id);
+
+      const res = await sendWebhook({ type: 'payment.authorized', data: { orderId: 'order-3', paymentId: body.data.paymentId } });
+
+      assert.equal(res.status, 404);
+      assert.equal(db.getOrderById('order-3').paymentStatus, 'pending');
+    });
+  });
+});
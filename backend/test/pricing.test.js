@@ -0,0 +1,101 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/database.js';
+import { parseWeightLbs, getTaxRate, calculateShipping, calculateTotals } from '../src/services/pricingService.js';
+import { startServer, resetDatabase, USERS } from './helpers.js';
+
+const taxConfig = {
+  defaultRate: 0.05,
+  rules: [
+    { country: 'USA', state: 'CA', rate: 0.0725 },
+    { country: 'USA', rate: 0.08 }
+  ]
+};
+
+const flat = { type: 'flat', flatRate: 15.99, freeShippingThreshold: 100 };
+const byWeight = { type: 'weight', baseRate: 4.99, ratePerLb: 1.25, defaultWeightLbs: 1, freeShippingThreshold: null };
+
+describe('pricing', () => {
+  it('parses weights in common units', () => {
+    assert.equal(parseWeightLbs('2.5 lbs'), 2.5);
+    assert.equal(parseWeightLbs('16 oz'), 1);
+    assert.equal(parseWeightLbs(3), 3);
+    assert.equal(parseWeightLbs('heavy'), null);
+    assert.equal(parseWeightLbs('2 stone'), null);
+  });
+
+  it('uses the most specific tax rule', () => {
+    assert.equal(getTaxRate({ country: 'USA', state: 'CA' }, taxConfig), 0.0725);
+    assert.equal(getTaxRate({ country: 'usa', state: 'ca ' }, taxConfig), 0.0725);
+    assert.equal(getTaxRate({ country: 'USA', state: 'WA' }, taxConfig), 0.08);
+    assert.equal(getTaxRate({ country: 'Canada' }, taxConfig), 0.05);
+    assert.equal(getTaxRate(undefined, taxConfig), 0.05);
+  });
+
+  it('charges flat shipping below the free threshold', () => {
+    const lines = [{ quantity: 1 }];
+
+    assert.equal(calculateShipping(lines, 50, flat), 15.99);
+    assert.equal(calculateShipping(lines, 100, flat), 0);
+    assert.equal(calculateShipping([], 0, flat), 0);
+  });
+
+  it('charges by weight, counting missing weights as the default', () => {
+    const lines = [
+      { quantity: 2, specifications: { weight: '2.5 lbs' } },
+      { quantity: 1, specifications: {} }
+    ];
+
+    assert.equal(calculateShipping(lines, 500, byWeight), 12.49);
+  });
+
+  it('rejects unknown shipping types', () => {
+    assert.throws(() => calculateShipping([{ quantity: 1 }], 10, { type: 'drone', freeShippingThreshold: null }));
+  });
+
+  it('adds tax on the subtotal and shipping to the total', () => {
+    const totals = calculateTotals(
+      [{ price: 40, quantity: 2, specifications: { weight: '1 lb' } }],
+      { country: 'USA', state: 'CA' }
+    );
+
+    assert.equal(totals.subtotal, 80);
+    assert.equal(totals.tax, 5.8);
+    assert.equal(totals.shipping, 7.49);
+    assert.equal(totals.total, 93.29);
+  });
+});
+
+describe('cart quote', () => {
+  let api;
+  let buyer;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetDatabase();
+    buyer = await api.tokenFor(USERS.buyer);
+    db.clearCart('user-1');
+    await api.post('/api/cart', { productId: 'prod-5', quantity: 1 }, { token: buyer });
+  });
+
+  it('quotes against the saved address', async () => {
+    const res = await api.get('/api/cart/quote', { token: buyer });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.shippingAddress.state, 'NY');
+    assert.equal(res.body.data.taxRate, 0.08875);
+    assert.equal(res.body.data.itemCount, 1);
+  });
+
+  it('quotes for another region on request', async () => {
+    const res = await api.get('/api/cart/quote?state=TX', { token: buyer });
+
+    assert.equal(res.body.data.taxRate, 0.0625);
+    assert.equal(res.body.data.tax, parseFloat((12.99 * 0.0625).toFixed(2)));
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The test profile switches rate limiting off; this file needs it on, so set
+// it before the app and its config are loaded
+process.env.RATE_LIMIT_ENABLED = 'true';
+
+const { rateLimitConfig } = await import('../src/config/rateLimits.js');
+const { rateLimitStore } = await import('../src/services/rateLimitStore.js');
+const { getLoginLockout, recordFailedLogin } = await import('../src/services/loginThrottleService.js');
+const { startServer, resetDatabase, USERS, PASSWORD } = await import('./helpers.js');
+
+describe('login lockout', () => {
+  it('doubles the lock each time the account is locked again', async () => {
+    const email = 'escalate@example.com';
+    for (let i = 0; i < 4; i++) {
+      assert.equal(await recordFailedLogin(email), 0);
+    }
+    assert.equal(await recordFailedLogin(email), 60);
+
+    // Let the first lock run out, keeping its escalation count
+    const lock = await rateLimitStore.get(`login:lock:${email}`);
+    await rateLimitStore.set(`login:lock:${email}`, { ...lock, lockedUntil: Date.now() - 1 }, 60 * 1000);
+    assert.equal(await getLoginLockout(email), 0);
+
+    for (let i = 0; i < 4; i++) {
+      await recordFailedLogin(email);
+    }
+    assert.equal(await recordFailedLogin(email), 120);
+  });
+
+  it('does nothing while rate limiting is switched off', async () => {
+    const email = 'disabled@example.com';
+    rateLimitConfig.enabled = false;
+    try {
+      for (let i = 0; i < 10; i++) {
+        assert.equal(await recordFailedLogin(email), 0);
+      }
+      assert.equal(await getLoginLockout(email), 0);
+    } finally {
+      rateLimitConfig.enabled = true;
+    }
+  });
+});
+
+describe('rate limited API', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => resetDatabase());
+
+  const login = (email, password) => api.post('/api/auth/login', { email, password });
+
+  it('locks an account after repeated failed logins', async () => {
+    const statuses = [];
+    for (let i = 0; i < 5; i++) {
+      statuses.push((await login(USERS.buyer, 'wrong-password')).status);
+    }
+    const locked = await login(USERS.buyer, PASSWORD);
+
+    assert.deepEqual(statuses, [401, 401, 401, 401, 429]);
+    assert.equal(locked.status, 429);
+    assert.equal(locked.headers.get('retry-after'), '60');
+  });
+
+  it('forgets failed attempts after a successful login', async () => {
+    for (let i = 0; i < 4; i++) {
+      await login(USERS.seller, 'wrong-password');
+    }
+
+    assert.equal((await login(USERS.seller, PASSWORD)).status, 200);
+    assert.equal((await login(USERS.seller, 'wrong-password')).status, 401);
+  });
+
+  it('answers 429 once a policy limit is reached', async () => {
+    const { max } = rateLimitConfig.policies.register;
+    for (let i = 0; i < max; i++) {
+      const res = await api.post('/api/auth/register', {});
+      assert.equal(res.status, 400);
+      assert.equal(res.headers.get('x-ratelimit-remaining'), String(max - i - 1));
+    }
+
+    const limited = await api.post('/api/auth/register', {});
+
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  });
+});
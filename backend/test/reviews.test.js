@@ -0,0 +1,81 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, resetDatabase, USERS } from './helpers.js';
+
+describe('reviews', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => resetDatabase());
+
+  const getProduct = async (id) => (await api.get(`/api/products/${id}`)).body.data;
+
+  it('marks reviews of delivered purchases as verified and updates the product rating', async () => {
+    const token = await api.tokenFor(USERS.buyer);
+
+    // prod-8 was delivered to the buyer in order-1 and has one 5-star review
+    const res = await api.post('/api/reviews', { productId: 'prod-8', rating: 3, title: 'OK' }, { token });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.verifiedPurchase, true);
+    const product = await getProduct('prod-8');
+    assert.equal(product.reviewCount, 2);
+    assert.equal(product.rating, 4);
+  });
+
+  it('does not verify reviews without a delivered order', async () => {
+    const token = await api.tokenFor(USERS.otherBuyer);
+
+    const res = await api.post('/api/reviews', { productId: 'prod-3', rating: 2 }, { token });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.verifiedPurchase, false);
+  });
+
+  it('allows one review per user and product', async () => {
+    const token = await api.tokenFor(USERS.buyer);
+
+    const res = await api.post('/api/reviews', { productId: 'prod-3', rating: 5 }, { token });
+
+    assert.equal(res.status, 400);
+  });
+
+  it('rejects ratings outside 1 to 5', async () => {
+    const token = await api.tokenFor(USERS.otherBuyer);
+
+    const res = await api.post('/api/reviews', { productId: 'prod-3', rating: 6 }, { token });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors[0].field, 'rating');
+  });
+
+  it('lets only the author edit a review and recalculates the rating', async () => {
+    const other = await api.tokenFor(USERS.otherBuyer);
+    const forbidden = await api.put('/api/reviews/review-4', { rating: 1 }, { token: other });
+    assert.equal(forbidden.status, 403);
+
+    const author = await api.tokenFor(USERS.buyer);
+    const res = await api.put('/api/reviews/review-4', { rating: 2 }, { token: author });
+
+    assert.equal(res.status, 200);
+    const product = await getProduct('prod-3');
+    assert.equal(product.rating, 2);
+    assert.equal(product.reviewCount, 1);
+  });
+
+  it('lets an admin delete a review and resets the rating when none are left', async () => {
+    const token = await api.tokenFor(USERS.admin);
+
+    const res = await api.delete('/api/reviews/review-4', { token });
+
+    assert.equal(res.status, 200);
+    const product = await getProduct('prod-3');
+    assert.equal(product.rating, 0);
+    assert.equal(product.reviewCount, 0);
+  });
+});
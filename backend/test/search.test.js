@@ -0,0 +1,92 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { stem, tokenize, editDistance } from '../src/utils/searchText.js';
+import { startServer, resetDatabase, USERS } from './helpers.js';
+
+describe('search text', () => {
+  it('stems plurals and verb endings but not model numbers', () => {
+    assert.equal(stem('shoes'), 'shoe');
+    assert.equal(stem('batteries'), 'battery');
+    assert.equal(stem('running'), 'run');
+    assert.equal(stem('s24'), 's24');
+  });
+
+  it('drops stop words, punctuation and accents', () => {
+    assert.deepEqual(tokenize('The Café, for Runners!'), ['cafe', 'runner']);
+  });
+
+  it('counts a swap of neighbouring letters as one typo', () => {
+    assert.equal(editDistance('iphnoe', 'iphone'), 1);
+    assert.equal(editDistance('headphones', 'headphnes'), 1);
+    assert.equal(editDistance('yoga', 'coffee', 2), 3);
+  });
+});
+
+describe('product search', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => resetDatabase());
+
+  const search = async (query, params = '') => {
+    const res = await api.get(`/api/products?search=${encodeURIComponent(query)}${params}`);
+    assert.equal(res.status, 200);
+    return res.body.data.products.map(p => p.id);
+  };
+
+  it('matches words that are not next to each other', async () => {
+    assert.deepEqual(await search('iphone pro'), ['prod-1']);
+  });
+
+  it('searches tags, specifications and category names', async () => {
+    assert.deepEqual(await search('fitness'), ['prod-6']);
+    assert.deepEqual(await search('snapdragon'), ['prod-4']);
+    assert.deepEqual((await search('electronics')).sort(), ['prod-1', 'prod-2', 'prod-4', 'prod-8']);
+  });
+
+  it('tolerates typos and partial words', async () => {
+    assert.deepEqual(await search('headphnes'), ['prod-8']);
+    assert.deepEqual(await search('gatsb'), ['prod-5']);
+  });
+
+  it('puts an exact SKU match first', async () => {
+    assert.equal((await search('SGS24U-001'))[0], 'prod-4');
+  });
+
+  it('ranks name matches above tag and description matches', async () => {
+    // In the name of prod-6, a tag of prod-1 and the description of prod-4
+    assert.deepEqual(await search('premium'), ['prod-6', 'prod-1', 'prod-4']);
+    assert.deepEqual(await search('premium', '&sort=relevance'), ['prod-6', 'prod-1', 'prod-4']);
+  });
+
+  it('sorts by other orders when asked', async () => {
+    const results = await search('smartphone', '&sort=price_asc');
+
+    assert.deepEqual(results, ['prod-1', 'prod-4']);
+  });
+
+  it('keeps up with created, renamed and deleted products', async () => {
+    const token = await api.tokenFor(USERS.seller);
+    const created = await api.post('/api/products', {
+      name: 'Espresso Grinder',
+      description: 'Burr grinder for espresso',
+      price: 149,
+      categoryId: 'cat-3',
+      tags: ['coffee']
+    }, { token });
+    const { id } = created.body.data;
+    assert.deepEqual(await search('grinder'), [id]);
+
+    await api.put(`/api/products/${id}`, { name: 'Pour Over Kettle', description: 'Gooseneck kettle' }, { token });
+    assert.deepEqual(await search('grinder'), []);
+    assert.deepEqual(await search('kettle'), [id]);
+
+    await api.delete(`/api/products/${id}`, { token });
+    assert.deepEqual(await search('kettle'), []);
+  });
+});
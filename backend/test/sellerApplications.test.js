@@ -0,0 +1,108 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/database.js';
+import { startServer, resetDatabase, readOutbox, USERS, PASSWORD } from './helpers.js';
+
+const application = {
+  storeName: 'Alice Books',
+  contactPhone: '+1-555-0100',
+  payout: { method: 'paypal', paypalEmail: 'payouts@alice.example.com' }
+};
+
+describe('seller applications', () => {
+  let api;
+  let applicant;
+  let admin;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetDatabase();
+    [applicant, admin] = await Promise.all([
+      api.tokenFor(USERS.otherBuyer),
+      api.tokenFor(USERS.admin)
+    ]);
+  });
+
+  const apply = (body = application, token = applicant) => api.post('/api/seller-applications', body, { token });
+
+  it('registers every new account as a buyer', async () => {
+    const res = await api.post('/api/auth/register', {
+      email: `seller-${Date.now()}@example.com`,
+      password: PASSWORD,
+      firstName: 'Would',
+      lastName: 'Be',
+      role: 'seller'
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.user.role, 'buyer');
+  });
+
+  it('accepts one pending application at a time', async () => {
+    const first = await apply();
+    const second = await apply();
+
+    assert.equal(first.status, 201);
+    assert.equal(first.body.data.status, 'pending');
+    assert.equal(first.body.data.contactEmail, USERS.otherBuyer);
+    assert.equal(db.getUserByEmail(USERS.otherBuyer).sellerStatus, 'pending');
+    assert.equal(second.status, 400);
+  });
+
+  it('requires the details for the chosen payout method', async () => {
+    const res = await apply({ ...application, payout: { method: 'bank_transfer', accountHolder: 'Alice', accountNumber: '12345678' } });
+
+    assert.equal(res.status, 400);
+    assert.ok(res.body.errors.some(e => e.field === 'payout.routingNumber'));
+  });
+
+  it('only takes applications from buyers', async () => {
+    const res = await apply(application, await api.tokenFor(USERS.seller));
+
+    assert.equal(res.status, 400);
+  });
+
+  it('makes the applicant a seller once approved', async () => {
+    const { body } = await apply();
+    assert.equal((await api.get('/api/orders/seller', { token: applicant })).status, 403);
+
+    const approved = await api.post(`/api/seller-applications/${body.data.id}/approve`, undefined, { token: admin });
+    const again = await api.post(`/api/seller-applications/${body.data.id}/approve`, undefined, { token: admin });
+
+    const user = db.getUserByEmail(USERS.otherBuyer);
+    assert.equal(approved.status, 200);
+    assert.equal(user.role, 'seller');
+    assert.equal(user.sellerProfile.storeName, 'Alice Books');
+    assert.equal(again.status, 400);
+    assert.equal((await api.get('/api/orders/seller', { token: applicant })).status, 200);
+    assert.equal((await readOutbox(USERS.otherBuyer)).at(-1).subject, 'Your seller application was approved');
+  });
+
+  it('lets a rejected applicant apply again', async () => {
+    const { body } = await apply();
+
+    const rejected = await api.post(`/api/seller-applications/${body.data.id}/reject`, { reason: 'Incomplete' }, { token: admin });
+
+    assert.equal(rejected.status, 200);
+    assert.equal(rejected.body.data.rejectionReason, 'Incomplete');
+    assert.equal(db.getUserByEmail(USERS.otherBuyer).role, 'buyer');
+    assert.equal((await apply()).status, 201);
+  });
+
+  it('keeps the review queue and other applications to admins', async () => {
+    const { body } = await apply();
+    const buyer = await api.tokenFor(USERS.buyer);
+
+    assert.equal((await api.get('/api/seller-applications', { token: buyer })).status, 403);
+    assert.equal((await api.get(`/api/seller-applications/${body.data.id}`, { token: buyer })).status, 403);
+    assert.equal((await api.post(`/api/seller-applications/${body.data.id}/approve`, undefined, { token: buyer })).status, 403);
+
+    const queue = await api.get('/api/seller-applications?status=pending', { token: admin });
+    assert.deepEqual(queue.body.data.applications.map(a => a.id), [body.data.id]);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeDevice } from '../src/services/sessionService.js';
+import { startServer, resetDatabase, USERS, PASSWORD } from './helpers.js';
+
+const CHROME_ON_MAC = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+describe('device labels', () => {
+  it('names the browser and platform', () => {
+    assert.equal(describeDevice(CHROME_ON_MAC), 'Chrome on macOS');
+    assert.equal(describeDevice('curl/8.4.0'), 'curl');
+    assert.equal(describeDevice(''), 'Unknown device');
+  });
+});
+
+describe('sessions', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => resetDatabase());
+
+  const login = async (body = {}, headers = {}) => {
+    const res = await api.request('POST', '/api/auth/login', {
+      body: { email: USERS.buyer, password: PASSWORD, ...body },
+      headers
+    });
+    assert.equal(res.status, 200);
+    return res.body.data;
+  };
+
+  const listSessions = async (token) => (await api.get('/api/auth/sessions', { token })).body.data;
+
+  it('lists one session per login, marking the current one', async () => {
+    const laptop = await login({}, { 'User-Agent': CHROME_ON_MAC });
+    await login({ deviceName: 'Work phone' });
+
+    const sessions = await listSessions(laptop.token);
+
+    assert.deepEqual(sessions.map(s => s.deviceLabel).sort(), ['Chrome on macOS', 'Work phone']);
+    assert.equal(sessions.find(s => s.current).deviceLabel, 'Chrome on macOS');
+  });
+
+  it('signs a revoked device out', async () => {
+    const laptop = await login();
+    const phone = await login({ deviceName: 'Phone' });
+    const phoneSession = (await listSessions(laptop.token)).find(s => s.deviceLabel === 'Phone');
+
+    const res = await api.delete(`/api/auth/sessions/${phoneSession.id}`, { token: laptop.token });
+
+    assert.equal(res.status, 200);
+    assert.equal((await api.get('/api/auth/profile', { token: phone.token })).status, 401);
+    assert.equal((await api.post('/api/auth/refresh', { refreshToken: phone.refreshToken })).status, 401);
+    assert.equal((await listSessions(laptop.token)).length, 1);
+  });
+
+  it('does not reveal or revoke other users\' sessions', async () => {
+    const buyer = await login();
+    const seller = await api.login(USERS.seller);
+    const [sellerSession] = await listSessions(seller.token);
+
+    const res = await api.delete(`/api/auth/sessions/${sellerSession.id}`, { token: buyer.token });
+
+    assert.equal(res.status, 404);
+    assert.equal((await api.get('/api/auth/profile', { token: seller.token })).status, 200);
+  });
+
+  it('signs out every other device', async () => {
+    const current = await login();
+    const other = await login();
+
+    const res = await api.delete('/api/auth/sessions', { token: current.token });
+
+    assert.equal(res.status, 200);
+    assert.equal((await api.get('/api/auth/profile', { token: current.token })).status, 200);
+    assert.equal((await api.get('/api/auth/profile', { token: other.token })).status, 401);
+    assert.deepEqual((await listSessions(current.token)).map(s => s.current), [true]);
+  });
+
+  it('keeps the session across token refreshes', async () => {
+    const first = await login();
+
+    const refreshed = await api.post('/api/auth/refresh', { refreshToken: first.refreshToken });
+
+    const sessions = await listSessions(refreshed.body.data.token);
+    assert.equal(sessions.length, 1);
+    assert.equal(sessions[0].current, true);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMemoryAdapter } from '../src/config/adapters/memoryAdapter.js';
+import { createFileAdapter } from '../src/config/adapters/fileAdapter.js';
+import { seedDatabase } from '../src/data/seed.js';
+import { mockData } from '../src/data/mockData.js';
+import { loadConfig } from '../src/config/env.js';
+
+describe('memory adapter', () => {
+  it('creates, updates and deletes records', () => {
+    const db = createMemoryAdapter();
+
+    db.createProduct({ id: 'p1', name: 'Lamp', sellerId: 's1' });
+    db.updateProduct('p1', { name: 'Desk lamp' });
+
+    assert.equal(db.getProductById('p1').name, 'Desk lamp');
+    assert.deepEqual(db.getProductsBySeller('s1').map(p => p.id), ['p1']);
+    assert.equal(db.updateProduct('missing', { name: 'x' }), null);
+
+    db.deleteProduct('p1');
+    assert.equal(db.getProductById('p1'), undefined);
+  });
+
+  it('notifies the owner only when a write changed data', () => {
+    let changes = 0;
+    const db = createMemoryAdapter({}, { onChange: () => { changes += 1; } });
+
+    db.createUser({ id: 'u1', email: 'a@example.com' });
+    db.updateUser('missing', { firstName: 'x' });
+
+    assert.equal(changes, 1);
+  });
+
+  it('is replaced by the mock data when seeded', () => {
+    const db = createMemoryAdapter();
+    db.createUser({ id: 'stale', email: 'stale@example.com' });
+
+    seedDatabase(db);
+
+    assert.equal(db.getUserById('stale'), undefined);
+    assert.equal(db.getUsers().length, mockData.users.length);
+    assert.equal(db.getProducts().length, mockData.products.length);
+  });
+});
+
+describe('file adapter', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'marketplace-db-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps data across restarts', () => {
+    const file = path.join(dir, 'nested', 'db.json');
+    const first = createFileAdapter(file);
+    first.createCategory({ id: 'cat-x', name: 'Tools', parentId: null });
+
+    const second = createFileAdapter(file);
+
+    assert.equal(second.getCategoryById('cat-x').name, 'Tools');
+  });
+
+  it('starts empty when the file does not exist', () => {
+    const db = createFileAdapter(path.join(dir, 'db.json'));
+
+    assert.deepEqual(db.getProducts(), []);
+  });
+});
+
+describe('seeding on start', () => {
+  const base = { JWT_SECRET: 'secret' };
+
+  it('seeds the memory driver by default in development', () => {
+    assert.equal(loadConfig({ ...base, NODE_ENV: 'development' }).seedOnStart, true);
+  });
+
+  it('never seeds persistent storage by default', () => {
+    assert.equal(loadConfig({ ...base, NODE_ENV: 'development', DB_DRIVER: 'file' }).seedOnStart, false);
+  });
+
+  it('follows SEED_ON_START when it is set', () => {
+    assert.equal(loadConfig({ ...base, NODE_ENV: 'development', SEED_ON_START: 'false' }).seedOnStart, false);
+    assert.equal(loadConfig({ ...base, NODE_ENV: 'test', SEED_ON_START: 'true' }).seedOnStart, true);
+  });
+
+  it('does not seed by default outside development', () => {
+    assert.equal(loadConfig({ ...base, NODE_ENV: 'test' }).seedOnStart, false);
+  });
+});
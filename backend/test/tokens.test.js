@@ -0,0 +1,71 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, resetDatabase, USERS } from './helpers.js';
+
+describe('refresh tokens', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => resetDatabase());
+
+  const refresh = (refreshToken) => api.post('/api/auth/refresh', { refreshToken });
+
+  const profile = (token) => api.get('/api/auth/profile', { token });
+
+  it('rotates the refresh token on every use', async () => {
+    const login = await api.login(USERS.buyer);
+
+    const res = await refresh(login.refreshToken);
+
+    assert.equal(res.status, 200);
+    assert.notEqual(res.body.data.refreshToken, login.refreshToken);
+    assert.equal((await profile(res.body.data.token)).status, 200);
+    // The access token issued with the rotated refresh token stops working
+    assert.equal((await profile(login.token)).status, 401);
+  });
+
+  it('revokes the whole family when a rotated token is replayed', async () => {
+    const login = await api.login(USERS.buyer);
+    const rotated = (await refresh(login.refreshToken)).body.data;
+
+    const replay = await refresh(login.refreshToken);
+
+    assert.equal(replay.status, 401);
+    assert.equal((await refresh(rotated.refreshToken)).status, 401);
+    assert.equal((await profile(rotated.token)).status, 401);
+  });
+
+  it('rejects unknown refresh tokens', async () => {
+    const res = await refresh('not-a-token');
+
+    assert.equal(res.status, 401);
+  });
+
+  it('revokes the refresh token and its access token on logout', async () => {
+    const login = await api.login(USERS.buyer);
+
+    const res = await api.post('/api/auth/logout', { refreshToken: login.refreshToken });
+
+    assert.equal(res.status, 200);
+    assert.equal((await refresh(login.refreshToken)).status, 401);
+    assert.equal((await profile(login.token)).status, 401);
+  });
+
+  it('logs out every device', async () => {
+    const first = await api.login(USERS.buyer);
+    const second = await api.login(USERS.buyer);
+    const other = await api.login(USERS.seller);
+
+    const res = await api.post('/api/auth/logout-all', undefined, { token: first.token });
+
+    assert.equal(res.status, 200);
+    assert.equal((await profile(first.token)).status, 401);
+    assert.equal((await refresh(second.refreshToken)).status, 401);
+    assert.equal((await profile(other.token)).status, 200);
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/database.js';
+import { generateTotp, verifyTotp } from '../src/services/totpService.js';
+import { startServer, resetDatabase, USERS, PASSWORD } from './helpers.js';
+
+// RFC 6238 test secret ("12345678901234567890" in base32)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// A code for the next time step: still accepted, but not yet used
+const nextCode = (secret) => generateTotp(secret, Date.now() + 30 * 1000);
+
+describe('TOTP codes', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    assert.equal(generateTotp(RFC_SECRET, 59 * 1000), '287082');
+    assert.equal(generateTotp(RFC_SECRET, 1111111109 * 1000), '081804');
+  });
+
+  it('allows one step of clock drift', () => {
+    const time = 1111111109 * 1000;
+    const code = generateTotp(RFC_SECRET, time);
+
+    assert.equal(verifyTotp(RFC_SECRET, code, { time: time + 30 * 1000 }), Math.floor(time / 30000));
+    assert.equal(verifyTotp(RFC_SECRET, code, { time: time + 90 * 1000 }), null);
+    assert.equal(verifyTotp(RFC_SECRET, 'abcdef', { time }), null);
+  });
+});
+
+describe('two-factor authentication', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => resetDatabase());
+
+  const enable = async (email = USERS.seller) => {
+    const token = await api.tokenFor(email);
+    const setup = await api.post('/api/auth/2fa/setup', undefined, { token });
+    const { secret } = setup.body.data;
+    const enabled = await api.post('/api/auth/2fa/enable', { code: generateTotp(secret) }, { token });
+    assert.equal(enabled.status, 200);
+    return { token, secret, recoveryCodes: enabled.body.data.recoveryCodes };
+  };
+
+  const startLogin = async (email = USERS.seller) => {
+    const res = await api.post('/api/auth/login', { email, password: PASSWORD });
+    assert.equal(res.body.data.twoFactorRequired, true);
+    return res.body.data.challengeToken;
+  };
+
+  const verify = (challengeToken, code) => api.post('/api/auth/2fa/verify', { challengeToken, code });
+
+  it('is only offered to sellers and admins', async () => {
+    const token = await api.tokenFor(USERS.buyer);
+
+    const res = await api.post('/api/auth/2fa/setup', undefined, { token });
+
+    assert.equal(res.status, 403);
+  });
+
+  it('takes effect once a code confirms the secret', async () => {
+    const token = await api.tokenFor(USERS.seller);
+    const { body } = await api.post('/api/auth/2fa/setup', undefined, { token });
+    assert.match(body.data.otpauthUri, /^otpauth:\/\/totp\//);
+
+    const wrong = await api.post('/api/auth/2fa/enable', { code: '000000' }, { token });
+    const enabled = await api.post('/api/auth/2fa/enable', { code: generateTotp(body.data.secret) }, { token });
+
+    assert.equal(wrong.status, 400);
+    assert.equal(enabled.status, 200);
+    assert.equal(enabled.body.data.recoveryCodes.length, 10);
+    assert.equal(db.getUserByEmail(USERS.seller).twoFactorEnabled, true);
+  });
+
+  it('asks for a code after the password and accepts each code once', async () => {
+    const { secret } = await enable();
+    const code = nextCode(secret);
+
+    const challengeToken = await startLogin();
+    const loggedIn = await verify(challengeToken, code);
+    const replayed = await verify(await startLogin(), code);
+
+    assert.equal(loggedIn.status, 200);
+    assert.ok(loggedIn.body.data.token);
+    assert.equal(replayed.status, 401);
+  });
+
+  it('does not accept the login challenge as an access token', async () => {
+    await enable();
+    const challengeToken = await startLogin();
+
+    const res = await api.get('/api/auth/profile', { token: challengeToken });
+
+    assert.equal(res.status, 401);
+  });
+
+  it('accepts each recovery code once', async () => {
+    const { recoveryCodes } = await enable();
+
+    const first = await verify(await startLogin(), recoveryCodes[0].toUpperCase());
+    const again = await verify(await startLogin(), recoveryCodes[0]);
+
+    assert.equal(first.status, 200);
+    assert.equal(again.status, 401);
+  });
+
+  it('needs the password and a code to switch off', async () => {
+    const { token, secret } = await enable();
+
+    const wrongCode = await api.post('/api/auth/2fa/disable', { password: PASSWORD, code: '000000' }, { token });
+    const disabled = await api.post('/api/auth/2fa/disable', { password: PASSWORD, code: nextCode(secret) }, { token });
+
+    assert.equal(wrongCode.status, 400);
+    assert.equal(disabled.status, 200);
+    assert.equal(db.getUserByEmail(USERS.seller).twoFactorEnabled, false);
+    assert.ok((await api.login(USERS.seller)).token);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, resetDatabase, USERS } from './helpers.js';
+
+const fields = (res) => res.body.errors.map(e => e.field).sort();
+
+describe('request validation', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => resetDatabase());
+
+  it('lists every invalid field with a 400', async () => {
+    const res = await api.post('/api/auth/register', { email: 'not-an-email', password: 'short' });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, 'Validation error');
+    assert.deepEqual(fields(res), ['email', 'firstName', 'lastName', 'password']);
+  });
+
+  it('keeps spaces around passwords', async () => {
+    const email = 'spaced-password@example.com';
+    const password = ' spaced pass ';
+    await api.post('/api/auth/register', { email, password, firstName: 'Spaced', lastName: 'Out' });
+
+    const loggedIn = await api.post('/api/auth/login', { email, password });
+    const trimmed = await api.post('/api/auth/login', { email, password: password.trim() });
+    const changed = await api.put('/api/auth/change-password', {
+      currentPassword: password,
+      newPassword: '  another one  '
+    }, { token: loggedIn.body.data.token });
+
+    assert.equal(loggedIn.status, 200);
+    assert.equal(trimmed.status, 401);
+    assert.equal(changed.status, 200);
+    assert.equal((await api.post('/api/auth/login', { email, password: '  another one  ' })).status, 200);
+  });
+
+  it('checks query parameters', async () => {
+    const res = await api.get('/api/products?page=0&limit=1000');
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(fields(res), ['limit', 'page']);
+  });
+
+  it('validates nested order items', async () => {
+    const token = await api.tokenFor(USERS.buyer);
+
+    const res = await api.post('/api/orders', { items: [{ productId: 'prod-1', quantity: 0 }] }, { token });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(fields(res), ['items[0].quantity']);
+  });
+
+  it('rejects a product with a negative price', async () => {
+    const token = await api.tokenFor(USERS.seller);
+
+    const res = await api.post('/api/products', { name: 'Lamp', price: -1, categoryId: 'cat-1' }, { token });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(fields(res), ['price']);
+  });
+
+  it('passes valid requests through to the controller', async () => {
+    const token = await api.tokenFor(USERS.buyer);
+
+    const res = await api.post('/api/cart', { productId: 'prod-1', quantity: '2' }, { token });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.quantity, 2);
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/database.js';
+import { getVariantErrors } from '../src/services/variantService.js';
+import { startServer, resetDatabase, USERS } from './helpers.js';
+
+describe('variant rules', () => {
+  const options = [{ name: 'size', values: ['S', 'M'] }];
+
+  it('needs every variant to pick a listed value of each option, once', () => {
+    assert.deepEqual(getVariantErrors(options, [{ options: { size: 'S' } }, { options: { size: 'M' } }]), []);
+    assert.deepEqual(getVariantErrors(options, [{ options: { size: 'S' } }, { options: { size: 'S' } }]), [
+      'Variant 2 repeats the options of another variant'
+    ]);
+    assert.deepEqual(getVariantErrors(options, [{ options: { size: 'XL', fit: 'Slim' } }]), [
+      'Variant 1 uses unknown options: fit',
+      'Variant 1 needs a size of S, M'
+    ]);
+    assert.deepEqual(getVariantErrors([], [{ options: {} }]), ['Variants need options to choose between them']);
+  });
+});
+
+describe('product variants', () => {
+  let api;
+  let buyer;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(async () => {
+    resetDatabase();
+    buyer = await api.tokenFor(USERS.buyer);
+  });
+
+  // prod-3 comes in sizes 8-11, White/Black at the product price (15 each)
+  // and Triple Black at 124.99 (10 each)
+  const addToCart = (body) => api.post('/api/cart', { productId: 'prod-3', quantity: 1, ...body }, { token: buyer });
+
+  const variantStock = (variantId) => db.getProductById('prod-3').variants.find(v => v.id === variantId).stock;
+
+  it('needs a variant for products that have them', async () => {
+    const res = await addToCart({});
+
+    assert.equal(res.status, 400);
+    assert.match(res.body.message, /Choose size and color/);
+  });
+
+  it('prices and describes cart lines by variant', async () => {
+    await addToCart({ variantId: 'var-3-8-tb', quantity: 2 });
+    await addToCart({ variantId: 'var-3-8-wb' });
+
+    const { body } = await api.get('/api/cart', { token: buyer });
+
+    assert.equal(body.data.itemCount, 2);
+    assert.deepEqual(body.data.items.map(i => i.variant.name), ['8 / Triple Black', '8 / White/Black']);
+    assert.deepEqual(body.data.items.map(i => i.product.price), [124.99, 119.99]);
+    assert.equal(body.data.subtotal, 369.97);
+  });
+
+  it('checks stock per variant', async () => {
+    const tooMany = await addToCart({ variantId: 'var-3-8-tb', quantity: 11 });
+    const unknown = await addToCart({ variantId: 'var-3-12-tb' });
+
+    assert.equal(tooMany.status, 400);
+    assert.match(tooMany.body.message, /Insufficient stock for Nike Air Max 90 \(8 \/ Triple Black\)/);
+    assert.equal(unknown.status, 404);
+  });
+
+  it('takes order stock from the variant ordered', async () => {
+    const res = await api.post('/api/orders', {
+      items: [{ productId: 'prod-3', variantId: 'var-3-9-tb', quantity: 2 }]
+    }, { token: buyer });
+
+    assert.equal(res.status, 201);
+    const [line] = res.body.data.items;
+    assert.equal(line.variantId, 'var-3-9-tb');
+    assert.equal(line.sku, 'NIKE-AM90-001-9-TB');
+    assert.equal(line.price, 124.99);
+    assert.equal(variantStock('var-3-9-tb'), 8);
+    assert.equal(variantStock('var-3-9-wb'), 15);
+    assert.equal(db.getProductById('prod-3').stock, 98);
+  });
+
+  it('lets sellers define variants, filling in SKUs and total stock', async () => {
+    const token = await api.tokenFor(USERS.otherSeller);
+
+    const res = await api.post('/api/products', {
+      name: 'Trail Socks',
+      description: 'Merino socks',
+      price: 14,
+      categoryId: 'cat-2',
+      sku: 'SOCK',
+      options: [{ name: 'size', values: ['S', 'L'] }],
+      variants: [
+        { options: { size: 'S' }, stock: 4 },
+        { options: { size: 'L' }, stock: 6, price: 16 }
+      ]
+    }, { token });
+
+    assert.equal(res.status, 201);
+    assert.deepEqual(res.body.data.variants.map(v => v.sku), ['SOCK-S', 'SOCK-L']);
+    assert.equal(res.body.data.stock, 10);
+  });
+
+  it('keeps the stock of variants edited without it', async () => {
+    const token = await api.tokenFor(USERS.otherSeller);
+    const { variants } = db.getProductById('prod-3');
+    const movementCount = db.getInventoryMovements().length;
+
+    const res = await api.put('/api/products/prod-3', {
+      variants: variants.map(({ id, options }) => ({ id, options, ...(id === 'var-3-8-wb' && { price: 109.99 }) }))
+    }, { token });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.variants.map(v => v.stock), variants.map(v => v.stock));
+    assert.equal(res.body.data.stock, 100);
+    assert.equal(variantStock('var-3-8-wb'), 15);
+    assert.deepEqual(res.body.data.variants.map(v => v.price).slice(0, 5), [109.99, null, null, null, 124.99]);
+    assert.equal(db.getInventoryMovements().length, movementCount);
+  });
+
+  it('keeps product-level stock off products with variants', async () => {
+    const token = await api.tokenFor(USERS.otherSeller);
+
+    const res = await api.put('/api/products/prod-3', { stock: 50 }, { token });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors[0].message, 'Stock is set per variant for products with variants');
+  });
+});
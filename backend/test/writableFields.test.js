@@ -0,0 +1,84 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/database.js';
+import { startServer, resetDatabase, USERS } from './helpers.js';
+
+describe('writable fields', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => resetDatabase());
+
+  const errorFields = (res) => res.body.errors.map(e => e.field).sort();
+
+  it('lets sellers edit their listing and follows the name with the slug', async () => {
+    const token = await api.tokenFor(USERS.seller);
+
+    const res = await api.put('/api/products/prod-1', { name: 'Studio Headphones', price: 89.99 }, { token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.slug, 'studio-headphones');
+    assert.equal(res.body.data.price, 89.99);
+  });
+
+  it('rejects sellers setting ratings, ownership or admin-only fields', async () => {
+    const token = await api.tokenFor(USERS.seller);
+    const before = db.getProductById('prod-1');
+
+    const res = await api.put('/api/products/prod-1', {
+      price: 1,
+      rating: 5,
+      sellerId: 'user-3',
+      featured: true
+    }, { token });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorFields(res), ['featured', 'rating', 'sellerId']);
+    assert.match(res.body.errors.find(e => e.field === 'featured').message, /permission/);
+    assert.match(res.body.errors.find(e => e.field === 'rating').message, /cannot be set/);
+    assert.deepEqual(db.getProductById('prod-1'), before);
+  });
+
+  it('lets admins feature and hide products', async () => {
+    const token = await api.tokenFor(USERS.admin);
+
+    const res = await api.put('/api/products/prod-1', { featured: true, status: 'inactive' }, { token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.featured, true);
+    assert.equal(res.body.data.status, 'inactive');
+  });
+
+  it('does not let sellers create featured products', async () => {
+    const token = await api.tokenFor(USERS.seller);
+
+    const res = await api.post('/api/products', {
+      name: 'Desk Lamp',
+      description: 'A lamp for the desk',
+      price: 24.5,
+      categoryId: 'cat-3',
+      featured: true
+    }, { token });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorFields(res), ['featured']);
+  });
+
+  it('keeps category ids and slugs out of reach', async () => {
+    const token = await api.tokenFor(USERS.admin);
+
+    const refused = await api.put('/api/categories/cat-4', { id: 'cat-1', slug: 'novels' }, { token });
+    const renamed = await api.put('/api/categories/cat-4', { name: 'Books and Comics' }, { token });
+
+    assert.equal(refused.status, 400);
+    assert.deepEqual(errorFields(refused), ['id', 'slug']);
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.data.id, 'cat-4');
+    assert.equal(renamed.body.data.slug, 'books-and-comics');
+  });
+});
@@ -7,6 +7,7 @@ import Login from './pages/Login';
 import Products from './pages/Products';
 import ProductDetail from './pages/ProductDetail';
 import Cart from './pages/Cart';
+import Security from './pages/Security';
 
 function App() {
   return (
@@ -28,6 +29,14 @@ function App() {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/security"
+                element={
+                  <ProtectedRoute>
+                    <Security />
+                  </ProtectedRoute>
+                }
+              />
               <Route path="*" element={<Navigate to="/products" replace />} />
             </Routes>
           </div>
@@ -31,6 +31,10 @@ const Navbar = () => {
                 )}
               </Link>
 
+              <Link to="/security" className="navbar-link">
+                Security
+              </Link>
+
               <span className="navbar-link" style={{ cursor: 'default' }}>
                 Welcome, {user?.firstName || user?.email}
               </span>
@@ -5,7 +5,13 @@ const ProductCard = ({ product, onClick }) => {
   const { addToCart } = useCart();
   const [adding, setAdding] = useState(false);
 
+  // Products with variants are added from their detail page
+  const hasVariants = product.variants?.length > 0;
+
   const handleAddToCart = async (e) => {
+    if (hasVariants) {
+      return; // Let the card click open the product
+    }
     e.stopPropagation(); // Prevent card click when clicking add to cart
     setAdding(true);
 
@@ -47,7 +53,7 @@ const ProductCard = ({ product, onClick }) => {
           disabled={adding || product.stock === 0}
           style={{ width: '100%' }}
         >
-          {adding ? 'Adding...' : product.stock === 0 ? 'Out of Stock' : 'Add to Cart'}
+          {adding ? 'Adding...' : product.stock === 0 ? 'Out of Stock' : hasVariants ? 'Choose Options' : 'Add to Cart'}
         </button>
       </div>
     </div>
@@ -0,0 +1,152 @@
+const formatPriceRange = ({ min, max }) => (max === null ? `$${min}+` : `$${min} - $${max}`);
+
+const formatSpecKey = (key) => key.charAt(0).toUpperCase() + key.slice(1);
+
+// Categories in tree order, each with its depth for indentation
+const orderCategories = (categories) => {
+  const ids = new Set(categories.map((c) => c.id));
+  const ordered = [];
+  const visit = (parentId, depth) => {
+    categories
+      .filter((c) => c.parentId === parentId || (depth === 0 && c.parentId && !ids.has(c.parentId)))
+      .forEach((c) => {
+        ordered.push({ ...c, depth });
+        visit(c.id, depth + 1);
+      });
+  };
+  visit(null, 0);
+  return ordered;
+};
+
+const toggle = (list, value) =>
+  list.includes(value) ? list.filter((v) => v !== value) : [...list, value];
+
+const ProductFilters = ({ facets, filters, onChange, onClear }) => {
+  if (!facets) {
+    return null;
+  }
+
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  const toggleSpec = (key, value) => {
+    const values = toggle(filters.spec[key] || [], value);
+    const spec = { ...filters.spec, [key]: values };
+    if (values.length === 0) {
+      delete spec[key];
+    }
+    update({ spec });
+  };
+
+  const isPriceSelected = (range) =>
+    filters.price?.min === range.min && filters.price?.max === range.max;
+
+  return (
+    <aside className="filters">
+      <div className="filters-header">
+        <h2>Filters</h2>
+        <button type="button" className="btn-link" onClick={onClear}>
+          Clear all
+        </button>
+      </div>
+
+      {facets.categories.length > 0 && (
+        <div className="filter-group">
+          <h3>Category</h3>
+          {orderCategories(facets.categories).map((category) => (
+            <label key={category.id} className="filter-option" style={{ paddingLeft: `${category.depth}rem` }}>
+              <input
+                type="radio"
+                name="category"
+                checked={filters.category === category.id}
+                onChange={() => update({ category: category.id })}
+              />
+              {category.name} <span className="filter-count">({category.count})</span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      {facets.priceRanges.length > 0 && (
+        <div className="filter-group">
+          <h3>Price</h3>
+          {facets.priceRanges.map((range) => (
+            <label key={range.min} className="filter-option">
+              <input
+                type="checkbox"
+                checked={isPriceSelected(range)}
+                onChange={() => update({ price: isPriceSelected(range) ? null : { min: range.min, max: range.max } })}
+              />
+              {formatPriceRange(range)} <span className="filter-count">({range.count})</span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div className="filter-group">
+        <h3>Rating</h3>
+        {facets.ratings.map((band) => (
+          <label key={band.minRating} className="filter-option">
+            <input
+              type="radio"
+              name="rating"
+              checked={filters.minRating === band.minRating}
+              onChange={() => update({ minRating: band.minRating })}
+            />
+            {band.minRating}★ & up <span className="filter-count">({band.count})</span>
+          </label>
+        ))}
+      </div>
+
+      {facets.sellers.length > 0 && (
+        <div className="filter-group">
+          <h3>Seller</h3>
+          {facets.sellers.map((seller) => (
+            <label key={seller.id} className="filter-option">
+              <input
+                type="radio"
+                name="seller"
+                checked={filters.seller === seller.id}
+                onChange={() => update({ seller: seller.id })}
+              />
+              {seller.name || 'Unknown seller'} <span className="filter-count">({seller.count})</span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      {facets.tags.length > 0 && (
+        <div className="filter-group">
+          <h3>Tags</h3>
+          {facets.tags.map((tag) => (
+            <label key={tag.value} className="filter-option">
+              <input
+                type="checkbox"
+                checked={filters.tags.includes(tag.value)}
+                onChange={() => update({ tags: toggle(filters.tags, tag.value) })}
+              />
+              {tag.value} <span className="filter-count">({tag.count})</span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      {Object.entries(facets.specifications).map(([key, values]) => (
+        <div key={key} className="filter-group">
+          <h3>{formatSpecKey(key)}</h3>
+          {values.map((option) => (
+            <label key={option.value} className="filter-option">
+              <input
+                type="checkbox"
+                checked={(filters.spec[key] || []).includes(option.value)}
+                onChange={() => toggleSpec(key, option.value)}
+              />
+              {option.value} <span className="filter-count">({option.count})</span>
+            </label>
+          ))}
+        </div>
+      ))}
+    </aside>
+  );
+};
+
+export default ProductFilters;
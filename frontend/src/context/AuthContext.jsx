@@ -18,21 +18,35 @@ export const AuthProvider = ({ children }) => {
       } catch (error) {
         console.error('Error parsing user data:', error);
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         localStorage.removeItem('user');
       }
     }
     setLoading(false);
   }, []);
 
+  const startSession = ({ token, refreshToken, user }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('user', JSON.stringify(user));
+    setUser(user);
+  };
+
   const login = async (email, password) => {
     try {
       const response = await authAPI.login(email, password);
 
+      // Accounts with two-factor authentication need a code to finish logging in
+      if (response.success && response.data?.twoFactorRequired) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken
+        };
+      }
+
       if (response.success && response.data) {
-        const { token, user } = response.data;
-        localStorage.setItem('token', token);
-        localStorage.setItem('user', JSON.stringify(user));
-        setUser(user);
+        startSession(response.data);
         return { success: true };
       }
 
@@ -46,8 +60,38 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await authAPI.verifyTwoFactor(challengeToken, code);
+
+      if (response.success && response.data) {
+        startSession(response.data);
+        return { success: true };
+      }
+
+      return { success: false, message: response.message || 'Verification failed' };
+    } catch (error) {
+      console.error('Two-factor verification error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Verification failed. Please try again.'
+      };
+    }
+  };
+
+  const logout = async () => {
+    // Revoke the refresh token so it can't be used after logging out
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      try {
+        await authAPI.logout(refreshToken);
+      } catch (error) {
+        console.error('Logout error:', error);
+      }
+    }
+
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     setUser(null);
   };
@@ -57,10 +101,7 @@ export const AuthProvider = ({ children }) => {
       const response = await authAPI.register(userData);
 
       if (response.success && response.data) {
-        const { token, user } = response.data;
-        localStorage.setItem('token', token);
-        localStorage.setItem('user', JSON.stringify(user));
-        setUser(user);
+        startSession(response.data);
         return { success: true };
       }
 
@@ -77,6 +118,7 @@ export const AuthProvider = ({ children }) => {
   const value = {
     user,
     login,
+    verifyTwoFactor,
     logout,
     register,
     isAuthenticated: !!user,
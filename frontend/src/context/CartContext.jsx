@@ -4,6 +4,10 @@ import { useAuth } from './AuthContext';
 
 const CartContext = createContext(null);
 
+// A product with variants has one cart line per variant
+const isSameLine = (item, productId, variantId) =>
+  item.product?.id === productId && (item.variant?.id || null) === (variantId || null);
+
 export const CartProvider = ({ children }) => {
   const [cart, setCart] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -45,21 +49,22 @@ export const CartProvider = ({ children }) => {
     }
   };
 
-  const addToCart = async (product, quantity = 1) => {
+  const addToCart = async (product, quantity = 1, variant = null) => {
     try {
       // Check if product already in cart
-      const existingItem = cart.find(item => item.product?.id === product.id);
+      const existingItem = cart.find(item => isSameLine(item, product.id, variant?.id));
 
       if (existingItem) {
         // Update quantity
         const newQuantity = existingItem.quantity + quantity;
-        await updateQuantity(product.id, newQuantity);
+        await updateQuantity(product.id, newQuantity, variant?.id);
       } else {
         // Add new item
         const newItem = {
           product,
+          variant,
           quantity,
-          price: product.price,
+          price: variant?.price ?? product.price,
         };
 
         setCart(prev => [...prev, newItem]);
@@ -67,7 +72,7 @@ export const CartProvider = ({ children }) => {
         // Sync with backend if authenticated
         if (isAuthenticated) {
           try {
-            await cartAPI.add(product.id, quantity);
+            await cartAPI.add(product.id, quantity, variant?.id);
           } catch (error) {
             console.error('Error adding to backend cart:', error);
           }
@@ -81,16 +86,16 @@ export const CartProvider = ({ children }) => {
     }
   };
 
-  const updateQuantity = async (productId, quantity) => {
+  const updateQuantity = async (productId, quantity, variantId = null) => {
     try {
       if (quantity <= 0) {
-        await removeFromCart(productId);
+        await removeFromCart(productId, variantId);
         return;
       }
 
       setCart(prev =>
         prev.map(item =>
-          item.product?.id === productId
+          isSameLine(item, productId, variantId)
             ? { ...item, quantity }
             : item
         )
@@ -99,7 +104,7 @@ export const CartProvider = ({ children }) => {
       // Sync with backend if authenticated
       if (isAuthenticated) {
         try {
-          await cartAPI.update(productId, quantity);
+          await cartAPI.update(productId, quantity, variantId);
         } catch (error) {
           console.error('Error updating backend cart:', error);
         }
@@ -112,14 +117,14 @@ export const CartProvider = ({ children }) => {
     }
   };
 
-  const removeFromCart = async (productId) => {
+  const removeFromCart = async (productId, variantId = null) => {
     try {
-      setCart(prev => prev.filter(item => item.product?.id !== productId));
+      setCart(prev => prev.filter(item => !isSameLine(item, productId, variantId)));
 
       // Sync with backend if authenticated
       if (isAuthenticated) {
         try {
-          await cartAPI.remove(productId);
+          await cartAPI.remove(productId, variantId);
         } catch (error) {
           console.error('Error removing from backend cart:', error);
         }
@@ -154,7 +159,7 @@ export const CartProvider = ({ children }) => {
 
   const getCartTotal = () => {
     return cart.reduce((total, item) => {
-      const price = item.product?.price || item.price || 0;
+      const price = item.price ?? item.product?.price ?? 0;
       return total + (price * item.quantity);
     }, 0);
   };
@@ -1,16 +1,39 @@
+import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useCart } from '../context/CartContext';
+import { cartAPI } from '../services/api';
+
+// The server sends the variant's name; lines added offline only have its options
+const variantLabel = (variant) => variant.name || Object.values(variant.options || {}).join(' / ');
 
 const Cart = () => {
   const { cart, updateQuantity, removeFromCart, clearCart, getCartTotal, getCartCount } = useCart();
+  const [quote, setQuote] = useState(null);
+
+  // Tax and shipping come from the same server quote used when ordering
+  useEffect(() => {
+    fetchQuote();
+  }, [cart]);
+
+  const fetchQuote = async () => {
+    try {
+      const response = await cartAPI.getQuote();
+      if (response.success && response.data) {
+        setQuote(response.data);
+      }
+    } catch (error) {
+      console.error('Error fetching cart quote:', error);
+      setQuote(null);
+    }
+  };
 
-  const handleQuantityChange = (productId, newQuantity) => {
+  const handleQuantityChange = (item, newQuantity) => {
     if (newQuantity < 1) return;
-    updateQuantity(productId, newQuantity);
+    updateQuantity(item.product?.id, newQuantity, item.variant?.id);
   };
 
-  const handleRemove = (productId) => {
-    removeFromCart(productId);
+  const handleRemove = (item) => {
+    removeFromCart(item.product?.id, item.variant?.id);
   };
 
   const handleClearCart = () => {
@@ -43,8 +66,9 @@ const Cart = () => {
       <div className="cart-items">
         {cart.map((item) => {
           const product = item.product || {};
+          const price = item.price ?? product.price;
           return (
-            <div key={product.id} className="cart-item">
+            <div key={`${product.id}:${item.variant?.id || ''}`} className="cart-item">
               <img
                 src={product.imageUrl || 'https://via.placeholder.com/100'}
                 alt={product.name}
@@ -53,23 +77,24 @@ const Cart = () => {
 
               <div className="cart-item-info">
                 <h3>{product.name}</h3>
-                <p className="cart-item-price">${product.price?.toFixed(2)}</p>
+                {item.variant && <p className="cart-item-variant">{variantLabel(item.variant)}</p>}
+                <p className="cart-item-price">${price?.toFixed(2)}</p>
                 <p style={{ fontSize: '0.9rem', color: '#666' }}>
-                  Subtotal: ${(product.price * item.quantity).toFixed(2)}
+                  Subtotal: ${(price * item.quantity).toFixed(2)}
                 </p>
               </div>
 
               <div className="cart-item-actions">
                 <div className="quantity-controls">
                   <button
-                    onClick={() => handleQuantityChange(product.id, item.quantity - 1)}
+                    onClick={() => handleQuantityChange(item, item.quantity - 1)}
                     className="quantity-btn"
                   >
                     -
                   </button>
                   <span style={{ padding: '0 1rem' }}>{item.quantity}</span>
                   <button
-                    onClick={() => handleQuantityChange(product.id, item.quantity + 1)}
+                    onClick={() => handleQuantityChange(item, item.quantity + 1)}
                     className="quantity-btn"
                   >
                     +
@@ -77,7 +102,7 @@ const Cart = () => {
                 </div>
 
                 <button
-                  onClick={() => handleRemove(product.id)}
+                  onClick={() => handleRemove(item)}
                   className="btn btn-danger"
                   style={{ padding: '0.5rem 1rem', fontSize: '0.9rem' }}
                 >
@@ -99,13 +124,19 @@ const Cart = () => {
           </div>
           <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
             <span>Shipping:</span>
-            <span>Free</span>
+            <span>
+              {!quote ? 'Calculated at checkout' : quote.shipping === 0 ? 'Free' : `$${quote.shipping.toFixed(2)}`}
+            </span>
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
+            <span>Tax:</span>
+            <span>{quote ? `$${quote.tax.toFixed(2)}` : 'Calculated at checkout'}</span>
           </div>
         </div>
 
         <div className="cart-total">
           <span>Total:</span>
-          <span>${getCartTotal().toFixed(2)}</span>
+          <span>${(quote ? quote.total : getCartTotal()).toFixed(2)}</span>
         </div>
 
         <button className="btn btn-primary btn-full" style={{ marginBottom: '0.5rem' }}>
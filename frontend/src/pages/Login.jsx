@@ -7,8 +7,11 @@ const Login = () => {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // Set when the password was accepted but a two-factor code is still needed
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
 
-  const { login } = useAuth();
+  const { login, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
 
   const handleSubmit = async (e) => {
@@ -21,6 +24,8 @@ const Login = () => {
 
       if (result.success) {
         navigate('/products');
+      } else if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
       } else {
         setError(result.message || 'Login failed. Please try again.');
       }
@@ -31,6 +36,83 @@ const Login = () => {
     }
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const result = await verifyTwoFactor(challengeToken, code.trim());
+
+      if (result.success) {
+        navigate('/products');
+      } else {
+        setError(result.message || 'Verification failed. Please try again.');
+      }
+    } catch (err) {
+      setError('An error occurred. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBackToLogin = () => {
+    setChallengeToken(null);
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="form-container">
+        <h2 className="form-title">Two-Factor Authentication</h2>
+
+        {error && (
+          <div className="alert alert-error">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleCodeSubmit}>
+          <div className="form-group">
+            <label htmlFor="code" className="form-label">
+              Authentication code
+            </label>
+            <input
+              type="text"
+              id="code"
+              className="form-input"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+              autoFocus
+              autoComplete="one-time-code"
+              placeholder="6-digit code or recovery code"
+            />
+          </div>
+
+          <button
+            type="submit"
+            className="btn btn-primary btn-full"
+            disabled={loading}
+          >
+            {loading ? 'Verifying...' : 'Verify'}
+          </button>
+        </form>
+
+        <button
+          type="button"
+          className="btn btn-secondary btn-full"
+          style={{ marginTop: '0.5rem' }}
+          onClick={handleBackToLogin}
+        >
+          Back to login
+        </button>
+      </div>
+    );
+  }
+
   return (
     <div className="form-container">
       <h2 className="form-title">Login to Marketplace</h2>
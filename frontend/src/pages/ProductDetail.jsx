@@ -3,6 +3,19 @@ import { useParams, Link } from 'react-router-dom';
 import { productsAPI } from '../services/api';
 import { useCart } from '../context/CartContext';
 
+// The variant matching every chosen option, if all options are chosen
+const findVariant = (product, selected) =>
+  product.variants?.find((variant) =>
+    product.options.every((option) => variant.options[option.name] === selected[option.name])
+  ) || null;
+
+// Whether any variant with this value (and the other chosen options) is in stock
+const isValueAvailable = (product, selected, name, value) =>
+  product.variants.some((variant) =>
+    variant.stock > 0 &&
+    Object.entries({ ...selected, [name]: value }).every(([key, v]) => variant.options[key] === v)
+  );
+
 const ProductDetail = () => {
   const { id } = useParams();
   const [product, setProduct] = useState(null);
@@ -11,6 +24,7 @@ const ProductDetail = () => {
   const [quantity, setQuantity] = useState(1);
   const [addingToCart, setAddingToCart] = useState(false);
   const [addedMessage, setAddedMessage] = useState('');
+  const [selectedOptions, setSelectedOptions] = useState({});
 
   const { addToCart } = useCart();
 
@@ -22,6 +36,7 @@ const ProductDetail = () => {
     try {
       setLoading(true);
       setError('');
+      setSelectedOptions({});
       const response = await productsAPI.getById(id);
 
       if (response.success && response.data) {
@@ -37,14 +52,20 @@ const ProductDetail = () => {
     }
   };
 
+  const hasVariants = product?.variants?.length > 0;
+  const variant = hasVariants ? findVariant(product, selectedOptions) : null;
+  const price = variant?.price ?? product?.price;
+  const stock = variant ? variant.stock : product?.stock;
+  const image = variant?.images?.[0] || product?.imageUrl;
+
   const handleAddToCart = async () => {
-    if (!product) return;
+    if (!product || (hasVariants && !variant)) return;
 
     setAddingToCart(true);
     setAddedMessage('');
 
     try {
-      const result = await addToCart(product, quantity);
+      const result = await addToCart(product, quantity, variant);
 
       if (result.success) {
         setAddedMessage('Added to cart successfully!');
@@ -88,10 +109,18 @@ const ProductDetail = () => {
           ← Back to Products
         </Link>
 
+        {product.breadcrumbs?.length > 0 && (
+          <nav className="breadcrumbs">
+            {product.breadcrumbs.map((crumb) => (
+              <span key={crumb.id} className="breadcrumb">{crumb.name}</span>
+            ))}
+          </nav>
+        )}
+
         <div className="product-detail-grid">
           <div>
             <img
-              src={product.imageUrl || 'https://via.placeholder.com/400'}
+              src={image || 'https://via.placeholder.com/400'}
               alt={product.name}
               className="product-detail-image"
             />
@@ -101,7 +130,7 @@ const ProductDetail = () => {
             <h1>{product.name}</h1>
 
             <div className="product-detail-price">
-              ${product.price?.toFixed(2)}
+              ${price?.toFixed(2)}
             </div>
 
             <p className="product-detail-description">
@@ -109,8 +138,8 @@ const ProductDetail = () => {
             </p>
 
             <div className="product-meta">
-              <p><strong>SKU:</strong> {product.sku}</p>
-              <p><strong>Stock:</strong> {product.stock} units available</p>
+              <p><strong>SKU:</strong> {variant?.sku || product.sku}</p>
+              <p><strong>Stock:</strong> {stock} units available</p>
               {product.category && (
                 <p><strong>Category:</strong> {product.category.name}</p>
               )}
@@ -125,6 +154,29 @@ const ProductDetail = () => {
               </div>
             )}
 
+            {hasVariants && (
+              <div className="variant-options">
+                {product.options.map((option) => (
+                  <div key={option.name} className="form-group">
+                    <span className="form-label">{option.name}</span>
+                    <div className="variant-values">
+                      {option.values.map((value) => (
+                        <button
+                          key={value}
+                          type="button"
+                          className={`variant-value${selectedOptions[option.name] === value ? ' selected' : ''}`}
+                          disabled={!isValueAvailable(product, selectedOptions, option.name, value)}
+                          onClick={() => setSelectedOptions({ ...selectedOptions, [option.name]: value })}
+                        >
+                          {value}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
             <div style={{ marginTop: '2rem' }}>
               <div className="form-group">
                 <label htmlFor="quantity" className="form-label">
@@ -137,7 +189,7 @@ const ProductDetail = () => {
                   value={quantity}
                   onChange={(e) => setQuantity(Math.max(1, parseInt(e.target.value) || 1))}
                   min="1"
-                  max={product.stock}
+                  max={stock}
                   style={{ width: '100px' }}
                 />
               </div>
@@ -145,10 +197,16 @@ const ProductDetail = () => {
               <button
                 onClick={handleAddToCart}
                 className="btn btn-primary"
-                disabled={addingToCart || product.stock === 0}
+                disabled={addingToCart || stock === 0 || (hasVariants && !variant)}
                 style={{ marginTop: '1rem' }}
               >
-                {addingToCart ? 'Adding...' : product.stock === 0 ? 'Out of Stock' : 'Add to Cart'}
+                {addingToCart
+                  ? 'Adding...'
+                  : stock === 0
+                    ? 'Out of Stock'
+                    : hasVariants && !variant
+                      ? `Choose ${product.options.map((o) => o.name).join(' and ')}`
+                      : 'Add to Cart'}
               </button>
             </div>
           </div>
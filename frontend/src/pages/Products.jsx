@@ -2,25 +2,49 @@ import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { productsAPI } from '../services/api';
 import ProductCard from '../components/ProductCard';
+import ProductFilters from '../components/ProductFilters';
+
+const emptyFilters = {
+  category: '',
+  seller: '',
+  tags: [],
+  price: null,
+  minRating: null,
+  spec: {},
+};
+
+// Query params for GET /products; empty filters are left out
+const toParams = (filters) => ({
+  category: filters.category || undefined,
+  seller: filters.seller || undefined,
+  tags: filters.tags.length > 0 ? filters.tags.join(',') : undefined,
+  minPrice: filters.price?.min || undefined,
+  maxPrice: filters.price?.max ?? undefined,
+  minRating: filters.minRating ?? undefined,
+  spec: Object.keys(filters.spec).length > 0 ? filters.spec : undefined,
+});
 
 const Products = () => {
   const [products, setProducts] = useState([]);
+  const [facets, setFacets] = useState(null);
+  const [filters, setFilters] = useState(emptyFilters);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const navigate = useNavigate();
 
   useEffect(() => {
     fetchProducts();
-  }, []);
+  }, [filters]);
 
   const fetchProducts = async () => {
     try {
       setLoading(true);
       setError('');
-      const response = await productsAPI.getAll();
+      const response = await productsAPI.getAll(toParams(filters));
 
       if (response.success && response.data) {
         setProducts(response.data.products || []);
+        setFacets(response.data.facets || null);
       } else {
         setError('Failed to load products');
       }
@@ -36,7 +60,8 @@ const Products = () => {
     navigate(`/products/${productId}`);
   };
 
-  if (loading) {
+  // Keep the sidebar while a filtered list loads
+  if (loading && !facets) {
     return (
       <div className="container">
         <div className="loading">Loading products...</div>
@@ -61,19 +86,30 @@ const Products = () => {
     <div className="container products-page">
       <h1 className="page-title">Products</h1>
 
-      {products.length === 0 ? (
-        <div className="loading">No products available</div>
-      ) : (
-        <div className="products-grid">
-          {products.map((product) => (
-            <ProductCard
-              key={product.id}
-              product={product}
-              onClick={() => handleProductClick(product.id)}
-            />
-          ))}
-        </div>
-      )}
+      <div className="products-layout">
+        <ProductFilters
+          facets={facets}
+          filters={filters}
+          onChange={setFilters}
+          onClear={() => setFilters(emptyFilters)}
+        />
+
+        {loading ? (
+          <div className="loading">Loading products...</div>
+        ) : products.length === 0 ? (
+          <div className="loading">No products match these filters</div>
+        ) : (
+          <div className="products-grid">
+            {products.map((product) => (
+              <ProductCard
+                key={product.id}
+                product={product}
+                onClick={() => handleProductClick(product.id)}
+              />
+            ))}
+          </div>
+        )}
+      </div>
     </div>
   );
 };
@@ -0,0 +1,118 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+
+const formatDate = (value) => new Date(value).toLocaleString();
+
+const Security = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await authAPI.getSessions();
+      if (response.success) {
+        setSessions(response.data);
+      }
+    } catch (err) {
+      console.error('Error fetching sessions:', err);
+      setError('Could not load your sessions.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    setError('');
+    setMessage('');
+
+    // Revoking this device's session is the same as logging out. Revoking it
+    // first would leave logout with a dead refresh token to send.
+    if (session.current) {
+      await logout();
+      navigate('/login');
+      return;
+    }
+
+    try {
+      await authAPI.revokeSession(session.id);
+      setMessage(`Signed out of ${session.deviceLabel}.`);
+      fetchSessions();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not revoke the session.');
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out of all other devices?')) return;
+
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await authAPI.revokeOtherSessions();
+      setMessage(response.message);
+      fetchSessions();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not sign out of other sessions.');
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading sessions...</div>;
+  }
+
+  return (
+    <div className="container security-page">
+      <h1 className="page-title">Security</h1>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {message && <div className="alert alert-success">{message}</div>}
+
+      <div className="session-list">
+        <div className="session-list-header">
+          <h2>Active sessions</h2>
+          {sessions.length > 1 && (
+            <button onClick={handleRevokeOthers} className="btn btn-secondary">
+              Sign out other devices
+            </button>
+          )}
+        </div>
+
+        {sessions.map((session) => (
+          <div key={session.id} className="session-item">
+            <div>
+              <h3>
+                {session.deviceLabel}
+                {session.current && <span className="session-current">This device</span>}
+              </h3>
+              <p className="session-meta">
+                IP {session.ip} · Last active {formatDate(session.lastSeenAt)} · Signed in {formatDate(session.createdAt)}
+              </p>
+            </div>
+
+            <button
+              onClick={() => handleRevoke(session)}
+              className="btn btn-danger"
+              style={{ padding: '0.5rem 1rem', fontSize: '0.9rem' }}
+            >
+              {session.current ? 'Log out' : 'Revoke'}
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Security;
@@ -1,6 +1,7 @@
 import axios from 'axios';
 
-const API_URL = 'http://localhost:3000/api';
+// Set VITE_API_URL (e.g. in .env.local) to point the app at another API
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
 
 // Create axios instance
 const api = axios.create({
@@ -24,14 +25,65 @@ api.interceptors.request.use(
   }
 );
 
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+// Share one refresh request between all calls that fail at the same time
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = axios
+      .post(`${API_URL}/auth/refresh`, { refreshToken })
+      .then((response) => {
+        const { token, refreshToken: newRefreshToken } = response.data.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', newRefreshToken);
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Auth endpoints called without an access token. A 401 from them means
+// bad credentials, not an expired session, so they never trigger a refresh.
+const UNAUTHENTICATED_AUTH_PATHS = [
+  '/auth/login',
+  '/auth/register',
+  '/auth/refresh',
+  '/auth/2fa/verify',
+  '/auth/forgot-password',
+  '/auth/reset-password',
+];
+
 // Handle response errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
+  async (error) => {
+    const originalRequest = error.config;
+    const isUnauthenticatedRequest = UNAUTHENTICATED_AUTH_PATHS.includes(originalRequest?.url);
+
+    if (error.response?.status === 401 && !isUnauthenticatedRequest) {
+      // Access token expired or was rotated: try once with a refreshed token
+      if (!originalRequest._retry && localStorage.getItem('refreshToken')) {
+        originalRequest._retry = true;
+        try {
+          const token = await refreshAccessToken();
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+          return api(originalRequest);
+        } catch (refreshError) {
+          console.error('Error refreshing token:', refreshError);
+        }
+      }
+
+      clearSession();
       window.location.href = '/login';
     }
     return Promise.reject(error);
@@ -50,6 +102,16 @@ export const authAPI = {
     return response.data;
   },
 
+  logout: async (refreshToken) => {
+    const response = await api.post('/auth/logout', { refreshToken });
+    return response.data;
+  },
+
+  logoutAll: async () => {
+    const response = await api.post('/auth/logout-all');
+    return response.data;
+  },
+
   getProfile: async () => {
     const response = await api.get('/auth/profile');
     return response.data;
@@ -59,6 +121,71 @@ export const authAPI = {
     const response = await api.put('/auth/profile', userData);
     return response.data;
   },
+
+  verifyEmail: async (token) => {
+    const response = await api.post('/auth/verify-email', { token });
+    return response.data;
+  },
+
+  resendVerification: async () => {
+    const response = await api.post('/auth/resend-verification');
+    return response.data;
+  },
+
+  forgotPassword: async (email) => {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  resetPassword: async (token, password) => {
+    const response = await api.post('/auth/reset-password', { token, password });
+    return response.data;
+  },
+
+  changePassword: async (currentPassword, newPassword) => {
+    const response = await api.put('/auth/change-password', { currentPassword, newPassword });
+    return response.data;
+  },
+
+  verifyTwoFactor: async (challengeToken, code) => {
+    const response = await api.post('/auth/2fa/verify', { challengeToken, code });
+    return response.data;
+  },
+
+  setupTwoFactor: async () => {
+    const response = await api.post('/auth/2fa/setup');
+    return response.data;
+  },
+
+  enableTwoFactor: async (code) => {
+    const response = await api.post('/auth/2fa/enable', { code });
+    return response.data;
+  },
+
+  disableTwoFactor: async (password, code) => {
+    const response = await api.post('/auth/2fa/disable', { password, code });
+    return response.data;
+  },
+
+  regenerateRecoveryCodes: async (code) => {
+    const response = await api.post('/auth/2fa/recovery-codes', { code });
+    return response.data;
+  },
+
+  getSessions: async () => {
+    const response = await api.get('/auth/sessions');
+    return response.data;
+  },
+
+  revokeSession: async (id) => {
+    const response = await api.delete(`/auth/sessions/${id}`);
+    return response.data;
+  },
+
+  revokeOtherSessions: async () => {
+    const response = await api.delete('/auth/sessions');
+    return response.data;
+  },
 };
 
 // Products API
@@ -96,18 +223,23 @@ export const cartAPI = {
     return response.data;
   },
 
-  add: async (productId, quantity = 1) => {
-    const response = await api.post('/cart', { productId, quantity });
+  getQuote: async (params = {}) => {
+    const response = await api.get('/cart/quote', { params });
     return response.data;
   },
 
-  update: async (productId, quantity) => {
-    const response = await api.put(`/cart/${productId}`, { quantity });
+  add: async (productId, quantity = 1, variantId) => {
+    const response = await api.post('/cart', { productId, quantity, variantId });
     return response.data;
   },
 
-  remove: async (productId) => {
-    const response = await api.delete(`/cart/${productId}`);
+  update: async (productId, quantity, variantId) => {
+    const response = await api.put(`/cart/${productId}`, { quantity }, { params: { variantId } });
+    return response.data;
+  },
+
+  remove: async (productId, variantId) => {
+    const response = await api.delete(`/cart/${productId}`, { params: { variantId } });
     return response.data;
   },
 
@@ -115,6 +247,16 @@ export const cartAPI = {
     const response = await api.delete('/cart');
     return response.data;
   },
+
+  applyCoupon: async (code) => {
+    const response = await api.post('/cart/coupon', { code });
+    return response.data;
+  },
+
+  removeCoupon: async () => {
+    const response = await api.delete('/cart/coupon');
+    return response.data;
+  },
 };
 
 // Orders API
@@ -124,6 +266,11 @@ export const ordersAPI = {
     return response.data;
   },
 
+  getSellerOrders: async (params = {}) => {
+    const response = await api.get('/orders/seller', { params });
+    return response.data;
+  },
+
   getById: async (id) => {
     const response = await api.get(`/orders/${id}`);
     return response.data;
@@ -134,10 +281,30 @@ export const ordersAPI = {
     return response.data;
   },
 
+  previewCheckout: async () => {
+    const response = await api.post('/orders/checkout', {}, { params: { preview: true } });
+    return response.data;
+  },
+
+  checkout: async (checkoutData) => {
+    const response = await api.post('/orders/checkout', checkoutData);
+    return response.data;
+  },
+
   updateStatus: async (id, status) => {
     const response = await api.put(`/orders/${id}/status`, { status });
     return response.data;
   },
+
+  pay: async (id, paymentToken) => {
+    const response = await api.post(`/orders/${id}/pay`, { paymentToken });
+    return response.data;
+  },
+
+  cancel: async (id, reason) => {
+    const response = await api.post(`/orders/${id}/cancel`, { reason });
+    return response.data;
+  },
 };
 
 // Categories API
@@ -147,10 +314,20 @@ export const categoriesAPI = {
     return response.data;
   },
 
+  getTree: async () => {
+    const response = await api.get('/categories/tree');
+    return response.data;
+  },
+
   getById: async (id) => {
     const response = await api.get(`/categories/${id}`);
     return response.data;
   },
+
+  getBySlug: async (slug) => {
+    const response = await api.get(`/categories/slug/${slug}`);
+    return response.data;
+  },
 };
 
 // Reviews API
@@ -176,4 +353,68 @@ export const reviewsAPI = {
   },
 };
 
+// Account API
+export const accountAPI = {
+  exportData: async () => {
+    const response = await api.get('/account/export');
+    return response.data;
+  },
+
+  delete: async (password, { removeProducts = false } = {}) => {
+    const response = await api.delete('/account', { data: { password, removeProducts } });
+    return response.data;
+  },
+};
+
+// Inventory API
+export const inventoryAPI = {
+  getMovements: async (params = {}) => {
+    const response = await api.get('/inventory/movements', { params });
+    return response.data;
+  },
+
+  recordMovement: async (movement) => {
+    const response = await api.post('/inventory/movements', movement);
+    return response.data;
+  },
+
+  getAlerts: async (params = {}) => {
+    const response = await api.get('/inventory/alerts', { params });
+    return response.data;
+  },
+};
+
+// Seller Applications API
+export const sellerApplicationsAPI = {
+  apply: async (applicationData) => {
+    const response = await api.post('/seller-applications', applicationData);
+    return response.data;
+  },
+
+  getMine: async () => {
+    const response = await api.get('/seller-applications/me');
+    return response.data;
+  },
+
+  getAll: async (params = {}) => {
+    const response = await api.get('/seller-applications', { params });
+    return response.data;
+  },
+
+  getById: async (id) => {
+    const response = await api.get(`/seller-applications/${id}`);
+    return response.data;
+  },
+
+  approve: async (id) => {
+    const response = await api.post(`/seller-applications/${id}/approve`);
+    return response.data;
+  },
+
+  reject: async (id, reason) => {
+    const response = await api.post(`/seller-applications/${id}/reject`, { reason });
+    return response.data;
+  },
+};
+
 export default api;